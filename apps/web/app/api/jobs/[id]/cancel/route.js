@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getJobStatus, getJobProjectId, cancelJob, cancelRun } from '@/lib/jobs';
+
+/**
+ * POST /api/jobs/[id]/cancel
+ * Cancel a queued or running job and the jobs that depend on it
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    let job;
+    try {
+      job = await getJobStatus(id);
+    } catch (error) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    // Verify user has access to the job's project (RLS will handle this)
+    const projectId = await getJobProjectId(job);
+    const { data: project } = projectId
+      ? await supabase.from('projects').select('id').eq('id', projectId).single()
+      : { data: null };
+
+    if (!project) {
+      return NextResponse.json({ error: 'Job not found or access denied' }, { status: 404 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const options = { reason: body.reason, actor: user.id };
+
+    // Cancelling a run job cancels its run too
+    const cancelled = job.kind === 'run' && job.payload?.run_id
+      ? (await cancelRun(job.payload.run_id, options)).jobs.find(cancelledJob => String(cancelledJob.id) === String(id))
+      : await cancelJob(id, options);
+
+    if (!cancelled) {
+      return NextResponse.json(
+        { error: `Only queued or running jobs can be cancelled (status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({ job: cancelled });
+  } catch (error) {
+    console.error('Exception in POST /api/jobs/[id]/cancel:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getJobStatus, getJobProjectId, getJobEvents } from '@/lib/jobs';
+
+/**
+ * GET /api/jobs/[id]/events
+ * List a job's progress events
+ *
+ * Pass ?after=<event id> to poll for events newer than the last one seen.
+ */
+export async function GET(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+    const { searchParams } = new URL(request.url);
+    const after = parseInt(searchParams.get('after') || '0', 10) || 0;
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    let job;
+    try {
+      job = await getJobStatus(id);
+    } catch (error) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    // Verify user has access to the job's project (RLS will handle this)
+    const projectId = await getJobProjectId(job);
+    const { data: project } = projectId
+      ? await supabase.from('projects').select('id').eq('id', projectId).single()
+      : { data: null };
+
+    if (!project) {
+      return NextResponse.json({ error: 'Job not found or access denied' }, { status: 404 });
+    }
+
+    const events = await getJobEvents(id, { after });
+
+    // Latest completion percent among the returned events (null if none carry one)
+    let progress = null;
+    for (let i = events.length - 1; i >= 0; i--) {
+      if (events[i].progress !== null) {
+        progress = events[i].progress;
+        break;
+      }
+    }
+    if (job.status === 'done') {
+      progress = 100;
+    }
+
+    return NextResponse.json({
+      job: { id: job.id, kind: job.kind, status: job.status },
+      progress,
+      events,
+    });
+  } catch (error) {
+    console.error('Exception in GET /api/jobs/[id]/events:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
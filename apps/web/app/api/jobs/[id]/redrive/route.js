@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getJobStatus, getJobProjectId, redriveJob } from '@/lib/jobs';
+
+/**
+ * POST /api/jobs/[id]/redrive
+ * Put a dead-lettered job back in the queue with fresh attempts
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    let job;
+    try {
+      job = await getJobStatus(id);
+    } catch (error) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    // Verify user has access to the job's project (RLS will handle this)
+    const projectId = await getJobProjectId(job);
+    const { data: project } = projectId
+      ? await supabase.from('projects').select('id').eq('id', projectId).single()
+      : { data: null };
+
+    if (!project) {
+      return NextResponse.json({ error: 'Job not found or access denied' }, { status: 404 });
+    }
+
+    if (job.status !== 'dead') {
+      return NextResponse.json(
+        { error: `Only dead jobs can be re-driven (status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    const requeued = await redriveJob(id);
+
+    if (!requeued) {
+      return NextResponse.json({ error: 'Job is no longer dead' }, { status: 409 });
+    }
+
+    return NextResponse.json({ job: requeued });
+  } catch (error) {
+    console.error('Exception in POST /api/jobs/[id]/redrive:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { listJobs } from '@/lib/jobs';
+
+/**
+ * GET /api/jobs?project_id=xxx&status=dead
+ * List background jobs for a project
+ */
+export async function GET(request) {
+  try {
+    const supabase = createClient();
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get('project_id');
+    const status = searchParams.get('status');
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    if (!projectId) {
+      return NextResponse.json({ error: 'project_id is required' }, { status: 400 });
+    }
+
+    // Verify user has access to project (RLS will handle this)
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', projectId)
+      .single();
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found or access denied' }, { status: 404 });
+    }
+
+    const jobs = await listJobs({ status, projectId });
+
+    return NextResponse.json({ jobs });
+  } catch (error) {
+    console.error('Exception in GET /api/jobs:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
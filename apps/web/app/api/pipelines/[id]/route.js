@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getPipeline } from '@/lib/jobs';
+
+/**
+ * GET /api/pipelines/[id]
+ * Get a pipeline (plan -> generate -> run) with all of its stages
+ */
+export async function GET(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const pipeline = await getPipeline(id);
+
+    // Verify user has access to the pipeline's project (RLS will handle this)
+    const { data: project } = pipeline?.project_id
+      ? await supabase.from('projects').select('id').eq('id', pipeline.project_id).single()
+      : { data: null };
+
+    if (!project) {
+      return NextResponse.json({ error: 'Pipeline not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ pipeline });
+  } catch (error) {
+    console.error('Exception in GET /api/pipelines/[id]:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Plan Export API Route
+ *
+ * GET /api/plans/[id]/export - Download a plan as Markdown, CSV, or a TestRail or Xray import
+ */
+
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { EXPORT_FORMATS, exportPlan } from '@/lib/plan-formats';
+
+/**
+ * GET /api/plans/[id]/export?format=markdown|csv|testrail|xray
+ * Render the plan's summary, scenarios and coverage in an export format
+ * (default: markdown). The CSV formats hold one test case per scenario;
+ * csv, testrail and xray files can be edited and imported back with
+ * POST /api/plans/[id]/import.
+ */
+export async function GET(request, { params }) {
+  try {
+    const supabase = createClient();
+
+    // Check authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'markdown';
+
+    if (!EXPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // Fetch plan
+    const { data: plan, error } = await supabase
+      .from('plans')
+      .select('*, projects(name, org_id)')
+      .eq('id', params.id)
+      .single();
+
+    if (error || !plan) {
+      return NextResponse.json(
+        { error: 'Plan not found' },
+        { status: 404 }
+      );
+    }
+
+    // Check organization membership
+    const { data: membership } = await supabase
+      .from('org_members')
+      .select('role')
+      .eq('org_id', plan.projects.org_id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (!membership) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
+    const { contentType, suffix } = EXPORT_FORMATS[format];
+
+    return new NextResponse(exportPlan(plan, format), {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="plan-${plan.id.slice(0, 8)}${suffix}"`,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error exporting plan:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
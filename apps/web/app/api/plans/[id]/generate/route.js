@@ -5,16 +5,16 @@
  */
 
 import { NextResponse } from 'next/server';
-import { createServerClient } from '@/lib/supabase-server';
+import { createClient } from '@/lib/supabase-server';
 import { enqueueGenerateJob } from '@/lib/jobs';
 
 /**
  * POST /api/plans/[id]/generate
- * Generate tests from a plan
+ * Generate tests from the approved scenarios of a reviewed plan
  */
 export async function POST(request, { params }) {
   try {
-    const supabase = createServerClient();
+    const supabase = createClient();
     
     // Check authentication
     const { data: { user }, error: authError } = await supabase.auth.getUser();
@@ -34,7 +34,7 @@ export async function POST(request, { params }) {
     // Fetch plan
     const { data: plan, error: planError } = await supabase
       .from('plans')
-      .select('*, projects(id, organization_id)')
+      .select('*, projects(id, org_id)')
       .eq('id', id)
       .single();
     
@@ -49,7 +49,7 @@ export async function POST(request, { params }) {
     const { data: membership } = await supabase
       .from('org_members')
       .select('role')
-      .eq('organization_id', plan.projects.organization_id)
+      .eq('org_id', plan.projects.org_id)
       .eq('user_id', user.id)
       .single();
     
@@ -61,6 +61,20 @@ export async function POST(request, { params }) {
     }
     
     // Check plan status
+    if (plan.status === 'draft') {
+      return NextResponse.json(
+        { error: 'Plan is awaiting review; approve or reject every scenario first' },
+        { status: 400 }
+      );
+    }
+    
+    if (plan.status === 'rejected') {
+      return NextResponse.json(
+        { error: 'Plan was rejected' },
+        { status: 400 }
+      );
+    }
+    
     if (plan.status === 'generating') {
       return NextResponse.json(
         { error: 'Plan is already being generated' },
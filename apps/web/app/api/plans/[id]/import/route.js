@@ -0,0 +1,161 @@
+/**
+ * Plan Import API Route
+ *
+ * POST /api/plans/[id]/import - Create a plan revision from an edited export
+ */
+
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { IMPORT_FORMATS, importScenarios, revisionStatus } from '@/lib/plan-formats';
+
+// Upper bounds for imported files
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const MAX_IMPORT_SCENARIOS = 500;
+
+/**
+ * POST /api/plans/[id]/import
+ * Import a csv, testrail or xray export of this plan, edited in a
+ * spreadsheet, as a new revision of the plan
+ *
+ * Body: { format, content }. The plan itself is left as it is. In the
+ * revision, unedited scenarios keep their review; edited and added ones
+ * are pending review, and scenarios whose rows were deleted are dropped.
+ * Generating the revision updates the tests of the plan it came from
+ * like a re-plan: unchanged tests are kept, edited ones regenerated and
+ * dropped ones archived.
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+
+    // Check authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const { format, content } = body;
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: `format must be one of ${IMPORT_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return NextResponse.json(
+        { error: 'content must be the contents of the exported file' },
+        { status: 400 }
+      );
+    }
+
+    if (Buffer.byteLength(content) > MAX_IMPORT_BYTES) {
+      return NextResponse.json(
+        { error: `content is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB` },
+        { status: 400 }
+      );
+    }
+
+    // Fetch plan
+    const { data: plan, error: planError } = await supabase
+      .from('plans')
+      .select('*, projects(org_id)')
+      .eq('id', params.id)
+      .single();
+
+    if (planError || !plan) {
+      return NextResponse.json(
+        { error: 'Plan not found' },
+        { status: 404 }
+      );
+    }
+
+    // Check organization membership
+    const { data: membership } = await supabase
+      .from('org_members')
+      .select('role')
+      .eq('org_id', plan.projects.org_id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (!membership) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
+    let imported;
+    try {
+      imported = importScenarios(plan.plan_json, content, format);
+    } catch (error) {
+      return NextResponse.json(
+        { error: `Invalid ${format} file: ${error.message}` },
+        { status: 400 }
+      );
+    }
+
+    const { scenarios, delta } = imported;
+
+    if (scenarios.length === 0 || scenarios.length > MAX_IMPORT_SCENARIOS) {
+      return NextResponse.json(
+        { error: `The file must have from 1 to ${MAX_IMPORT_SCENARIOS} scenarios` },
+        { status: 400 }
+      );
+    }
+
+    if (delta.added.length === 0 && delta.changed.length === 0 && delta.obsolete.length === 0) {
+      return NextResponse.json(
+        { error: 'The file has no changes to the plan' },
+        { status: 400 }
+      );
+    }
+
+    // The revision re-plans the plan it came from, so generation reuses its tests
+    const { data: revision, error: insertError } = await supabase
+      .from('plans')
+      .insert({
+        project_id: plan.project_id,
+        suite_id: plan.suite_id,
+        pr_url: plan.pr_url,
+        spec_md: plan.spec_md,
+        plan_json: {
+          ...plan.plan_json,
+          scenarios,
+          previousPlanId: plan.id,
+          delta,
+          revisionOf: { planId: plan.id, format },
+        },
+        status: revisionStatus(scenarios),
+        created_by: user.id,
+      })
+      .select('id, status')
+      .single();
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    return NextResponse.json({
+      success: true,
+      plan_id: revision.id,
+      status: revision.status,
+      added: delta.added.length,
+      changed: delta.changed.length,
+      unchanged: delta.unchanged.length,
+      removed: delta.obsolete.length,
+    });
+
+  } catch (error) {
+    console.error('Error importing plan:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
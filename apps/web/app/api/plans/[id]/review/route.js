@@ -0,0 +1,243 @@
+/**
+ * Plan Review API Routes
+ *
+ * GET /api/plans/[id]/review - List the review decisions on a plan
+ * POST /api/plans/[id]/review - Approve, reject or edit plan scenarios
+ */
+
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+
+const REVIEW_STATUSES = ['approved', 'rejected', 'pending'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const COMPLEXITIES = ['simple', 'moderate', 'complex'];
+
+// Scenario fields a reviewer can edit
+const EDITABLE_FIELDS = ['name', 'description', 'priority', 'complexity', 'steps', 'expectedOutcome'];
+
+/**
+ * Fetch a plan and check that the user belongs to its organization
+ *
+ * @returns {Promise<{plan: object}|{response: NextResponse}>}
+ */
+async function fetchPlanForMember(supabase, planId, userId) {
+  const { data: plan, error } = await supabase
+    .from('plans')
+    .select('id, status, plan_json, projects(org_id)')
+    .eq('id', planId)
+    .single();
+
+  if (error || !plan) {
+    return { response: NextResponse.json({ error: 'Plan not found' }, { status: 404 }) };
+  }
+
+  const { data: membership } = await supabase
+    .from('org_members')
+    .select('role')
+    .eq('org_id', plan.projects.org_id)
+    .eq('user_id', userId)
+    .single();
+
+  if (!membership) {
+    return { response: NextResponse.json({ error: 'Access denied' }, { status: 403 }) };
+  }
+
+  return { plan };
+}
+
+/**
+ * Validate the edited fields of a scenario
+ *
+ * @returns {string|null} Error message, or null if the edit is valid
+ */
+function validateScenarioEdit(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return 'scenario must be an object';
+  }
+
+  const unknown = Object.keys(scenario).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Fields cannot be edited: ${unknown.join(', ')}`;
+  }
+
+  for (const field of ['name', 'expectedOutcome']) {
+    if (field in scenario && !(typeof scenario[field] === 'string' && scenario[field].trim())) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+
+  if ('description' in scenario && typeof scenario.description !== 'string') {
+    return 'description must be a string';
+  }
+
+  if ('priority' in scenario && !PRIORITIES.includes(scenario.priority)) {
+    return `priority must be one of ${PRIORITIES.join(', ')}`;
+  }
+
+  if ('complexity' in scenario && !COMPLEXITIES.includes(scenario.complexity)) {
+    return `complexity must be one of ${COMPLEXITIES.join(', ')}`;
+  }
+
+  if ('steps' in scenario && !(
+    Array.isArray(scenario.steps)
+    && scenario.steps.length > 0
+    && scenario.steps.every(step => typeof step === 'string' && step.trim())
+  )) {
+    return 'steps must be a non-empty list of strings';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/plans/[id]/review
+ * List the review decisions on a plan, newest first
+ */
+export async function GET(request, { params }) {
+  try {
+    const supabase = createClient();
+
+    // Check authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { plan, response } = await fetchPlanForMember(supabase, params.id, user.id);
+    if (response) {
+      return response;
+    }
+
+    const { data: reviews, error } = await supabase
+      .from('plan_reviews')
+      .select('*')
+      .eq('plan_id', plan.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({ reviews });
+
+  } catch (error) {
+    console.error('Error fetching plan reviews:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/plans/[id]/review
+ * Record review decisions on plan scenarios
+ *
+ * Body: { decisions: [{ index, status, scenario, comment }] }, where index
+ * is the scenario's position in the plan, status is approved, rejected or
+ * pending, and scenario holds edited fields. Each decision is recorded with
+ * the reviewer. Once no scenario is pending, the plan is approved (or
+ * rejected, if every scenario was) and can be generated.
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+
+    // Check authentication
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const { decisions } = body;
+
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+      return NextResponse.json(
+        { error: 'decisions must be a non-empty list' },
+        { status: 400 }
+      );
+    }
+
+    const { plan, response } = await fetchPlanForMember(supabase, params.id, user.id);
+    if (response) {
+      return response;
+    }
+
+    const scenarioCount = plan.plan_json?.scenarios?.length || 0;
+
+    for (const decision of decisions) {
+      if (!(Number.isInteger(decision?.index) && decision.index >= 0 && decision.index < scenarioCount)) {
+        return NextResponse.json(
+          { error: `index must be an integer from 0 to ${scenarioCount - 1}` },
+          { status: 400 }
+        );
+      }
+
+      if (decision.status === undefined && decision.scenario === undefined) {
+        return NextResponse.json(
+          { error: 'Each decision needs a status, a scenario edit or both' },
+          { status: 400 }
+        );
+      }
+
+      if (decision.status !== undefined && !REVIEW_STATUSES.includes(decision.status)) {
+        return NextResponse.json(
+          { error: `status must be one of ${REVIEW_STATUSES.join(', ')}` },
+          { status: 400 }
+        );
+      }
+
+      const editError = decision.scenario !== undefined && validateScenarioEdit(decision.scenario);
+      if (editError) {
+        return NextResponse.json(
+          { error: editError },
+          { status: 400 }
+        );
+      }
+
+      if (decision.comment !== undefined && typeof decision.comment !== 'string') {
+        return NextResponse.json(
+          { error: 'comment must be a string' },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Applied in one transaction, so concurrent reviewers do not overwrite each other;
+    // the function records the signed-in user as the reviewer
+    const { data, error } = await supabase.rpc('review_plan_scenarios', {
+      review_plan_id: plan.id,
+      decisions: decisions.map(({ index, status, scenario, comment }) => ({ index, status, scenario, comment })),
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return NextResponse.json(
+        { error: `Plan is ${plan.status} and no longer open for review` },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...data[0],
+    });
+
+  } catch (error) {
+    console.error('Error reviewing plan:', error);
+    return NextResponse.json(
+      { error: error.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
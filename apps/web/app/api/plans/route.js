@@ -7,11 +7,66 @@
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase-server';
-import { enqueuePlanJob } from '@/lib/jobs';
+import { enqueuePlanJob, getRequestIdempotencyKey } from '@/lib/jobs';
+
+// Upper bounds for exploration plans, which drive a browser through the app
+const MAX_CRAWL_DEPTH = 5;
+const MAX_CRAWL_PAGES = 100;
+
+// Upper bounds for Gherkin imports
+const MAX_FEATURE_FILES = 50;
+const MAX_FEATURE_BYTES = 256 * 1024;
+
+/**
+ * Validate uploaded feature files and repository feature paths
+ * 
+ * @returns {string|null} Error message, or null if they are valid
+ */
+function validateFeatures(featureFiles, featurePaths, featureRef) {
+  const isFeaturePath = path => typeof path === 'string' && /\.feature$/i.test(path.trim());
+  
+  if (featureFiles !== undefined) {
+    if (!Array.isArray(featureFiles)) {
+      return 'feature_files must be a list of { path, content }';
+    }
+    for (const file of featureFiles) {
+      if (!isFeaturePath(file?.path) || typeof file.content !== 'string') {
+        return 'Each feature file needs a .feature path and its content as a string';
+      }
+      if (Buffer.byteLength(file.content) > MAX_FEATURE_BYTES) {
+        return `${file.path} is larger than ${MAX_FEATURE_BYTES / 1024} KB`;
+      }
+    }
+  }
+  
+  if (featurePaths !== undefined && !(Array.isArray(featurePaths) && featurePaths.every(isFeaturePath))) {
+    return 'feature_paths must be a list of .feature file paths';
+  }
+  
+  if ((featureFiles?.length || 0) + (featurePaths?.length || 0) > MAX_FEATURE_FILES) {
+    return `At most ${MAX_FEATURE_FILES} feature files can be imported at once`;
+  }
+  
+  if (featureRef !== undefined && !(typeof featureRef === 'string' && featureRef.trim())) {
+    return 'feature_ref must be a non-empty string';
+  }
+  
+  return null;
+}
 
 /**
  * POST /api/plans
- * Create a new test plan from PR or spec
+ * Create a new test plan from a PR, a GitHub issue (issue_url) or the issues
+ * matching a search in the project's repository (issue_query, e.g.
+ * "label:bug is:open"), a spec or an OpenAPI document
+ * (openapi_url, or the document itself in openapi_spec as JSON or YAML),
+ * by crawling the project's app_base_url (explore, max_depth, max_pages),
+ * or from Gherkin .feature files, uploaded in feature_files as
+ * [{ path, content }] or read from the project's repository at feature_paths
+ * (on the feature_ref branch, tag or commit, default: the default branch)
+ *
+ * max_scenarios and max_tests limit generation and the follow-up run to
+ * the top-K scenarios and tests by risk score
  */
 export async function POST(request) {
   try {
@@ -28,7 +83,8 @@ export async function POST(request) {
     
     // Parse request body
     const body = await request.json();
-    const { project_id, suite_id, pr_url, spec_md, auto_generate } = body;
+    const { project_id, suite_id, pr_url, issue_url, issue_query, spec_md, openapi_url, openapi_spec, explore, max_depth, max_pages, max_scenarios, max_tests, feature_files, feature_paths, feature_ref, auto_generate } = body;
+    const hasFeatures = feature_files?.length > 0 || feature_paths?.length > 0;
     
     // Validate required fields
     if (!project_id) {
@@ -38,9 +94,61 @@ export async function POST(request) {
       );
     }
     
-    if (!pr_url && !spec_md) {
+    if (!pr_url && !issue_url && !issue_query && !spec_md && !openapi_url && !openapi_spec && !explore && !hasFeatures) {
+      return NextResponse.json(
+        { error: 'One of pr_url, issue_url, issue_query, spec_md, openapi_url, openapi_spec, explore, feature_files or feature_paths is required' },
+        { status: 400 }
+      );
+    }
+    
+    if (max_depth !== undefined && !(Number.isInteger(max_depth) && max_depth >= 0 && max_depth <= MAX_CRAWL_DEPTH)) {
+      return NextResponse.json(
+        { error: `max_depth must be an integer from 0 to ${MAX_CRAWL_DEPTH}` },
+        { status: 400 }
+      );
+    }
+    
+    if (max_pages !== undefined && !(Number.isInteger(max_pages) && max_pages >= 1 && max_pages <= MAX_CRAWL_PAGES)) {
+      return NextResponse.json(
+        { error: `max_pages must be an integer from 1 to ${MAX_CRAWL_PAGES}` },
+        { status: 400 }
+      );
+    }
+    
+    for (const [field, value] of Object.entries({ max_scenarios, max_tests })) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+        return NextResponse.json(
+          { error: `${field} must be a positive integer` },
+          { status: 400 }
+        );
+      }
+    }
+    
+    if (issue_url !== undefined && !/^https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/\d+/.test(issue_url)) {
+      return NextResponse.json(
+        { error: 'issue_url must be a GitHub issue URL' },
+        { status: 400 }
+      );
+    }
+    
+    if (issue_query !== undefined && !(typeof issue_query === 'string' && issue_query.trim())) {
+      return NextResponse.json(
+        { error: 'issue_query must be a non-empty string' },
+        { status: 400 }
+      );
+    }
+    
+    const featureError = validateFeatures(feature_files, feature_paths, feature_ref);
+    if (featureError) {
+      return NextResponse.json(
+        { error: featureError },
+        { status: 400 }
+      );
+    }
+    
+    if (openapi_url && !/^https?:\/\//i.test(openapi_url)) {
       return NextResponse.json(
-        { error: 'Either pr_url or spec_md is required' },
+        { error: 'openapi_url must be an http(s) URL' },
         { status: 400 }
       );
     }
@@ -48,7 +156,7 @@ export async function POST(request) {
     // Verify user has access to project
     const { data: project, error: projectError } = await supabase
       .from('projects')
-      .select('id, organization_id')
+      .select('id, organization_id, app_base_url, repo_url')
       .eq('id', project_id)
       .single();
     
@@ -59,6 +167,27 @@ export async function POST(request) {
       );
     }
     
+    if (explore && !project.app_base_url) {
+      return NextResponse.json(
+        { error: 'Set the project base URL before exploring it' },
+        { status: 400 }
+      );
+    }
+    
+    if (issue_query && !project.repo_url) {
+      return NextResponse.json(
+        { error: 'Set the project repository URL before planning from an issue search' },
+        { status: 400 }
+      );
+    }
+    
+    if (feature_paths?.length > 0 && !project.repo_url) {
+      return NextResponse.json(
+        { error: 'Set the project repository URL before importing feature files from it' },
+        { status: 400 }
+      );
+    }
+    
     // Check organization membership
     const { data: membership } = await supabase
       .from('org_members')
@@ -74,18 +203,32 @@ export async function POST(request) {
       );
     }
     
-    // Enqueue plan job
+    // Enqueue plan job (a repeated Idempotency-Key returns the first job)
     const job = await enqueuePlanJob(project_id, {
       suiteId: suite_id,
       prUrl: pr_url,
+      issueUrl: issue_url,
+      issueQuery: issue_query?.trim(),
       specMd: spec_md,
+      openapiUrl: openapi_url,
+      openapiSpec: openapi_spec,
+      explore: Boolean(explore),
+      maxDepth: max_depth,
+      maxPages: max_pages,
+      maxScenarios: max_scenarios,
+      maxTests: max_tests,
+      featureFiles: feature_files,
+      featurePaths: feature_paths?.map(path => path.trim()),
+      featureRef: feature_ref,
       autoGenerate: auto_generate ?? true,
+      idempotencyKey: getRequestIdempotencyKey(request, `plans:${user.id}`),
     });
     
     return NextResponse.json({
       success: true,
       job_id: job.id,
-      message: 'Plan job enqueued successfully',
+      duplicate: !job.created,
+      message: job.created ? 'Plan job enqueued successfully' : 'Plan job already enqueued',
     });
     
   } catch (error) {
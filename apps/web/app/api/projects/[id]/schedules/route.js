@@ -0,0 +1,119 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getNextRunAt, validateSchedule } from '@/lib/schedules';
+
+/**
+ * GET /api/projects/[id]/schedules
+ * List a project's schedules
+ */
+export async function GET(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // RLS limits this to schedules in the user's projects
+    const { data: schedules, error } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('project_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching schedules:', error);
+      return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+
+    return NextResponse.json({ schedules });
+  } catch (error) {
+    console.error('Exception in GET /api/projects/[id]/schedules:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/projects/[id]/schedules
+ * Create a schedule
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Parse request body
+    const body = await request.json();
+    const {
+      name,
+      cron,
+      timezone = 'UTC',
+      suite_ids = [],
+      tags = [],
+      environment = {},
+      enabled = true,
+    } = body;
+
+    // Validate required fields
+    if (!name || !cron) {
+      return NextResponse.json(
+        { error: 'name and cron are required' },
+        { status: 400 }
+      );
+    }
+
+    const validationError = validateSchedule({ name, cron, timezone, suite_ids, tags, environment });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    // Verify user has access to project (RLS will handle this)
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (projectError || !project) {
+      return NextResponse.json({ error: 'Project not found or access denied' }, { status: 404 });
+    }
+
+    const { data: schedule, error } = await supabase
+      .from('schedules')
+      .insert({
+        project_id: id,
+        name,
+        cron,
+        timezone,
+        suite_ids,
+        tags,
+        environment,
+        enabled,
+        next_run_at: getNextRunAt(cron, timezone).toISOString(),
+        created_by: user.id,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating schedule:', error);
+      return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+
+    return NextResponse.json({ schedule }, { status: 201 });
+  } catch (error) {
+    console.error('Exception in POST /api/projects/[id]/schedules:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { cancelRun } from '@/lib/jobs';
+
+/**
+ * POST /api/runs/[id]/cancel
+ * Cancel a queued or running test run
+ *
+ * A running run is stopped by its worker, which saves the partial results
+ * and then marks the run cancelled; the response says whether that is pending.
+ */
+export async function POST(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+    
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Fetch run (RLS limits this to runs in the user's projects)
+    const { data: run, error: runError } = await supabase
+      .from('runs')
+      .select('id, status')
+      .eq('id', id)
+      .single();
+
+    if (runError || !run) {
+      return NextResponse.json({ error: 'Run not found or access denied' }, { status: 404 });
+    }
+
+    if (run.status !== 'queued' && run.status !== 'running') {
+      return NextResponse.json(
+        { error: `Only queued or running runs can be cancelled (status: ${run.status})` },
+        { status: 409 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+
+    const { jobs, stopping } = await cancelRun(id, { reason: body.reason, actor: user.id });
+
+    return NextResponse.json({
+      run: { id, status: stopping ? run.status : 'cancelled' },
+      jobs,
+      stopping,
+    });
+  } catch (error) {
+    console.error('Exception in POST /api/runs/[id]/cancel:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -6,7 +6,7 @@
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase-server';
-import { enqueueRunJob } from '@/lib/jobs';
+import { enqueueRunJob, getRequestIdempotencyKey, JOB_PRIORITIES } from '@/lib/jobs';
 
 /**
  * POST /api/runs/[id]/execute
@@ -64,13 +64,17 @@ export async function POST(request, { params }) {
       );
     }
     
-    // Enqueue run job
-    const job = await enqueueRunJob(id, run.projects.id);
+    // Enqueue run job at the priority of the run's trigger
+    const job = await enqueueRunJob(id, run.projects.id, {
+      priority: JOB_PRIORITIES[run.trigger] ?? JOB_PRIORITIES.manual,
+      idempotencyKey: getRequestIdempotencyKey(request, `runs:${id}:execute`),
+    });
     
     return NextResponse.json({
       success: true,
       job_id: job.id,
-      message: 'Run job enqueued successfully',
+      duplicate: !job.created,
+      message: job.created ? 'Run job enqueued successfully' : 'Run job already enqueued',
     });
     
   } catch (error) {
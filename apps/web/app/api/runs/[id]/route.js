@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/lib/supabase-server';
+import { getPipeline, getRunPipelineId } from '@/lib/jobs';
 
 /**
  * GET /api/runs/[id]
@@ -59,7 +60,11 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: testsError.message }, { status: 500 });
     }
 
-    return NextResponse.json({ run: { ...run, tests } });
+    // Get the plan -> generate -> run pipeline this run belongs to, if any
+    const pipelineId = await getRunPipelineId(id);
+    const pipeline = pipelineId ? await getPipeline(pipelineId) : null;
+
+    return NextResponse.json({ run: { ...run, tests, pipeline } });
   } catch (error) {
     console.error('Exception in GET /api/runs/[id]:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
@@ -1,5 +1,23 @@
 import { NextResponse } from 'next/server';
-import { createClient, createServiceClient } from '@/lib/supabase-server';
+import { createClient } from '@/lib/supabase-server';
+import { enqueueRunJob, findJobByIdempotencyKey, getRequestIdempotencyKey, JOB_PRIORITIES } from '@/lib/jobs';
+
+/**
+ * Respond with a run that an earlier request with the same idempotency key created
+ */
+async function existingRunResponse(supabase, runId) {
+  const { data: run, error } = await supabase
+    .from('runs')
+    .select()
+    .eq('id', runId)
+    .single();
+
+  if (error || !run) {
+    return NextResponse.json({ error: 'Run not found or access denied' }, { status: 404 });
+  }
+
+  return NextResponse.json({ run, duplicate: true }, { status: 200 });
+}
 
 /**
  * GET /api/runs
@@ -57,11 +75,14 @@ export async function GET(request) {
 /**
  * POST /api/runs
  * Create and queue a new test run
+ *
+ * Send an Idempotency-Key header to make retries and double submits safe:
+ * a repeated key returns the run created by the first request.
+ * Set max_tests to run only the top-K test cases by risk score.
  */
 export async function POST(request) {
   try {
     const supabase = createClient();
-    const serviceClient = createServiceClient();
     
     // Get current user
     const { data: { user }, error: userError } = await supabase.auth.getUser();
@@ -72,7 +93,7 @@ export async function POST(request) {
 
     // Parse request body
     const body = await request.json();
-    const { project_id, plan_id, suite_ids = [], trigger = 'manual' } = body;
+    const { project_id, plan_id, suite_ids = [], trigger = 'manual', max_tests } = body;
 
     // Validate required fields
     if (!project_id) {
@@ -82,6 +103,13 @@ export async function POST(request) {
       );
     }
 
+    if (max_tests !== undefined && !(Number.isInteger(max_tests) && max_tests >= 1)) {
+      return NextResponse.json(
+        { error: 'max_tests must be a positive integer' },
+        { status: 400 }
+      );
+    }
+
     // Verify user has access to project (RLS will handle this)
     const { data: project, error: projectError } = await supabase
       .from('projects')
@@ -93,6 +121,15 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Project not found or access denied' }, { status: 404 });
     }
 
+    const idempotencyKey = getRequestIdempotencyKey(request, `runs:${user.id}`);
+
+    if (idempotencyKey) {
+      const existingJob = await findJobByIdempotencyKey(idempotencyKey);
+      if (existingJob) {
+        return await existingRunResponse(supabase, existingJob.payload.run_id);
+      }
+    }
+
     // Create run
     const { data: run, error: runError } = await supabase
       .from('runs')
@@ -102,6 +139,7 @@ export async function POST(request) {
         suite_ids,
         trigger,
         status: 'queued',
+        meta: max_tests ? { max_tests } : {},
       })
       .select()
       .single();
@@ -111,22 +149,26 @@ export async function POST(request) {
       return NextResponse.json({ error: runError.message }, { status: 500 });
     }
 
-    // Create job in queue using service client (bypasses RLS)
-    const { error: jobError } = await serviceClient
-      .from('jobs_queue')
-      .insert({
-        kind: 'run',
-        payload: { run_id: run.id },
-        status: 'queued',
+    // Create job in queue (uses the service role, bypassing RLS)
+    let job;
+    try {
+      job = await enqueueRunJob(run.id, project_id, {
+        priority: JOB_PRIORITIES[trigger] ?? JOB_PRIORITIES.manual,
+        idempotencyKey,
       });
-
-    if (jobError) {
+    } catch (jobError) {
       console.error('Error creating job:', jobError);
       // Try to clean up the run
       await supabase.from('runs').delete().eq('id', run.id);
       return NextResponse.json({ error: 'Failed to queue run' }, { status: 500 });
     }
 
+    // A concurrent request with the same key won the race; keep its run
+    if (!job.created) {
+      await supabase.from('runs').delete().eq('id', run.id);
+      return await existingRunResponse(supabase, job.payload.run_id);
+    }
+
     return NextResponse.json({ run }, { status: 201 });
   } catch (error) {
     console.error('Exception in POST /api/runs:', error);
@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/lib/supabase-server';
+import { getNextRunAt, validateSchedule } from '@/lib/schedules';
+
+/**
+ * PATCH /api/schedules/[id]
+ * Update a schedule, including pausing (enabled: false) and resuming it
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Fetch schedule (RLS limits this to the user's projects)
+    const { data: current, error: fetchError } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !current) {
+      return NextResponse.json({ error: 'Schedule not found or access denied' }, { status: 404 });
+    }
+
+    // Parse request body
+    const body = await request.json();
+    const { name, cron, timezone, suite_ids, tags, environment, enabled } = body;
+
+    const validationError = validateSchedule({
+      name,
+      suite_ids,
+      tags,
+      environment,
+      // Check the resulting expression in the resulting time zone
+      ...((cron !== undefined || timezone !== undefined) && {
+        cron: cron ?? current.cron,
+        timezone: timezone ?? current.timezone,
+      }),
+    });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    // Build update object (only include provided fields)
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (cron !== undefined) updates.cron = cron;
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (suite_ids !== undefined) updates.suite_ids = suite_ids;
+    if (tags !== undefined) updates.tags = tags;
+    if (environment !== undefined) updates.environment = environment;
+    if (enabled !== undefined) updates.enabled = enabled;
+
+    // Start from the next tick after now when the timing changes or the
+    // schedule is resumed, so ticks missed while paused do not fire
+    const resumed = enabled === true && !current.enabled;
+    if (resumed || cron !== undefined || timezone !== undefined) {
+      updates.next_run_at = getNextRunAt(
+        updates.cron ?? current.cron,
+        updates.timezone ?? current.timezone
+      ).toISOString();
+      updates.last_error = null;
+    }
+
+    const { data: schedule, error } = await supabase
+      .from('schedules')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating schedule:', error);
+      return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+
+    return NextResponse.json({ schedule });
+  } catch (error) {
+    console.error('Exception in PATCH /api/schedules/[id]:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/schedules/[id]
+ * Delete a schedule (runs it already queued are kept)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const supabase = createClient();
+    const { id } = params;
+
+    // Get current user
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Delete schedule (RLS will ensure user has permission)
+    const { error } = await supabase
+      .from('schedules')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error deleting schedule:', error);
+      return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Exception in DELETE /api/schedules/[id]:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
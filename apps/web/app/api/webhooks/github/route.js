@@ -1,6 +1,7 @@
 import { createHmac } from 'crypto';
 import { NextResponse } from 'next/server';
 import { createClient } from '@/lib/supabase-server';
+import { enqueueRunJob, findJobByIdempotencyKey, JOB_PRIORITIES } from '@/lib/jobs';
 
 /**
  * GitHub App Webhook Handler
@@ -31,13 +32,42 @@ function verifySignature(payload, signature, secret) {
   return signature === expectedSignature;
 }
 
+/**
+ * Idempotency key for runs of a commit
+ * 
+ * pull_request and check_suite events for the same head SHA, and
+ * redeliveries of either, share this key and so share one run.
+ * 
+ * @param {object} repository - Repository from the webhook payload
+ * @param {string} headSha - Head commit SHA
+ * @returns {string}
+ */
+function commitIdempotencyKey(repository, headSha) {
+  return `github:${repository.full_name}:${headSha}`;
+}
+
+/**
+ * Idempotency key for an explicit re-run request
+ * 
+ * Each re-run gets a new run; only redeliveries of the same webhook
+ * delivery are deduplicated.
+ * 
+ * @param {string} deliveryId - X-GitHub-Delivery header
+ * @returns {string}
+ */
+function deliveryIdempotencyKey(deliveryId) {
+  return `github-delivery:${deliveryId}`;
+}
+
 /**
  * Handle pull_request events
  * 
  * @param {object} payload - GitHub webhook payload
  * @param {object} supabase - Supabase client
+ * @param {object} options
+ * @param {string} options.idempotencyKey - Key to deduplicate the run (defaults to repo + head SHA)
  */
-async function handlePullRequest(payload, supabase) {
+async function handlePullRequest(payload, supabase, options = {}) {
   const { action, pull_request, repository, installation } = payload;
 
   // Only handle opened, synchronize, and reopened events
@@ -50,6 +80,19 @@ async function handlePullRequest(payload, supabase) {
 
   const prUrl = pull_request.html_url;
   const headSha = pull_request.head.sha;
+  const idempotencyKey = options.idempotencyKey || commitIdempotencyKey(repository, headSha);
+
+  // A redelivery or a sibling event for the same commit reuses the existing run
+  const existingJob = await findJobByIdempotencyKey(idempotencyKey);
+  if (existingJob) {
+    console.log(`[Webhook] Run ${existingJob.payload.run_id} already queued for ${idempotencyKey}`);
+    return {
+      message: 'Test run already exists',
+      run_id: existingJob.payload.run_id,
+      pr_number: pull_request.number,
+      duplicate: true,
+    };
+  }
 
   // Find project by repository
   const repoFullName = repository.full_name;
@@ -98,26 +141,34 @@ async function handlePullRequest(payload, supabase) {
 
   console.log(`[Webhook] Created run ${run.id} for PR #${pull_request.number}`);
 
-  // Queue the run for execution
-  const { error: queueError } = await supabase
-    .from('job_queue')
-    .insert({
-      job_type: 'run_tests',
+  // Queue the run for execution (PR-triggered runs go ahead of manual and scheduled ones)
+  let job;
+  try {
+    job = await enqueueRunJob(run.id, project.id, {
+      priority: JOB_PRIORITIES.pr,
+      idempotencyKey,
       payload: {
-        run_id: run.id,
-        project_id: project.id,
         pr_url: prUrl,
         head_sha: headSha,
       },
-      status: 'pending',
-      priority: 10, // High priority for webhook-triggered runs
     });
-
-  if (queueError) {
+  } catch (queueError) {
     console.error('[Webhook] Error queueing job:', queueError);
     throw new Error('Failed to queue test run');
   }
 
+  // Another delivery for the same key won the race; keep its run
+  if (!job.created) {
+    await supabase.from('runs').delete().eq('id', run.id);
+    console.log(`[Webhook] Discarded run ${run.id}, run ${job.payload.run_id} already queued for ${idempotencyKey}`);
+    return {
+      message: 'Test run already exists',
+      run_id: job.payload.run_id,
+      pr_number: pull_request.number,
+      duplicate: true,
+    };
+  }
+
   return {
     message: 'Test run created',
     run_id: run.id,
@@ -130,8 +181,9 @@ async function handlePullRequest(payload, supabase) {
  * 
  * @param {object} payload - GitHub webhook payload
  * @param {object} supabase - Supabase client
+ * @param {string} deliveryId - X-GitHub-Delivery header
  */
-async function handleCheckSuite(payload, supabase) {
+async function handleCheckSuite(payload, supabase, deliveryId) {
   const { action, check_suite, repository } = payload;
 
   // Only handle requested and rerequested events
@@ -172,7 +224,10 @@ async function handleCheckSuite(payload, supabase) {
     installation: payload.installation,
   };
 
-  return await handlePullRequest(syntheticPayload, supabase);
+  // "Re-run all checks" asks for a fresh run of a commit that was already tested
+  return await handlePullRequest(syntheticPayload, supabase, {
+    idempotencyKey: action === 'rerequested' ? deliveryIdempotencyKey(deliveryId) : undefined,
+  });
 }
 
 /**
@@ -180,8 +235,9 @@ async function handleCheckSuite(payload, supabase) {
  * 
  * @param {object} payload - GitHub webhook payload
  * @param {object} supabase - Supabase client
+ * @param {string} deliveryId - X-GitHub-Delivery header
  */
-async function handleCheckRun(payload, supabase) {
+async function handleCheckRun(payload, supabase, deliveryId) {
   const { action, check_run, repository } = payload;
 
   if (action !== 'rerequested') {
@@ -220,7 +276,9 @@ async function handleCheckRun(payload, supabase) {
     installation: payload.installation,
   };
 
-  return await handlePullRequest(syntheticPayload, supabase);
+  return await handlePullRequest(syntheticPayload, supabase, {
+    idempotencyKey: deliveryIdempotencyKey(deliveryId),
+  });
 }
 
 /**
@@ -262,11 +320,11 @@ export async function POST(request) {
         break;
 
       case 'check_suite':
-        result = await handleCheckSuite(payload, supabase);
+        result = await handleCheckSuite(payload, supabase, deliveryId);
         break;
 
       case 'check_run':
-        result = await handleCheckRun(payload, supabase);
+        result = await handleCheckRun(payload, supabase, deliveryId);
         break;
 
       case 'ping':
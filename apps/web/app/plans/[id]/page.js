@@ -0,0 +1,492 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+
+const STATUS_COLORS = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  edited: 'bg-blue-100 text-blue-800',
+  generating: 'bg-blue-100 text-blue-800',
+  generated: 'bg-green-100 text-green-800',
+  error: 'bg-red-100 text-red-800',
+};
+
+const PRIORITY_COLORS = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-600',
+};
+
+// Plans can be reviewed until their tests are generated
+const REVIEWABLE_STATUSES = ['draft', 'approved', 'rejected'];
+
+const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'Markdown' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'testrail', label: 'TestRail' },
+  { format: 'xray', label: 'Xray' },
+];
+
+/**
+ * Form for editing a scenario's fields
+ */
+function ScenarioEditor({ scenario, saving, onSave, onCancel }) {
+  const [draft, setDraft] = useState({
+    name: scenario.name,
+    description: scenario.description || '',
+    priority: scenario.priority,
+    steps: (scenario.steps || []).join('\n'),
+    expectedOutcome: scenario.expectedOutcome,
+  });
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    onSave({
+      ...draft,
+      steps: draft.steps.split('\n').map(step => step.trim()).filter(Boolean),
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => update('name', e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-medium focus:ring-2 focus:ring-blue-500"
+      />
+      <textarea
+        value={draft.description}
+        onChange={(e) => update('description', e.target.value)}
+        placeholder="Description"
+        rows={2}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+      />
+      <select
+        value={draft.priority}
+        onChange={(e) => update('priority', e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Steps (one per line)</label>
+        <textarea
+          value={draft.steps}
+          onChange={(e) => update('steps', e.target.value)}
+          rows={5}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-500 mb-1">Expected outcome</label>
+        <textarea
+          value={draft.expectedOutcome}
+          onChange={(e) => update('expectedOutcome', e.target.value)}
+          rows={2}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function PlanDetailsPage() {
+  const params = useParams();
+  const router = useRouter();
+  const [plan, setPlan] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [importFormat, setImportFormat] = useState('csv');
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    fetchPlan();
+  }, [params.id]);
+
+  const fetchPlan = async (showLoading = true) => {
+    try {
+      setLoading(showLoading);
+      const [planRes, reviewsRes] = await Promise.all([
+        fetch(`/api/plans/${params.id}`),
+        fetch(`/api/plans/${params.id}/review`),
+      ]);
+
+      if (!planRes.ok) {
+        if (planRes.status === 404) {
+          throw new Error('Plan not found');
+        }
+        throw new Error('Failed to fetch plan');
+      }
+
+      const data = await planRes.json();
+      setPlan(data.plan);
+
+      if (reviewsRes.ok) {
+        const reviewData = await reviewsRes.json();
+        setReviews(reviewData.reviews);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitDecisions = async (decisions) => {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/plans/${params.id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decisions }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to save review');
+      }
+
+      setEditing(null);
+      await fetchPlan(false);
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const res = await fetch(`/api/plans/${params.id}/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auto_run: true }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to start generation');
+      }
+
+      await fetchPlan(false);
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const res = await fetch(`/api/plans/${params.id}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format: importFormat, content: await file.text() }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to import plan');
+      }
+
+      alert(`Created a revision: ${data.added} added, ${data.changed} changed, ${data.removed} removed`);
+      router.push(`/plans/${data.plan_id}`);
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading plan...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !plan) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-red-50 border border-red-200 text-red-700 px-6 py-4 rounded-lg max-w-md">
+          <p className="font-semibold">Error</p>
+          <p className="text-sm mt-1">{error || 'Plan not found'}</p>
+          <Link href="/projects" className="text-sm text-blue-600 hover:text-blue-700 mt-2 inline-block">
+            ← Back to Projects
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const scenarios = plan.plan_json?.scenarios || [];
+  const reviewStatus = scenario => scenario.review?.status || 'pending';
+  const pendingIndexes = scenarios.map((scenario, index) => index).filter(index => reviewStatus(scenarios[index]) === 'pending');
+  const approvedCount = scenarios.filter(scenario => reviewStatus(scenario) === 'approved').length;
+  const rejectedCount = scenarios.filter(scenario => reviewStatus(scenario) === 'rejected').length;
+  const reviewable = REVIEWABLE_STATUSES.includes(plan.status);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <Link href={`/projects/${plan.project_id}`} className="text-blue-600 hover:text-blue-700 text-sm">
+            ← Back to {plan.projects?.name || 'Project'}
+          </Link>
+          <div className="mt-4 flex justify-between items-start">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">
+                Plan #{plan.id.slice(0, 8)}
+              </h1>
+              <p className="mt-2 text-gray-600">{plan.plan_json?.summary}</p>
+              {plan.pr_url && (
+                <a href={plan.pr_url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:text-blue-700">
+                  {plan.pr_url}
+                </a>
+              )}
+              {plan.plan_json?.revisionOf && (
+                <p className="text-sm text-gray-500 mt-1">
+                  Imported from {plan.plan_json.revisionOf.format} as a revision of{' '}
+                  <Link href={`/plans/${plan.plan_json.revisionOf.planId}`} className="text-blue-600 hover:text-blue-700">
+                    Plan #{plan.plan_json.revisionOf.planId.slice(0, 8)}
+                  </Link>
+                </p>
+              )}
+            </div>
+            <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${STATUS_COLORS[plan.status] || 'bg-gray-100 text-gray-800'}`}>
+              {plan.status}
+            </span>
+          </div>
+        </div>
+
+        {/* Review Summary */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8 flex justify-between items-center">
+          <p className="text-sm text-gray-600">
+            {approvedCount} approved, {rejectedCount} rejected, {pendingIndexes.length} pending of {scenarios.length} scenarios.
+            {plan.status === 'draft' && ' Tests are generated from approved scenarios once every scenario is reviewed.'}
+          </p>
+          <div className="flex space-x-3">
+            {reviewable && pendingIndexes.length > 0 && (
+              <button
+                onClick={() => submitDecisions(pendingIndexes.map(index => ({ index, status: 'approved' })))}
+                disabled={saving}
+                className="px-4 py-2 border border-green-300 rounded-md text-sm font-medium text-green-700 bg-white hover:bg-green-50 disabled:opacity-50"
+              >
+                Approve All Pending
+              </button>
+            )}
+            {plan.status === 'approved' && (
+              <button
+                onClick={handleGenerate}
+                disabled={generating}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                {generating ? 'Starting...' : 'Generate Tests'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Export & Import */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8 flex justify-between items-center">
+          <div className="flex items-center space-x-3 text-sm">
+            <span className="text-gray-600">Export:</span>
+            {EXPORT_FORMATS.map(({ format, label }) => (
+              <a
+                key={format}
+                href={`/api/plans/${params.id}/export?format=${format}`}
+                className="text-blue-600 hover:text-blue-700"
+              >
+                {label}
+              </a>
+            ))}
+          </div>
+          <div className="flex items-center space-x-3 text-sm">
+            <span className="text-gray-600">Import edited export as a revision:</span>
+            <select
+              value={importFormat}
+              onChange={(e) => setImportFormat(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {EXPORT_FORMATS.filter(({ format }) => format !== 'markdown').map(({ format, label }) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+            <label className={`px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 cursor-pointer ${importing ? 'opacity-50 pointer-events-none' : ''}`}>
+              {importing ? 'Importing...' : 'Choose File'}
+              <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+            </label>
+          </div>
+        </div>
+
+        {/* Scenarios */}
+        <div className="bg-white rounded-lg shadow mb-8">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Scenarios</h2>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {scenarios.map((scenario, index) => (
+              <div key={index} className="p-6">
+                {editing === index ? (
+                  <ScenarioEditor
+                    scenario={scenario}
+                    saving={saving}
+                    onSave={(edit) => submitDecisions([{ index, scenario: edit }])}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[reviewStatus(scenario)]}`}>
+                          {reviewStatus(scenario)}
+                        </span>
+                        <h3 className="text-sm font-medium text-gray-900">{scenario.name}</h3>
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs ${PRIORITY_COLORS[scenario.priority] || PRIORITY_COLORS.low}`}>
+                          {scenario.priority}
+                        </span>
+                        {scenario.risk && (
+                          <span className="text-xs text-gray-500">risk {scenario.risk.score}</span>
+                        )}
+                      </div>
+                      {scenario.description && (
+                        <p className="text-sm text-gray-600 mt-2">{scenario.description}</p>
+                      )}
+                      <ol className="mt-2 list-decimal list-inside text-sm text-gray-700 space-y-1">
+                        {(scenario.steps || []).map((step, stepIndex) => (
+                          <li key={stepIndex}>{step}</li>
+                        ))}
+                      </ol>
+                      <p className="text-sm text-gray-700 mt-2">
+                        <span className="font-medium">Expected:</span> {scenario.expectedOutcome}
+                      </p>
+                      {scenario.issue && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          {scenario.category === 'reproduction' ? 'Reproduces' : 'Regression test for'}{' '}
+                          <a href={scenario.issue.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700">
+                            #{scenario.issue.number} {scenario.issue.title}
+                          </a>
+                        </p>
+                      )}
+                      {(scenario.suite || scenario.tags?.length > 0) && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          {scenario.suite && <span className="mr-2">Suite: {scenario.suite}</span>}
+                          {scenario.tags?.join(' ')}
+                        </p>
+                      )}
+                      {scenario.duplicateOf && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          Covered by existing test “{scenario.duplicateOf.title}”
+                        </p>
+                      )}
+                      {scenario.review?.comment && (
+                        <p className="text-xs text-gray-500 mt-2">Review note: {scenario.review.comment}</p>
+                      )}
+                    </div>
+
+                    {reviewable && (
+                      <div className="ml-4 flex space-x-2">
+                        {reviewStatus(scenario) !== 'approved' && (
+                          <button
+                            onClick={() => submitDecisions([{ index, status: 'approved' }])}
+                            disabled={saving}
+                            className="text-sm text-green-600 hover:text-green-700 disabled:opacity-50"
+                          >
+                            Approve
+                          </button>
+                        )}
+                        {reviewStatus(scenario) !== 'rejected' && (
+                          <button
+                            onClick={() => {
+                              const comment = prompt('Why is this scenario rejected? (optional)');
+                              if (comment !== null) {
+                                submitDecisions([{ index, status: 'rejected', ...(comment && { comment }) }]);
+                              }
+                            }}
+                            disabled={saving}
+                            className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                          >
+                            Reject
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setEditing(index)}
+                          className="text-sm text-blue-600 hover:text-blue-700"
+                        >
+                          Edit
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Review History */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Review History</h2>
+          {reviews.length === 0 ? (
+            <p className="text-sm text-gray-500">No review decisions yet</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {reviews.map(review => (
+                <li key={review.id} className="flex items-center space-x-3">
+                  <span className="text-gray-400">{new Date(review.created_at).toLocaleString()}</span>
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[review.decision]}`}>
+                    {review.decision}
+                  </span>
+                  <span className="text-gray-900">{review.scenario_name || 'Whole plan'}</span>
+                  <span className="text-gray-500">by {review.reviewed_by ? review.reviewed_by.slice(0, 8) : 'runner'}</span>
+                  {review.comment && <span className="text-gray-500">: {review.comment}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,13 +4,24 @@ import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import Link from 'next/link';
 
+const PLAN_STATUS_COLORS = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  generating: 'bg-blue-100 text-blue-800',
+  generated: 'bg-green-100 text-green-800',
+  error: 'bg-red-100 text-red-800',
+};
+
 export default function ProjectDetailsPage() {
   const params = useParams();
   const router = useRouter();
   const [project, setProject] = useState(null);
+  const [plans, setPlans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deleting, setDeleting] = useState(false);
+  const [exploring, setExploring] = useState(false);
 
   useEffect(() => {
     fetchProject();
@@ -30,6 +41,12 @@ export default function ProjectDetailsPage() {
 
       const data = await res.json();
       setProject(data.project);
+
+      const plansRes = await fetch(`/api/plans?project_id=${params.id}`);
+      if (plansRes.ok) {
+        const plansData = await plansRes.json();
+        setPlans(plansData.plans);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -59,6 +76,28 @@ export default function ProjectDetailsPage() {
     }
   };
 
+  const handleExplore = async () => {
+    setExploring(true);
+    try {
+      const res = await fetch('/api/plans', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ project_id: params.id, explore: true }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to start exploration');
+      }
+
+      alert('Exploring the app. The plan will appear under Plans for review once the crawl finishes.');
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setExploring(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -214,6 +253,17 @@ export default function ProjectDetailsPage() {
                     <p className="text-sm text-gray-600 mt-1">Let AI create tests from a pull request</p>
                   </button>
                   
+                  {project.app_base_url && (
+                    <button
+                      onClick={handleExplore}
+                      disabled={exploring}
+                      className="p-4 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors text-left disabled:opacity-50"
+                    >
+                      <h4 className="font-medium text-gray-900">{exploring ? 'Starting...' : 'Explore App'}</h4>
+                      <p className="text-sm text-gray-600 mt-1">Crawl {project.app_base_url} and plan tests from what it finds</p>
+                    </button>
+                  )}
+                  
                   <button className="p-4 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors text-left">
                     <h4 className="font-medium text-gray-900">Add Test User</h4>
                     <p className="text-sm text-gray-600 mt-1">Configure test credentials for authentication</p>
@@ -226,6 +276,35 @@ export default function ProjectDetailsPage() {
                 </div>
               </div>
 
+              {/* Plans */}
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Plans</h3>
+                {plans.length === 0 ? (
+                  <div className="text-center py-12 text-gray-500 border-2 border-dashed border-gray-200 rounded-lg">
+                    <p>No plans yet</p>
+                    <p className="text-sm mt-2">Plans from PRs, specs and explorations appear here for review</p>
+                  </div>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {plans.slice(0, 10).map(plan => (
+                      <li key={plan.id}>
+                        <Link href={`/plans/${plan.id}`} className="flex items-center justify-between px-4 py-3 hover:bg-gray-50">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{plan.plan_json?.summary || `Plan #${plan.id.slice(0, 8)}`}</p>
+                            <p className="text-xs text-gray-500 mt-1">
+                              {plan.plan_json?.scenarios?.length || 0} scenarios · {new Date(plan.created_at).toLocaleString()}
+                            </p>
+                          </div>
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${PLAN_STATUS_COLORS[plan.status] || 'bg-gray-100 text-gray-800'}`}>
+                            {plan.status}
+                          </span>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
               {/* Recent Activity */}
               <div>
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Activity</h3>
@@ -1,7 +1,8 @@
 /**
  * Project Settings Page
  * 
- * Configure test execution settings including retry, timeout, and environment variables.
+ * Configure test execution settings including retry, timeout, and environment variables,
+ * and the cron schedules that run the project's tests.
  */
 
 'use client';
@@ -9,6 +10,258 @@
 import { useEffect, useState } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 
+const EMPTY_SCHEDULE = {
+  name: '',
+  cron: '0 6 * * *',
+  timezone: 'UTC',
+  tags: '',
+  environment_name: '',
+  base_url: '',
+};
+
+/**
+ * Create, pause and delete the project's scheduled runs
+ */
+function SchedulesSection({ projectId }) {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(EMPTY_SCHEDULE);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [projectId]);
+
+  async function loadSchedules() {
+    try {
+      const response = await fetch(`/api/projects/${projectId}/schedules`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load schedules');
+      }
+      
+      const data = await response.json();
+      setSchedules(data.schedules || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function createSchedule(e) {
+    e.preventDefault();
+    
+    try {
+      setCreating(true);
+      setError(null);
+      
+      const response = await fetch(`/api/projects/${projectId}/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          cron: form.cron,
+          timezone: form.timezone,
+          tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+          environment: {
+            ...(form.environment_name && { name: form.environment_name }),
+            ...(form.base_url && { base_url: form.base_url }),
+          },
+        }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create schedule');
+      }
+      
+      setSchedules(prev => [...prev, data.schedule]);
+      setForm(EMPTY_SCHEDULE);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  async function toggleSchedule(schedule) {
+    try {
+      setError(null);
+      
+      const response = await fetch(`/api/schedules/${schedule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !schedule.enabled }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update schedule');
+      }
+      
+      setSchedules(prev => prev.map(s => (s.id === schedule.id ? data.schedule : s)));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function deleteSchedule(schedule) {
+    if (!confirm(`Delete schedule "${schedule.name}"?`)) {
+      return;
+    }
+    
+    try {
+      setError(null);
+      
+      const response = await fetch(`/api/schedules/${schedule.id}`, { method: 'DELETE' });
+      
+      if (!response.ok) {
+        throw new Error('Failed to delete schedule');
+      }
+      
+      setSchedules(prev => prev.filter(s => s.id !== schedule.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function updateForm(key, value) {
+    setForm(prev => ({ ...prev, [key]: value }));
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Scheduled Runs</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Run tests on a cron schedule. Leave tags empty to run every suite in the project.
+      </p>
+      
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+          {error}
+        </div>
+      )}
+      
+      {schedules.length > 0 && (
+        <div className="mb-6 divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {schedules.map(schedule => (
+            <div key={schedule.id} className="flex items-center justify-between p-4">
+              <div>
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">{schedule.name}</span>
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${schedule.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                    {schedule.enabled ? 'active' : 'paused'}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  <code>{schedule.cron}</code> ({schedule.timezone})
+                  {schedule.tags?.length > 0 && ` · tags: ${schedule.tags.join(', ')}`}
+                  {schedule.environment?.name && ` · ${schedule.environment.name}`}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {schedule.enabled && schedule.next_run_at && `Next run: ${new Date(schedule.next_run_at).toLocaleString()}`}
+                  {schedule.last_run_at && ` · Last run: ${new Date(schedule.last_run_at).toLocaleString()}`}
+                </p>
+                {schedule.last_error && (
+                  <p className="text-xs text-red-600 mt-1">{schedule.last_error}</p>
+                )}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => toggleSchedule(schedule)}
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  {schedule.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => deleteSchedule(schedule)}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      <form onSubmit={createSchedule} className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            required
+            value={form.name}
+            onChange={(e) => updateForm('name', e.target.value)}
+            placeholder="Nightly regression"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Cron Expression</label>
+          <input
+            type="text"
+            required
+            value={form.cron}
+            onChange={(e) => updateForm('cron', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Time Zone</label>
+          <input
+            type="text"
+            value={form.timezone}
+            onChange={(e) => updateForm('timezone', e.target.value)}
+            placeholder="Europe/Berlin"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Suite Tags</label>
+          <input
+            type="text"
+            value={form.tags}
+            onChange={(e) => updateForm('tags', e.target.value)}
+            placeholder="smoke, checkout"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Environment</label>
+          <input
+            type="text"
+            value={form.environment_name}
+            onChange={(e) => updateForm('environment_name', e.target.value)}
+            placeholder="staging"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Base URL Override</label>
+          <input
+            type="url"
+            value={form.base_url}
+            onChange={(e) => updateForm('base_url', e.target.value)}
+            placeholder="https://staging.example.com"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div className="col-span-2 flex justify-end">
+          <button
+            type="submit"
+            disabled={creating}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {creating ? 'Creating...' : 'Add Schedule'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
 export default function SettingsPage() {
   const params = useParams();
   const router = useRouter();
@@ -49,6 +302,10 @@ export default function SettingsPage() {
     // Other settings
     ignore_https_errors: false,
     base_url: '',
+    
+    // Planning settings
+    plan_skip_patterns: [],
+    auto_approve_plans: false,
   });
 
   useEffect(() => {
@@ -391,6 +648,46 @@ export default function SettingsPage() {
             </div>
           </div>
 
+          {/* Planning Settings */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Planning</h2>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Skipped Files
+              </label>
+              <textarea
+                value={settings.plan_skip_patterns.join('\n')}
+                onChange={(e) => updateSetting('plan_skip_patterns', e.target.value.split('\n'))}
+                placeholder={'docs/**\n*.svg\n!apps/web/build/routes.js'}
+                rows={4}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500"
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Glob patterns, one per line, for files to leave out when planning from a PR diff.
+                Lockfiles, generated code and snapshots are always skipped; prefix a pattern with ! to include a file again.
+              </p>
+            </div>
+            
+            <div className="mt-4">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="auto_approve_plans"
+                  checked={settings.auto_approve_plans}
+                  onChange={(e) => updateSetting('auto_approve_plans', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="auto_approve_plans" className="ml-2 text-sm text-gray-700">
+                  Approve new plans automatically
+                </label>
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                Skips the review step: every planned scenario is approved and tests are generated right away.
+              </p>
+            </div>
+          </div>
+
           {/* Save Button */}
           <div className="flex justify-end gap-4">
             <button
@@ -407,6 +704,9 @@ export default function SettingsPage() {
               {saving ? 'Saving...' : 'Save Settings'}
             </button>
           </div>
+
+          {/* Schedules (saved independently of the settings above) */}
+          <SchedulesSection projectId={projectId} />
         </div>
       </div>
     </div>
@@ -12,8 +12,101 @@ const STATUS_COLORS = {
   flaky: 'bg-yellow-100 text-yellow-800',
   skipped: 'bg-gray-100 text-gray-600',
   error: 'bg-red-100 text-red-800',
+  done: 'bg-green-100 text-green-800',
+  dead: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600',
 };
 
+const STAGE_LABELS = {
+  plan: 'Plan',
+  generate: 'Generate',
+  run: 'Run',
+};
+
+const EVENT_POLL_INTERVAL = 3000;
+
+/**
+ * Live progress of a pipeline stage, from its job events
+ */
+function JobProgress({ jobId, onFinished }) {
+  const [events, setEvents] = useState([]);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    let lastEventId = 0;
+    let timer = null;
+    let stopped = false;
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`/api/jobs/${jobId}/events?after=${lastEventId}`);
+        if (!res.ok) {
+          return;
+        }
+
+        const data = await res.json();
+        if (stopped) {
+          return;
+        }
+
+        if (data.events.length > 0) {
+          lastEventId = data.events[data.events.length - 1].id;
+          setEvents(prev => [...prev, ...data.events]);
+        }
+        if (data.progress !== null) {
+          setProgress(data.progress);
+        }
+
+        if (data.job.status !== 'queued' && data.job.status !== 'running') {
+          stopped = true;
+          onFinished?.();
+        }
+      } catch (error) {
+        // Keep what was shown and try again on the next tick
+        console.error('Error polling job events:', error);
+      } finally {
+        if (!stopped) {
+          timer = setTimeout(poll, EVENT_POLL_INTERVAL);
+        }
+      }
+    };
+
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [jobId]);
+
+  const recent = events.slice(-8).reverse();
+
+  return (
+    <div className="mt-4">
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>{events.length > 0 ? events[events.length - 1].message : 'Waiting for a worker...'}</span>
+        {progress !== null && <span>{progress}%</span>}
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className="bg-blue-600 h-2 rounded-full transition-all"
+          style={{ width: `${progress ?? 0}%` }}
+        ></div>
+      </div>
+      {recent.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-gray-500">
+          {recent.map(event => (
+            <li key={event.id}>
+              <span className="text-gray-400">{new Date(event.created_at).toLocaleTimeString()}</span>{' '}
+              {event.message || event.type}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 export default function RunDetailsPage() {
   const params = useParams();
   const [run, setRun] = useState(null);
@@ -24,9 +117,9 @@ export default function RunDetailsPage() {
     fetchRun();
   }, [params.id]);
 
-  const fetchRun = async () => {
+  const fetchRun = async (showLoading = true) => {
     try {
-      setLoading(true);
+      setLoading(showLoading);
       const res = await fetch(`/api/runs/${params.id}`);
       
       if (!res.ok) {
@@ -101,6 +194,39 @@ export default function RunDetailsPage() {
           </div>
         </div>
 
+        {/* Pipeline */}
+        {run.pipeline && (
+          <div className="bg-white rounded-lg shadow p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Pipeline</h2>
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[run.pipeline.status]}`}>
+                {run.pipeline.status}
+              </span>
+            </div>
+            <ol className="flex flex-wrap items-center gap-3">
+              {run.pipeline.stages.map((stage, index) => (
+                <li key={stage.id} className="flex items-center gap-3">
+                  {index > 0 && <span className="text-gray-400">→</span>}
+                  <div className="border border-gray-200 rounded-md px-3 py-2" title={stage.last_error || undefined}>
+                    <p className="text-sm font-medium text-gray-900">
+                      {STAGE_LABELS[stage.kind] || stage.kind}
+                      <span className="ml-1 text-xs text-gray-500">#{stage.id}</span>
+                    </p>
+                    <span className={`inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_COLORS[stage.status]}`}>
+                      {stage.status}
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ol>
+            {run.pipeline.stages
+              .filter(stage => stage.status === 'running')
+              .map(stage => (
+                <JobProgress key={stage.id} jobId={stage.id} onFinished={() => fetchRun(false)} />
+              ))}
+          </div>
+        )}
+
         {/* Stats */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow">
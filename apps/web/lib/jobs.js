@@ -6,6 +6,23 @@
 
 import { createClient } from '@supabase/supabase-js';
 
+/**
+ * Job priorities (higher runs first), keyed by run trigger
+ * Keep in sync with JOB_PRIORITIES in services/runner/lib/jobs.js
+ */
+export const JOB_PRIORITIES = {
+  pr: 10,
+  manual: 5,
+  api: 5,
+  schedule: 0,
+};
+
+/**
+ * How long an idempotency key keeps returning the job it created
+ * Keep in sync with IDEMPOTENCY_WINDOW_SECONDS in services/runner/lib/jobs.js
+ */
+export const IDEMPOTENCY_WINDOW_SECONDS = 3600;
+
 /**
  * Get Supabase client with service role (for job queue access)
  */
@@ -23,32 +40,83 @@ function getServiceClient() {
 /**
  * Enqueue a job
  * 
+ * With an idempotency key, enqueueing again with the same key within
+ * IDEMPOTENCY_WINDOW_SECONDS returns the first job (created: false)
+ * instead of adding another one.
+ * 
  * @param {string} kind - Job kind (plan, generate, run)
  * @param {object} payload - Job payload
- * @returns {Promise<object>} Created job
+ * @param {object} options - Enqueue options
+ * @param {number} options.priority - Job priority (see JOB_PRIORITIES)
+ * @param {string} options.idempotencyKey - Deduplication key (optional)
+ * @returns {Promise<object>} { id, kind, pipeline_id, payload, created }
  */
-export async function enqueueJob(kind, payload) {
+export async function enqueueJob(kind, payload, options = {}) {
   const supabase = getServiceClient();
   
-  const { data: job, error } = await supabase
-    .from('jobs_queue')
-    .insert({
-      kind,
-      payload,
-      status: 'pending',
-    })
-    .select()
-    .single();
+  const { data, error } = await supabase.rpc('enqueue_job', {
+    job_kind: kind,
+    job_payload: payload,
+    job_priority: options.priority ?? JOB_PRIORITIES.manual,
+    key: options.idempotencyKey || null,
+    window_seconds: IDEMPOTENCY_WINDOW_SECONDS,
+  });
   
-  if (error) {
-    throw new Error(`Failed to enqueue job: ${error.message}`);
+  if (error || !data || data.length === 0) {
+    throw new Error(`Failed to enqueue job: ${error?.message || 'no job returned'}`);
   }
   
-  console.log(`[Jobs] Enqueued ${kind} job: ${job.id}`);
+  const job = { ...data[0], kind };
+  
+  if (job.created) {
+    console.log(`[Jobs] Enqueued ${kind} job: ${job.id}`);
+  } else {
+    console.log(`[Jobs] Reusing ${kind} job ${job.id} for idempotency key ${options.idempotencyKey}`);
+  }
   
   return job;
 }
 
+/**
+ * Build an idempotency key from a client-supplied Idempotency-Key header
+ * 
+ * The key is scoped so that clients (and users) cannot collide with each
+ * other or with keys the server derives itself, such as webhook keys.
+ * 
+ * @param {Request} request - Incoming request
+ * @param {string} scope - Scope for the key, e.g. `runs:${user.id}`
+ * @returns {string|null} Key, or null if the client did not send one
+ */
+export function getRequestIdempotencyKey(request, scope) {
+  const header = request.headers.get('idempotency-key');
+  return header ? `client:${scope}:${header}` : null;
+}
+
+/**
+ * Find the job created for an idempotency key within the window
+ * 
+ * @param {string} idempotencyKey - Deduplication key
+ * @returns {Promise<object|null>} Job, or null if the key is unused or expired
+ */
+export async function findJobByIdempotencyKey(idempotencyKey) {
+  const supabase = getServiceClient();
+  const since = new Date(Date.now() - IDEMPOTENCY_WINDOW_SECONDS * 1000).toISOString();
+  
+  const { data: jobs, error } = await supabase
+    .from('jobs_queue')
+    .select('*')
+    .eq('idempotency_key', idempotencyKey)
+    .gt('created_at', since)
+    .order('id', { ascending: false })
+    .limit(1);
+  
+  if (error) {
+    throw new Error(`Failed to look up idempotency key: ${error.message}`);
+  }
+  
+  return jobs?.[0] || null;
+}
+
 /**
  * Enqueue a plan job
  * 
@@ -56,18 +124,44 @@ export async function enqueueJob(kind, payload) {
  * @param {object} options - Plan options
  * @param {string} options.suiteId - Suite ID (optional)
  * @param {string} options.prUrl - PR URL (optional)
+ * @param {string} options.issueUrl - GitHub issue URL (optional)
+ * @param {string} options.issueQuery - Issue search qualifiers for the project's repository (optional)
  * @param {string} options.specMd - Spec markdown (optional)
- * @param {boolean} options.autoGenerate - Auto-generate tests after planning
- * @returns {Promise<object>} Created job
+ * @param {string} options.openapiUrl - OpenAPI document URL (optional)
+ * @param {string|object} options.openapiSpec - Uploaded OpenAPI document (optional)
+ * @param {boolean} options.explore - Crawl the project's app_base_url (optional)
+ * @param {number} options.maxDepth - Link depth to crawl (optional)
+ * @param {number} options.maxPages - Pages to crawl at most (optional)
+ * @param {number} options.maxScenarios - Generate only the top-K scenarios by risk (optional)
+ * @param {number} options.maxTests - Run only the top-K tests by risk (optional)
+ * @param {Array<{path: string, content: string}>} options.featureFiles - Uploaded Gherkin files (optional)
+ * @param {string[]} options.featurePaths - Gherkin files to read from the project's repository (optional)
+ * @param {string} options.featureRef - Git ref to read featurePaths at (optional)
+ * @param {boolean} options.autoGenerate - Auto-generate tests if the plan is approved as it is saved
+ * @param {number} options.priority - Job priority (see JOB_PRIORITIES)
+ * @param {string} options.idempotencyKey - Deduplication key (optional)
+ * @returns {Promise<object>} Created (or reused) job
  */
 export async function enqueuePlanJob(projectId, options = {}) {
   return enqueueJob('plan', {
     project_id: projectId,
     suite_id: options.suiteId,
     pr_url: options.prUrl,
+    issue_url: options.issueUrl,
+    issue_query: options.issueQuery,
     spec_md: options.specMd,
+    openapi_url: options.openapiUrl,
+    openapi_spec: options.openapiSpec,
+    explore: options.explore,
+    max_depth: options.maxDepth,
+    max_pages: options.maxPages,
+    max_scenarios: options.maxScenarios,
+    max_tests: options.maxTests,
+    feature_files: options.featureFiles,
+    feature_paths: options.featurePaths,
+    feature_ref: options.featureRef,
     auto_generate: options.autoGenerate ?? true,
-  });
+  }, { priority: options.priority, idempotencyKey: options.idempotencyKey });
 }
 
 /**
@@ -76,14 +170,15 @@ export async function enqueuePlanJob(projectId, options = {}) {
  * @param {string} planId - Plan ID
  * @param {string} projectId - Project ID
  * @param {boolean} autoRun - Auto-run tests after generation
- * @returns {Promise<object>} Created job
+ * @param {object} options - Enqueue options (see enqueueJob)
+ * @returns {Promise<object>} Created (or reused) job
  */
-export async function enqueueGenerateJob(planId, projectId, autoRun = true) {
+export async function enqueueGenerateJob(planId, projectId, autoRun = true, options = {}) {
   return enqueueJob('generate', {
     plan_id: planId,
     project_id: projectId,
     auto_run: autoRun,
-  });
+  }, options);
 }
 
 /**
@@ -91,13 +186,18 @@ export async function enqueueGenerateJob(planId, projectId, autoRun = true) {
  * 
  * @param {string} runId - Run ID
  * @param {string} projectId - Project ID
- * @returns {Promise<object>} Created job
+ * @param {object} options - Enqueue options
+ * @param {number} options.priority - Job priority (see JOB_PRIORITIES)
+ * @param {string} options.idempotencyKey - Deduplication key (optional)
+ * @param {object} options.payload - Extra payload fields (e.g. pr_url, head_sha)
+ * @returns {Promise<object>} Created (or reused) job; a reused job's payload.run_id is the original run
  */
-export async function enqueueRunJob(runId, projectId) {
+export async function enqueueRunJob(runId, projectId, options = {}) {
   return enqueueJob('run', {
+    ...options.payload,
     run_id: runId,
     project_id: projectId,
-  });
+  }, { priority: options.priority, idempotencyKey: options.idempotencyKey });
 }
 
 /**
@@ -120,4 +220,290 @@ export async function getJobStatus(jobId) {
   }
   
   return job;
-}
\ No newline at end of file
+}
+
+/**
+ * Resolve the project a job belongs to
+ * 
+ * Plan and generate jobs carry project_id in their payload; run jobs
+ * queued from the web app only carry run_id, so fall back to the run.
+ * 
+ * @param {object} job - Job row
+ * @returns {Promise<string|null>} Project ID
+ */
+export async function getJobProjectId(job) {
+  if (job.payload?.project_id) {
+    return job.payload.project_id;
+  }
+  
+  if (job.payload?.run_id) {
+    const supabase = getServiceClient();
+    const { data: run } = await supabase
+      .from('runs')
+      .select('project_id')
+      .eq('id', job.payload.run_id)
+      .single();
+    
+    return run?.project_id || null;
+  }
+  
+  return null;
+}
+
+/**
+ * List jobs, optionally filtered by status and project
+ * 
+ * @param {object} filters - Query filters
+ * @param {string} filters.status - Job status (e.g. 'dead')
+ * @param {string} filters.projectId - Project ID
+ * @param {number} filters.limit - Maximum number of jobs to return
+ * @returns {Promise<Array>} Jobs, newest first
+ */
+export async function listJobs({ status, projectId, limit = 50 } = {}) {
+  const supabase = getServiceClient();
+  
+  let query = supabase
+    .from('jobs_queue')
+    .select('*')
+    .order('id', { ascending: false })
+    .limit(limit);
+  
+  if (status) {
+    query = query.eq('status', status);
+  }
+  
+  if (projectId) {
+    query = query.eq('project_id', projectId);
+  }
+  
+  const { data: jobs, error } = await query;
+  
+  if (error) {
+    throw new Error(`Failed to list jobs: ${error.message}`);
+  }
+  
+  return jobs;
+}
+
+/**
+ * Re-drive a dead job
+ * 
+ * Puts the job back in the queue with a fresh set of attempts.
+ * The last error is kept for reference until the job fails again.
+ * 
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Re-queued job, or null if the job is not dead
+ */
+export async function redriveJob(jobId) {
+  const supabase = getServiceClient();
+  
+  const { data: jobs, error } = await supabase
+    .from('jobs_queue')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      scheduled_at: new Date().toISOString(),
+      locked_by: null,
+      locked_at: null,
+    })
+    .eq('id', jobId)
+    .eq('status', 'dead')
+    .select();
+  
+  if (error) {
+    throw new Error(`Failed to re-drive job: ${error.message}`);
+  }
+  
+  if (!jobs || jobs.length === 0) {
+    return null;
+  }
+  
+  console.log(`[Jobs] Re-drove ${jobs[0].kind} job: ${jobId}`);
+  
+  return jobs[0];
+}
+
+/**
+ * List progress events for a job, oldest first
+ * 
+ * @param {number} jobId - Job ID
+ * @param {object} options
+ * @param {number} options.after - Only return events with a higher ID (for polling)
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Array>} Events
+ */
+export async function getJobEvents(jobId, { after = 0, limit = 200 } = {}) {
+  const supabase = getServiceClient();
+  
+  const { data: events, error } = await supabase
+    .from('job_events')
+    .select('id, type, stage, message, progress, data, created_at')
+    .eq('job_id', jobId)
+    .gt('id', after)
+    .order('id', { ascending: true })
+    .limit(limit);
+  
+  if (error) {
+    throw new Error(`Failed to get job events: ${error.message}`);
+  }
+  
+  return events || [];
+}
+
+/**
+ * Cancel a queued or running job
+ * 
+ * Jobs that depend on it in the same pipeline are cancelled too. A running
+ * job is stopped by its worker on the worker's next heartbeat.
+ * 
+ * @param {number} jobId - Job ID
+ * @param {object} options
+ * @param {string} options.reason - Why the job was cancelled
+ * @param {string} options.actor - Who cancelled it (user ID)
+ * @returns {Promise<object|null>} { id, status, previous_status }, or null if the job was not queued or running
+ */
+export async function cancelJob(jobId, options = {}) {
+  const supabase = getServiceClient();
+  
+  const { data, error } = await supabase.rpc('cancel_job', {
+    job_id: jobId,
+    reason: options.reason || null,
+    actor: options.actor || null,
+  });
+  
+  if (error) {
+    throw new Error(`Failed to cancel job: ${error.message}`);
+  }
+  
+  if (!data || data.length === 0) {
+    return null;
+  }
+  
+  console.log(`[Jobs] Cancelled job ${jobId} (was ${data[0].previous_status})`);
+  
+  return data[0];
+}
+
+/**
+ * Cancel a run and the jobs executing it
+ * 
+ * A run whose job has not started is marked cancelled right away. A run
+ * that is executing is marked cancelled by the runner once it has stopped
+ * Playwright and saved the partial results.
+ * 
+ * @param {string} runId - Run ID
+ * @param {object} options - Same as cancelJob
+ * @returns {Promise<{jobs: Array, stopping: boolean}>} Cancelled jobs, and whether a worker still has to stop the run
+ */
+export async function cancelRun(runId, options = {}) {
+  const supabase = getServiceClient();
+  
+  const { data: jobs, error } = await supabase
+    .from('jobs_queue')
+    .select('id')
+    .eq('kind', 'run')
+    .eq('payload->>run_id', runId)
+    .in('status', ['queued', 'running']);
+  
+  if (error) {
+    throw new Error(`Failed to find jobs for run: ${error.message}`);
+  }
+  
+  const cancelled = [];
+  for (const job of jobs || []) {
+    const result = await cancelJob(job.id, options);
+    if (result) {
+      cancelled.push(result);
+    }
+  }
+  
+  const stopping = cancelled.some(job => job.previous_status === 'running');
+  
+  if (!stopping) {
+    const { error: updateError } = await supabase
+      .from('runs')
+      .update({
+        status: 'cancelled',
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', runId)
+      .in('status', ['queued', 'running']);
+    
+    if (updateError) {
+      throw new Error(`Failed to cancel run: ${updateError.message}`);
+    }
+  }
+  
+  return { jobs: cancelled, stopping };
+}
+
+/**
+ * Derive a pipeline's overall status from its stages
+ * 
+ * @param {Array} jobs - Jobs in the pipeline
+ * @returns {string} failed, cancelled, running, queued or done
+ */
+function getPipelineStatus(jobs) {
+  const statuses = jobs.map(job => job.status);
+  
+  if (statuses.includes('dead') || statuses.includes('error')) return 'failed';
+  if (statuses.includes('cancelled')) return 'cancelled';
+  if (statuses.includes('running')) return 'running';
+  if (statuses.includes('queued')) return 'queued';
+  return 'done';
+}
+
+/**
+ * Get a pipeline (plan -> generate -> run) with all of its stages
+ * 
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Promise<object|null>} Pipeline with status and stages, or null if not found
+ */
+export async function getPipeline(pipelineId) {
+  const supabase = getServiceClient();
+  
+  const { data: jobs, error } = await supabase
+    .from('jobs_queue')
+    .select('id, kind, status, attempts, last_error, parent_id, project_id, payload, scheduled_at, locked_at')
+    .eq('pipeline_id', pipelineId)
+    .order('id', { ascending: true });
+  
+  if (error) {
+    throw new Error(`Failed to get pipeline: ${error.message}`);
+  }
+  
+  if (!jobs || jobs.length === 0) {
+    return null;
+  }
+  
+  return {
+    id: pipelineId,
+    project_id: jobs[0].project_id,
+    status: getPipelineStatus(jobs),
+    stages: jobs,
+  };
+}
+
+/**
+ * Find the pipeline a run belongs to
+ * 
+ * @param {string} runId - Run ID
+ * @returns {Promise<string|null>} Pipeline ID of the latest job for the run
+ */
+export async function getRunPipelineId(runId) {
+  const supabase = getServiceClient();
+  
+  const { data: jobs, error } = await supabase
+    .from('jobs_queue')
+    .select('pipeline_id')
+    .eq('kind', 'run')
+    .eq('payload->>run_id', runId)
+    .order('id', { ascending: false })
+    .limit(1);
+  
+  if (error) {
+    throw new Error(`Failed to find pipeline for run: ${error.message}`);
+  }
+  
+  return jobs?.[0]?.pipeline_id || null;
+}
@@ -0,0 +1,529 @@
+/**
+ * Plan formats
+ *
+ * Renders plans as Markdown, CSV and TestRail or Xray CSV imports, and
+ * reads the CSV formats back, so scenarios edited in a spreadsheet can
+ * return as a new revision of the plan. Every CSV row carries the
+ * scenario's position in the exported plan (its QAAI ID), which is how
+ * edited rows are matched to the scenarios they came from.
+ */
+
+export const EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', suffix: '.md' },
+  csv: { contentType: 'text/csv; charset=utf-8', suffix: '.csv' },
+  testrail: { contentType: 'text/csv; charset=utf-8', suffix: '-testrail.csv' },
+  xray: { contentType: 'text/csv; charset=utf-8', suffix: '-xray.csv' },
+};
+
+// Formats that can be imported back
+export const IMPORT_FORMATS = ['csv', 'testrail', 'xray'];
+
+// Scenario fields a spreadsheet can change; the rest carry over from the plan
+const EDITABLE_FIELDS = ['name', 'description', 'priority', 'complexity', 'steps', 'expectedOutcome'];
+
+const COMPLEXITIES = ['simple', 'moderate', 'complex'];
+
+// Priority names used by QAAI, TestRail and Jira, and what they import as
+const PRIORITY_ALIASES = {
+  high: 'high',
+  highest: 'high',
+  critical: 'high',
+  blocker: 'high',
+  medium: 'medium',
+  normal: 'medium',
+  low: 'low',
+  lowest: 'low',
+  trivial: 'low',
+};
+
+const EXPORT_PRIORITIES = { high: 'High', medium: 'Medium', low: 'Low' };
+
+const CSV_COLUMNS = ['QAAI ID', 'Name', 'Description', 'Priority', 'Complexity', 'Steps', 'Expected Outcome', 'Review', 'Risk Score', 'Covers'];
+const TESTRAIL_COLUMNS = ['QAAI ID', 'Title', 'Section', 'Priority', 'Type', 'Preconditions', 'Steps', 'Expected Result', 'References'];
+const XRAY_COLUMNS = ['TCID', 'Summary', 'Description', 'Priority', 'Labels', 'Test Type', 'Action', 'Data', 'Expected Result'];
+
+/**
+ * Quote a CSV cell. Cells a spreadsheet would run as a formula get a
+ * leading apostrophe, which the importer strips again.
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV
+ */
+function toCSV(columns, rows) {
+  return [columns, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV (RFC 4180) into objects keyed by the header row
+ *
+ * @param {string} text - CSV contents
+ * @returns {Array<{line: number, values: object}>} Rows with their line numbers; header names are lowercased
+ * @throws {Error} If a quoted cell is not closed
+ */
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Line ${recordLine}: quoted cell is not closed`);
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  const rows = records.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].cells.map(name => name.trim().toLowerCase());
+
+  return rows.slice(1).map(({ line: rowLine, cells }) => ({
+    line: rowLine,
+    values: Object.fromEntries(header.map((name, i) => [name, (cells[i] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim()])),
+  }));
+}
+
+/**
+ * Join steps into one cell, one step per line
+ */
+function joinSteps(steps, numbered = false) {
+  return (steps || []).map((step, i) => (numbered ? `${i + 1}. ${step}` : step)).join('\n');
+}
+
+/**
+ * Split a steps cell into steps. Lines of a Gherkin data table or doc
+ * string stay with the step they belong to.
+ */
+function splitSteps(text, numbered = false) {
+  const steps = [];
+  let inDocString = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const continues = inDocString || line.startsWith('|') || line.startsWith('"""');
+
+    if (line.startsWith('"""')) {
+      inDocString = !inDocString;
+    }
+
+    if (continues && steps.length > 0) {
+      steps[steps.length - 1] += `\n${line}`;
+    } else if (line) {
+      steps.push(numbered ? line.replace(/^\d+[.)]\s+/, '') : line);
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * What a scenario covers: its route, endpoint, feature or changed files
+ */
+function coversOf(scenario) {
+  return scenario.endpoint
+    || scenario.route
+    || (scenario.gherkin && `${scenario.gherkin.file}:${scenario.gherkin.line}`)
+    || (scenario.files || []).join(', ');
+}
+
+/**
+ * Section a scenario goes in when imported into TestRail
+ */
+function sectionOf(scenario) {
+  return scenario.suite || scenario.gherkin?.feature || scenario.endpoint || scenario.route || 'QAAI Plan';
+}
+
+/**
+ * Link a scenario back to where it came from (issue, PR)
+ */
+function referenceOf(scenario, plan) {
+  return scenario.issue?.url || plan.pr_url || '';
+}
+
+/**
+ * Render a plan as Markdown
+ */
+function toMarkdown(plan) {
+  const { summary, scenarios = [], coverage = {} } = plan.plan_json;
+  const lines = [
+    `# Test Plan${plan.projects?.name ? `: ${plan.projects.name}` : ''}`,
+    '',
+    `- **Plan:** ${plan.id}`,
+    `- **Status:** ${plan.status}`,
+    `- **Created:** ${plan.created_at}`,
+  ];
+
+  if (plan.pr_url) {
+    lines.push(`- **Pull request:** ${plan.pr_url}`);
+  }
+  if (plan.plan_json.source) {
+    lines.push(`- **Source:** ${plan.plan_json.source}`);
+  }
+
+  lines.push('', '## Summary', '', summary || 'No summary', '', `## Scenarios (${scenarios.length})`);
+
+  scenarios.forEach((scenario, i) => {
+    const details = [
+      `**Priority:** ${scenario.priority}`,
+      scenario.complexity && `**Complexity:** ${scenario.complexity}`,
+      scenario.risk && `**Risk:** ${scenario.risk.score}`,
+      `**Review:** ${scenario.review?.status || 'approved'}`,
+    ].filter(Boolean);
+
+    lines.push('', `### ${i + 1}. ${scenario.name}`, '', details.join(' · '));
+
+    if (scenario.description) {
+      lines.push('', scenario.description);
+    }
+    if (coversOf(scenario)) {
+      lines.push('', `Covers: ${coversOf(scenario)}`);
+    }
+    if (scenario.issue) {
+      lines.push('', `Issue: [#${scenario.issue.number} ${scenario.issue.title}](${scenario.issue.url})`);
+    }
+
+    lines.push('', '**Steps**', '');
+    (scenario.steps || []).forEach((step, stepIndex) => {
+      lines.push(`${stepIndex + 1}. ${step.replace(/\n/g, '\n   ')}`);
+    });
+    lines.push('', `**Expected outcome:** ${scenario.expectedOutcome}`);
+  });
+
+  const coverageLists = [
+    ['Routes', coverage.routes],
+    ['Features', coverage.features],
+    ['Risk Areas', coverage.riskAreas],
+    ['Operations', coverage.operations?.map(operation => `${operation.method} ${operation.path} (${operation.scenarios} scenarios)`)],
+  ].filter(([, items]) => items?.length > 0);
+
+  if (coverageLists.length > 0) {
+    lines.push('', '## Coverage');
+    for (const [title, items] of coverageLists) {
+      lines.push('', `### ${title}`, '', ...items.map(item => `- ${item}`));
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a plan as CSV, one row per scenario
+ */
+function toQAAICSV(plan) {
+  return toCSV(CSV_COLUMNS, (plan.plan_json.scenarios || []).map((scenario, i) => [
+    i + 1,
+    scenario.name,
+    scenario.description,
+    scenario.priority,
+    scenario.complexity,
+    joinSteps(scenario.steps),
+    scenario.expectedOutcome,
+    scenario.review?.status || 'approved',
+    scenario.risk?.score,
+    coversOf(scenario),
+  ]));
+}
+
+/**
+ * Render a plan as a TestRail CSV import ("Test Case (Text)" template)
+ */
+function toTestRailCSV(plan) {
+  return toCSV(TESTRAIL_COLUMNS, (plan.plan_json.scenarios || []).map((scenario, i) => [
+    i + 1,
+    scenario.name,
+    sectionOf(scenario),
+    EXPORT_PRIORITIES[scenario.priority] || 'Medium',
+    scenario.issue ? 'Regression' : 'Functional',
+    scenario.description,
+    joinSteps(scenario.steps, true),
+    scenario.expectedOutcome,
+    referenceOf(scenario, plan),
+  ]));
+}
+
+/**
+ * Render a plan as an Xray CSV import: one row per step, grouped by TCID,
+ * with the expected outcome on the last step
+ */
+function toXrayCSV(plan) {
+  const rows = (plan.plan_json.scenarios || []).flatMap((scenario, i) => {
+    const labels = ['qaai', scenario.category, ...(scenario.tags || []).map(tag => tag.replace(/^@/, ''))]
+      .filter(Boolean)
+      .map(label => label.replace(/\s+/g, '_'))
+      .join(' ');
+    const steps = scenario.steps?.length > 0 ? scenario.steps : [''];
+
+    return steps.map((step, stepIndex) => [
+      i + 1,
+      stepIndex === 0 ? scenario.name : '',
+      stepIndex === 0 ? scenario.description : '',
+      stepIndex === 0 ? EXPORT_PRIORITIES[scenario.priority] || 'Medium' : '',
+      stepIndex === 0 ? labels : '',
+      stepIndex === 0 ? 'Manual' : '',
+      step,
+      '',
+      stepIndex === steps.length - 1 ? scenario.expectedOutcome : '',
+    ]);
+  });
+
+  return toCSV(XRAY_COLUMNS, rows);
+}
+
+/**
+ * Render a plan in an export format
+ *
+ * @param {object} plan - Plan row, with projects(name) if available
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} Exported plan
+ */
+export function exportPlan(plan, format) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(plan);
+    case 'csv':
+      return toQAAICSV(plan);
+    case 'testrail':
+      return toTestRailCSV(plan);
+    case 'xray':
+      return toXrayCSV(plan);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Read the scenarios of an imported file, in the order of their rows
+ *
+ * @returns {Array<{id: number|null, line: number, fields: object}>}
+ */
+function readScenarioRows(content, format) {
+  const rows = parseCSV(content);
+  const cell = (row, ...names) => names.map(name => row.values[name]).find(value => value !== undefined) ?? '';
+
+  if (format === 'xray') {
+    // Rows sharing a TCID are the steps of one test
+    const tests = [];
+    let current = null;
+
+    for (const row of rows) {
+      const tcid = cell(row, 'tcid', 'test case identifier');
+      const summary = cell(row, 'summary');
+
+      if (!current || (tcid && tcid !== current.tcid) || (!tcid && summary)) {
+        current = {
+          tcid,
+          line: row.line,
+          summary,
+          description: cell(row, 'description'),
+          priority: cell(row, 'priority'),
+          steps: [],
+          results: [],
+        };
+        tests.push(current);
+      }
+
+      const action = cell(row, 'action');
+      const result = cell(row, 'expected result', 'result');
+      if (action) {
+        current.steps.push(action);
+      }
+      if (result) {
+        current.results.push(result);
+      }
+    }
+
+    return tests.map(test => ({
+      id: test.tcid,
+      line: test.line,
+      fields: {
+        name: test.summary,
+        description: test.description,
+        priority: test.priority,
+        steps: test.steps,
+        expectedOutcome: test.results.join('\n'),
+      },
+    }));
+  }
+
+  return rows.map(row => ({
+    id: cell(row, 'qaai id'),
+    line: row.line,
+    fields: format === 'testrail'
+      ? {
+        name: cell(row, 'title'),
+        description: cell(row, 'preconditions'),
+        priority: cell(row, 'priority'),
+        steps: splitSteps(cell(row, 'steps'), true),
+        expectedOutcome: cell(row, 'expected result'),
+      }
+      : {
+        name: cell(row, 'name'),
+        description: cell(row, 'description'),
+        priority: cell(row, 'priority'),
+        complexity: cell(row, 'complexity'),
+        steps: splitSteps(cell(row, 'steps')),
+        expectedOutcome: cell(row, 'expected outcome'),
+      },
+  }));
+}
+
+/**
+ * Whether an imported scenario differs from the one it was exported from
+ */
+function isEdited(before, after) {
+  return EDITABLE_FIELDS.some(field => JSON.stringify(before[field] ?? '') !== JSON.stringify(after[field] ?? ''));
+}
+
+/**
+ * Turn an imported file into the scenarios of a new plan revision
+ *
+ * Rows with the QAAI ID of a plan scenario update it, keeping its other
+ * fields (risk, links, source details); rows without one add scenarios,
+ * and scenarios without a row are dropped. Unedited scenarios keep their
+ * review; edited and added ones are pending review. Each scenario
+ * gets a change of unchanged, changed or added, which the generator uses
+ * to keep, update or create its test.
+ *
+ * @param {object} planJson - plan_json of the exported plan
+ * @param {string} content - Imported file
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {{scenarios: Array<object>, delta: object}} Scenarios and the names added, changed, unchanged and removed
+ * @throws {Error} If a row is invalid, with its line number
+ */
+export function importScenarios(planJson, content, format) {
+  const previous = planJson.scenarios || [];
+  const seen = new Set();
+  const scenarios = [];
+
+  for (const { id, line, fields } of readScenarioRows(content, format)) {
+    const fail = message => {
+      throw new Error(`Line ${line}: ${message}`);
+    };
+
+    const index = id === '' || id === undefined ? null : Number(id) - 1;
+    if (index !== null && !(Number.isInteger(index) && previous[index])) {
+      fail(`unknown QAAI ID "${id}"; leave it empty for new scenarios`);
+    }
+    if (index !== null && seen.has(index)) {
+      fail(`QAAI ID "${id}" appears twice`);
+    }
+
+    // Formats without a priority or complexity column keep the scenario's own
+    const before = index === null ? null : previous[index];
+    const priority = fields.priority ? PRIORITY_ALIASES[fields.priority.toLowerCase()] : before?.priority || 'medium';
+    const complexity = fields.complexity ? fields.complexity.toLowerCase() : (before ? before.complexity : 'moderate');
+
+    if (!fields.name) {
+      fail('the scenario has no name');
+    }
+    if (!priority) {
+      fail(`unknown priority "${fields.priority}"`);
+    }
+    if (complexity !== undefined && !COMPLEXITIES.includes(complexity)) {
+      fail(`complexity must be one of ${COMPLEXITIES.join(', ')}`);
+    }
+    if (fields.steps.length === 0) {
+      fail('the scenario has no steps');
+    }
+    if (!fields.expectedOutcome) {
+      fail('the scenario has no expected outcome');
+    }
+
+    const edited = { ...fields, priority, complexity };
+
+    if (!before) {
+      scenarios.push({ ...edited, review: { status: 'pending' }, change: 'added' });
+      continue;
+    }
+
+    seen.add(index);
+
+    // The review stays with unedited scenarios only
+    scenarios.push(isEdited(before, edited)
+      ? { ...before, ...edited, review: { status: 'pending' }, change: 'changed' }
+      : { ...before, change: 'unchanged' });
+  }
+
+  const names = kind => scenarios.filter(scenario => scenario.change === kind).map(scenario => scenario.name);
+
+  return {
+    scenarios,
+    delta: {
+      added: names('added'),
+      changed: names('changed'),
+      unchanged: names('unchanged'),
+      obsolete: previous.filter((scenario, i) => !seen.has(i)).map(scenario => scenario.name),
+    },
+  };
+}
+
+/**
+ * Status of a plan revision from its scenarios' reviews (as the planner
+ * and review_plan_scenarios compute it)
+ *
+ * @param {Array<object>} scenarios - Plan scenarios
+ * @returns {string} draft, approved or rejected
+ */
+export function revisionStatus(scenarios) {
+  const statuses = scenarios.map(scenario => scenario.review?.status || 'approved');
+
+  if (statuses.includes('pending')) {
+    return 'draft';
+  }
+  return statuses.includes('approved') ? 'approved' : 'rejected';
+}
@@ -0,0 +1,72 @@
+/**
+ * Schedule helpers
+ *
+ * Validation and next-tick computation for cron schedules. The runner's
+ * scheduler (services/runner/lib/scheduler.js) fires them.
+ */
+
+import cronParser from 'cron-parser';
+
+/**
+ * Compute the next time a cron expression fires
+ * Keep in sync with getNextRunAt in services/runner/lib/scheduler.js
+ *
+ * @param {string} cron - Cron expression (5 fields, or 6 with seconds)
+ * @param {string} timezone - IANA time zone the expression is evaluated in
+ * @param {Date} after - Find the first tick strictly after this time
+ * @returns {Date} Next tick
+ * @throws {Error} If the expression or time zone is invalid
+ */
+export function getNextRunAt(cron, timezone = 'UTC', after = new Date()) {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: after,
+    tz: timezone,
+  });
+
+  return interval.next().toDate();
+}
+
+/**
+ * Validate schedule fields from a request body
+ *
+ * Only the fields present in the body are checked, so this works for
+ * both creating and partially updating a schedule.
+ *
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSchedule(body) {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'name cannot be empty';
+  }
+
+  if (body.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: body.timezone });
+    } catch {
+      return `Unknown time zone: ${body.timezone}`;
+    }
+  }
+
+  if (body.cron !== undefined) {
+    try {
+      getNextRunAt(body.cron, body.timezone || 'UTC');
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+  }
+
+  if (body.suite_ids !== undefined && !Array.isArray(body.suite_ids)) {
+    return 'suite_ids must be an array';
+  }
+
+  if (body.tags !== undefined && !Array.isArray(body.tags)) {
+    return 'tags must be an array';
+  }
+
+  if (body.environment !== undefined && (typeof body.environment !== 'object' || Array.isArray(body.environment))) {
+    return 'environment must be an object';
+  }
+
+  return null;
+}
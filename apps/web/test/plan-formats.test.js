@@ -0,0 +1,73 @@
+/**
+ * Plan Format Tests
+ *
+ * Exports plans and reads the files back through the import parser.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportPlan, importScenarios, IMPORT_FORMATS } from '../lib/plan-formats.js';
+
+const plan = {
+  id: 'plan-1',
+  status: 'approved',
+  created_at: '2026-01-01T00:00:00.000Z',
+  projects: { name: 'Shop' },
+  plan_json: {
+    summary: 'Checkout',
+    scenarios: [
+      {
+        name: 'Pay by card',
+        description: 'A signed-in user pays, with "quotes", commas',
+        priority: 'high',
+        complexity: 'moderate',
+        steps: ['Open the cart', 'Enter the card\n| number | 4242 |', 'Press Pay'],
+        expectedOutcome: 'The order is confirmed',
+        review: { status: 'approved' },
+        risk: { score: 0.8 },
+      },
+      {
+        name: 'Empty cart',
+        description: '',
+        priority: 'low',
+        complexity: 'simple',
+        steps: ['Open the cart'],
+        expectedOutcome: 'An empty cart message is shown',
+        review: { status: 'approved' },
+      },
+    ],
+  },
+};
+
+for (const format of IMPORT_FORMATS) {
+  test(`a ${format} export imports back unchanged`, () => {
+    const { scenarios, delta } = importScenarios(plan.plan_json, exportPlan(plan, format), format);
+
+    assert.deepEqual(scenarios, plan.plan_json.scenarios.map(scenario => ({ ...scenario, change: 'unchanged' })));
+    assert.deepEqual(delta, { added: [], changed: [], unchanged: ['Pay by card', 'Empty cart'], obsolete: [] });
+  });
+}
+
+test('an edited csv export imports as changed, added and obsolete scenarios', () => {
+  const lines = exportPlan(plan, 'csv').trimEnd().split(/\r?\n/);
+  const header = lines[0];
+  const edited = [
+    header,
+    ...lines.slice(1).filter(line => !line.startsWith('2,')).map(line => line.replace('Press Pay', 'Press Buy')),
+    ',Pay by voucher,,medium,simple,Enter a voucher,The order is confirmed,,,',
+  ].join('\n');
+
+  const { scenarios, delta } = importScenarios(plan.plan_json, edited, 'csv');
+
+  assert.deepEqual(delta, { added: ['Pay by voucher'], changed: ['Pay by card'], unchanged: [], obsolete: ['Empty cart'] });
+  assert.deepEqual(scenarios[0].steps, ['Open the cart', 'Enter the card\n| number | 4242 |', 'Press Buy']);
+  assert.deepEqual(scenarios[0].review, { status: 'pending' });
+  assert.deepEqual(scenarios[0].risk, { score: 0.8 });
+  assert.deepEqual(scenarios[1].steps, ['Enter a voucher']);
+});
+
+test('an import with an unknown QAAI ID fails with its line number', () => {
+  const csv = exportPlan(plan, 'csv').replace(/^1,/m, '9,');
+
+  assert.throws(() => importScenarios(plan.plan_json, csv, 'csv'), /^Error: Line 2: unknown QAAI ID "9"/);
+});
@@ -11,13 +11,15 @@ alter table projects enable row level security;
 alter table suites enable row level security;
 alter table test_cases enable row level security;
 alter table plans enable row level security;
+alter table plan_reviews enable row level security;
 alter table runs enable row level security;
 alter table run_tests enable row level security;
 alter table github_issues enable row level security;
 alter table test_users enable row level security;
 alter table test_headers enable row level security;
+alter table schedules enable row level security;
 
--- Note: jobs_queue does not need RLS as it's only accessed by service role
+-- Note: jobs_queue, job_history, job_events and workers do not need RLS as they're only accessed by service role
 
 -- ============================================================================
 -- ORGANIZATIONS POLICIES
@@ -306,6 +308,37 @@ create policy "plans_delete"
     )
   );
 
+-- ============================================================================
+-- PLAN REVIEWS POLICIES
+-- ============================================================================
+
+-- Users can see reviews of plans in their organization's projects
+create policy "plan_reviews_select" 
+  on plan_reviews for select
+  using (
+    exists (
+      select 1 from plans pl
+      join projects p on p.id = pl.project_id
+      join org_members m on m.org_id = p.org_id
+      where pl.id = plan_reviews.plan_id and m.user_id = auth.uid()
+    )
+  );
+
+-- Members can review plans, under their own name
+create policy "plan_reviews_insert" 
+  on plan_reviews for insert
+  with check (
+    reviewed_by = auth.uid()
+    and exists (
+      select 1 from plans pl
+      join projects p on p.id = pl.project_id
+      join org_members m on m.org_id = p.org_id
+      where pl.id = plan_reviews.plan_id and m.user_id = auth.uid()
+    )
+  );
+
+-- Reviews are a log: no update or delete policies
+
 -- ============================================================================
 -- RUNS POLICIES
 -- ============================================================================
@@ -550,6 +583,54 @@ create policy "test_headers_delete"
     )
   );
 
+-- ============================================================================
+-- SCHEDULES POLICIES
+-- ============================================================================
+
+-- Users can see schedules in their organization's projects
+create policy "schedules_select" 
+  on schedules for select
+  using (
+    exists (
+      select 1 from projects p
+      join org_members m on m.org_id = p.org_id
+      where p.id = schedules.project_id and m.user_id = auth.uid()
+    )
+  );
+
+-- Members can create schedules
+create policy "schedules_insert" 
+  on schedules for insert
+  with check (
+    exists (
+      select 1 from projects p
+      join org_members m on m.org_id = p.org_id
+      where p.id = schedules.project_id and m.user_id = auth.uid()
+    )
+  );
+
+-- Members can update (pause/resume) schedules
+create policy "schedules_update" 
+  on schedules for update
+  using (
+    exists (
+      select 1 from projects p
+      join org_members m on m.org_id = p.org_id
+      where p.id = schedules.project_id and m.user_id = auth.uid()
+    )
+  );
+
+-- Members can delete schedules
+create policy "schedules_delete" 
+  on schedules for delete
+  using (
+    exists (
+      select 1 from projects p
+      join org_members m on m.org_id = p.org_id
+      where p.id = schedules.project_id and m.user_id = auth.uid()
+    )
+  );
+
 -- ============================================================================
 -- STORAGE POLICIES
 -- ============================================================================
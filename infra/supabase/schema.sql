@@ -80,28 +80,78 @@ create table suites (
   created_at timestamptz default now()
 );
 
+-- AI test plans from PRs/specs
+-- plan_json holds the planner output: { summary, scenarios, coverage, source, ... }
+-- Plans start as draft and become approved or rejected once every scenario has
+-- been reviewed; generation (generating -> generated) needs an approved plan
+create table plans (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid references projects(id) on delete cascade,
+  suite_id uuid references suites(id) on delete set null,
+  pr_url text,
+  spec_md text,
+  plan_json jsonb not null,
+  status text default 'draft',
+  created_by uuid,
+  created_at timestamptz default now()
+);
+
+-- Review decisions on plan scenarios, one row per decision
+-- scenario_index is null for decisions on the whole plan; reviewed_by is null
+-- for decisions the runner made (projects that auto-approve their plans)
+create table plan_reviews (
+  id uuid primary key default gen_random_uuid(),
+  plan_id uuid references plans(id) on delete cascade,
+  scenario_index int,
+  scenario_name text,
+  decision text check (decision in ('approved','rejected','pending','edited')) not null,
+  changes jsonb,
+  comment text,
+  reviewed_by uuid,
+  created_at timestamptz default now()
+);
+
 -- Test cases
+-- Generated cases link back to their plan and the spec file the generator wrote
 create table test_cases (
   id uuid primary key default gen_random_uuid(),
   suite_id uuid references suites(id) on delete cascade,
+  project_id uuid references projects(id) on delete cascade,
+  plan_id uuid references plans(id) on delete set null,
   title text not null,
   priority int default 2,
+  -- 0-100 from the planner's risk scoring; runs limited to top-K take the highest
+  risk_score real,
   steps jsonb not null,
   source text check (source in ('ai','manual')) default 'ai',
+  file_path text,
+  -- needs_review: generated code still failed validation after repairs; the runner skips it
+  status text check (status in ('active','needs_review','archived')) default 'active',
+  validation_errors jsonb,
   created_at timestamptz default now(),
   updated_at timestamptz default now()
 );
 
--- AI test plans from PRs/specs
-create table plans (
+-- Scheduled runs (cron)
+-- A schedule targets explicit suites and/or every suite sharing one of its tags;
+-- with neither, it runs the whole project. environment holds the run's
+-- overrides: { name, base_url, variables }.
+create table schedules (
   id uuid primary key default gen_random_uuid(),
   project_id uuid references projects(id) on delete cascade,
-  pr_url text,
-  spec_md text,
-  plan_json jsonb not null,
-  status text default 'draft',
+  name text not null,
+  cron text not null,
+  timezone text not null default 'UTC',
+  suite_ids uuid[] default '{}',
+  tags text[] default '{}',
+  environment jsonb default '{}'::jsonb,
+  enabled boolean default true,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  last_error text,
   created_by uuid,
-  created_at timestamptz default now()
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
 );
 
 -- Test runs
@@ -111,7 +161,8 @@ create table runs (
   plan_id uuid references plans(id),
   suite_ids uuid[] default '{}',
   trigger text check (trigger in ('manual','pr','schedule','api')) default 'manual',
-  status text check (status in ('queued','running','passed','failed','error')) default 'queued',
+  schedule_id uuid references schedules(id) on delete set null,
+  status text check (status in ('queued','running','passed','failed','error','cancelled')) default 'queued',
   started_at timestamptz,
   finished_at timestamptz,
   meta jsonb default '{}'::jsonb
@@ -129,6 +180,7 @@ create table run_tests (
   trace_path text,
   video_path text,
   screenshot_path text,
+  har_path text,
   logs text,
   error_text text,
   created_at timestamptz default now()
@@ -139,12 +191,59 @@ create table jobs_queue (
   id bigserial primary key,
   kind text check (kind in ('plan','generate','run')) not null,
   payload jsonb not null,
-  status text check (status in ('queued','running','done','error')) default 'queued',
+  -- Higher runs first: 10 = PR-triggered, 5 = manual, 0 = scheduled
+  priority int default 5,
+  -- Filled in by the set_job_scope trigger for fair scheduling
+  project_id uuid references projects(id) on delete cascade,
+  org_id uuid references organizations(id) on delete cascade,
+  -- Pipeline links: plan -> generate -> run jobs share a pipeline_id
+  parent_id bigint references jobs_queue(id) on delete set null,
+  pipeline_id uuid,
+  status text check (status in ('queued','running','done','error','dead','cancelled')) default 'queued',
   attempts int default 0,
+  max_attempts int default 3,
   last_error text,
   scheduled_at timestamptz default now(),
   locked_by text,
-  locked_at timestamptz
+  locked_at timestamptz,
+  -- Set by enqueue_job: a second enqueue with the same key inside the window returns this job
+  idempotency_key text,
+  created_at timestamptz default now()
+);
+
+-- Lifecycle history for background jobs (lock takeovers, etc.)
+create table job_history (
+  id bigserial primary key,
+  job_id bigint references jobs_queue(id) on delete cascade,
+  event text not null,
+  worker_id text,
+  details jsonb default '{}'::jsonb,
+  created_at timestamptz default now()
+);
+
+-- Progress events emitted by workers while a job runs
+-- progress is the job's overall completion percent when the event carries one
+create table job_events (
+  id bigserial primary key,
+  job_id bigint references jobs_queue(id) on delete cascade,
+  type text check (type in ('stage_started','stage_finished','scenario_generated','scenario_failed','test_finished','progress')) not null,
+  stage text,
+  message text,
+  progress int check (progress between 0 and 100),
+  data jsonb default '{}'::jsonb,
+  created_at timestamptz default now()
+);
+
+-- Runner worker registry, kept fresh by periodic heartbeats
+create table workers (
+  id text primary key,
+  hostname text,
+  pid int,
+  status text check (status in ('active','draining','stopped')) default 'active',
+  limits jsonb default '{}'::jsonb,
+  in_flight jsonb default '[]'::jsonb,
+  started_at timestamptz default now(),
+  last_heartbeat_at timestamptz default now()
 );
 
 -- GitHub issues tracking
@@ -170,12 +269,26 @@ create index idx_org_members_user on org_members(user_id);
 create index idx_projects_org on projects(org_id);
 create index idx_suites_project on suites(project_id);
 create index idx_test_cases_suite on test_cases(suite_id);
+create index idx_test_cases_project on test_cases(project_id, status);
+create index idx_test_cases_plan on test_cases(plan_id);
 create index idx_plans_project on plans(project_id);
+create index idx_plan_reviews_plan on plan_reviews(plan_id, created_at);
 create index idx_runs_project on runs(project_id);
 create index idx_runs_status on runs(status);
+create index idx_runs_schedule on runs(schedule_id);
+create index idx_schedules_project on schedules(project_id);
+create index idx_schedules_due on schedules(enabled, next_run_at);
 create index idx_run_tests_run on run_tests(run_id);
 create index idx_run_tests_status on run_tests(status);
 create index idx_jobs_status on jobs_queue(status, scheduled_at);
+create index idx_jobs_locked on jobs_queue(status, locked_at);
+create index idx_jobs_scope on jobs_queue(status, org_id, project_id);
+create index idx_jobs_parent on jobs_queue(parent_id);
+create index idx_jobs_pipeline on jobs_queue(pipeline_id);
+create index idx_jobs_idempotency on jobs_queue(idempotency_key, created_at) where idempotency_key is not null;
+create index idx_job_history_job on job_history(job_id);
+create index idx_job_events_job on job_events(job_id, id);
+create index idx_workers_heartbeat on workers(last_heartbeat_at);
 create index idx_github_issues_run_test on github_issues(run_test_id);
 create index idx_github_issues_project on github_issues(project_id);
 create index idx_test_users_project on test_users(project_id);
@@ -186,15 +299,55 @@ create index idx_test_headers_project on test_headers(project_id);
 -- ============================================================================
 
 -- Function to acquire a job atomically
-create or replace function acquire_job(worker_id text)
+-- Pass kinds to restrict acquisition to job kinds the worker has capacity for
+--
+-- Jobs are picked by priority first. Within a priority, organizations and
+-- then projects take turns: each project's oldest job competes with every
+-- other project's oldest job, and an organization's rank is pushed back by
+-- the number of jobs it already has running. One project with hundreds of
+-- queued jobs therefore cannot starve everyone else.
+create or replace function acquire_job(worker_id text, kinds text[] default null)
 returns table (
   id bigint,
   kind text,
   payload jsonb,
-  attempts int
+  attempts int,
+  priority int
 ) as $$
 begin
   return query
+  with candidates as (
+    select
+      jobs_queue.id as job_id,
+      jobs_queue.priority as job_priority,
+      jobs_queue.scheduled_at as job_scheduled_at,
+      coalesce(jobs_queue.org_id::text, jobs_queue.project_id::text, jobs_queue.id::text) as org_key,
+      row_number() over (
+        partition by jobs_queue.priority, coalesce(jobs_queue.project_id::text, jobs_queue.id::text)
+        order by jobs_queue.scheduled_at, jobs_queue.id
+      ) as project_rank
+    from jobs_queue
+    where jobs_queue.status = 'queued'
+    and jobs_queue.attempts < jobs_queue.max_attempts
+    and jobs_queue.scheduled_at <= now()
+    and (kinds is null or jobs_queue.kind = any(kinds))
+  ),
+  ranked as (
+    select
+      candidates.*,
+      row_number() over (
+        partition by candidates.job_priority, candidates.org_key
+        order by candidates.project_rank, candidates.job_scheduled_at, candidates.job_id
+      ) as org_rank
+    from candidates
+  ),
+  running as (
+    select jobs_queue.org_id::text as org_key, count(*) as running_count
+    from jobs_queue
+    where jobs_queue.status = 'running'
+    and jobs_queue.org_id is not null
+    group by jobs_queue.org_id
+  )
   update jobs_queue
   set 
     status = 'running',
@@ -202,17 +355,657 @@ begin
     locked_at = now()
   where jobs_queue.id = (
     select jobs_queue.id from jobs_queue
-    where jobs_queue.status = 'queued'
-    and jobs_queue.attempts < 3
-    order by jobs_queue.scheduled_at
+    join ranked on ranked.job_id = jobs_queue.id
+    left join running on running.org_key = ranked.org_key
+    order by
+      ranked.job_priority desc,
+      ranked.org_rank + coalesce(running.running_count, 0),
+      ranked.job_scheduled_at,
+      ranked.job_id
     limit 1
-    for update skip locked
+    for update of jobs_queue skip locked
   )
   returning 
     jobs_queue.id,
     jobs_queue.kind,
     jobs_queue.payload,
-    jobs_queue.attempts;
+    jobs_queue.attempts,
+    jobs_queue.priority;
+end;
+$$ language plpgsql;
+
+-- Function to fill in the project and organization a job belongs to
+-- Jobs queued with only a run_id in their payload are resolved through the run
+create or replace function set_job_scope()
+returns trigger as $$
+begin
+  if new.project_id is null then
+    new.project_id := nullif(new.payload->>'project_id', '')::uuid;
+  end if;
+
+  if new.project_id is null and new.payload ? 'run_id' then
+    select runs.project_id into new.project_id
+    from runs
+    where runs.id = (new.payload->>'run_id')::uuid;
+  end if;
+
+  if new.org_id is null and new.project_id is not null then
+    select projects.org_id into new.org_id
+    from projects
+    where projects.id = new.project_id;
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger jobs_queue_scope
+  before insert on jobs_queue
+  for each row
+  execute function set_job_scope();
+
+-- Function to place a new job in its pipeline
+-- Child jobs inherit their parent's pipeline; a job without a parent starts
+-- a new one. A child queued after its parent was cancelled or dead-lettered
+-- is cancelled straight away.
+create or replace function set_job_pipeline()
+returns trigger as $$
+declare
+  parent jobs_queue%rowtype;
+begin
+  if new.parent_id is not null then
+    select * into parent from jobs_queue where jobs_queue.id = new.parent_id;
+
+    if new.pipeline_id is null then
+      new.pipeline_id := parent.pipeline_id;
+    end if;
+
+    if parent.status in ('cancelled', 'dead') then
+      new.status := 'cancelled';
+      new.last_error := 'Upstream job ' || parent.id || ' was ' || parent.status;
+    end if;
+  end if;
+
+  if new.pipeline_id is null then
+    new.pipeline_id := gen_random_uuid();
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger jobs_queue_pipeline
+  before insert on jobs_queue
+  for each row
+  execute function set_job_pipeline();
+
+-- Function to cascade a cancelled or dead-lettered job to its downstream jobs
+-- Each cancelled child fires this trigger again, so the whole chain is covered.
+-- Running children keep their lock; their worker notices the status change.
+create or replace function cascade_job_cancellation()
+returns trigger as $$
+begin
+  with cancelled as (
+    update jobs_queue
+    set
+      status = 'cancelled',
+      last_error = 'Upstream job ' || new.id || ' was ' || new.status
+    where jobs_queue.parent_id = new.id
+      and jobs_queue.status in ('queued', 'running')
+    returning jobs_queue.id
+  )
+  insert into job_history (job_id, event, details)
+  select cancelled.id, 'cancelled', jsonb_build_object('upstream_job', new.id, 'upstream_status', new.status)
+  from cancelled;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger jobs_queue_cascade
+  after update of status on jobs_queue
+  for each row
+  when (new.status in ('cancelled', 'dead') and old.status is distinct from new.status)
+  execute function cascade_job_cancellation();
+
+-- Function to record a job failure atomically
+-- Retryable failures go back to 'queued' with an exponential backoff;
+-- permanent failures and jobs out of attempts move to the 'dead' letter status
+create or replace function fail_job(
+  job_id bigint,
+  error_text text,
+  retryable boolean default true,
+  base_delay_seconds int default 30,
+  max_delay_seconds int default 3600,
+  worker_id text default null
+)
+returns table (
+  id bigint,
+  status text,
+  attempts int,
+  scheduled_at timestamptz
+) as $$
+begin
+  return query
+  update jobs_queue
+  set
+    attempts = jobs_queue.attempts + 1,
+    last_error = error_text,
+    locked_by = null,
+    locked_at = null,
+    status = case
+      when retryable and jobs_queue.attempts + 1 < jobs_queue.max_attempts then 'queued'
+      else 'dead'
+    end,
+    scheduled_at = case
+      when retryable and jobs_queue.attempts + 1 < jobs_queue.max_attempts then
+        now() + make_interval(secs => least(
+          max_delay_seconds,
+          base_delay_seconds * power(2, jobs_queue.attempts)
+        ))
+      else jobs_queue.scheduled_at
+    end
+  where jobs_queue.id = job_id
+    and jobs_queue.status = 'running'
+    -- Skip if the reaper handed the job to another worker
+    and (worker_id is null or jobs_queue.locked_by = worker_id)
+  returning
+    jobs_queue.id,
+    jobs_queue.status,
+    jobs_queue.attempts,
+    jobs_queue.scheduled_at;
+end;
+$$ language plpgsql;
+
+-- Function to record a worker heartbeat
+-- Upserts the worker registry row and renews the lock on jobs the worker
+-- still holds. Returns the status of each job the worker still holds, so it
+-- can stop jobs that were cancelled; jobs missing from the result were taken
+-- over by the reaper.
+create or replace function worker_heartbeat(
+  worker_id text,
+  job_ids bigint[] default '{}',
+  info jsonb default '{}'::jsonb
+)
+returns table (
+  id bigint,
+  status text
+) as $$
+begin
+  insert into workers (id, hostname, pid, status, limits, in_flight, last_heartbeat_at)
+  values (
+    worker_id,
+    info->>'hostname',
+    (info->>'pid')::int,
+    coalesce(info->>'status', 'active'),
+    coalesce(info->'limits', '{}'::jsonb),
+    coalesce(info->'in_flight', '[]'::jsonb),
+    now()
+  )
+  on conflict on constraint workers_pkey do update
+  set
+    status = excluded.status,
+    limits = excluded.limits,
+    in_flight = excluded.in_flight,
+    last_heartbeat_at = now();
+
+  update jobs_queue
+  set locked_at = now()
+  where jobs_queue.id = any(job_ids)
+    and jobs_queue.status = 'running'
+    and jobs_queue.locked_by = worker_id;
+
+  return query
+  select jobs_queue.id, jobs_queue.status
+  from jobs_queue
+  where jobs_queue.id = any(job_ids)
+    and jobs_queue.locked_by = worker_id;
+end;
+$$ language plpgsql;
+
+-- Function to re-queue jobs whose lock expired (the worker stopped heartbeating)
+-- timeouts maps job kind to seconds, e.g. '{"plan": 180, "run": 600}'
+-- A lost lock counts as an attempt so a job that keeps crashing its worker
+-- ends up in the dead letter status instead of looping forever
+create or replace function reap_stale_jobs(
+  reaper_id text,
+  timeouts jsonb default '{}'::jsonb,
+  default_timeout_seconds int default 600
+)
+returns table (
+  id bigint,
+  kind text,
+  status text,
+  previous_worker text
+) as $$
+begin
+  return query
+  with stale as (
+    select jobs_queue.id, jobs_queue.locked_by, jobs_queue.locked_at
+    from jobs_queue
+    where jobs_queue.status = 'running'
+      and jobs_queue.locked_at < now() - make_interval(secs => coalesce(
+        (timeouts->>jobs_queue.kind)::int,
+        default_timeout_seconds
+      ))
+    for update skip locked
+  ),
+  reaped as (
+    update jobs_queue
+    set
+      attempts = jobs_queue.attempts + 1,
+      status = case
+        when jobs_queue.attempts + 1 < jobs_queue.max_attempts then 'queued'
+        else 'dead'
+      end,
+      last_error = 'Lock expired: worker ' || coalesce(stale.locked_by, 'unknown') || ' stopped heartbeating',
+      locked_by = null,
+      locked_at = null,
+      scheduled_at = now()
+    from stale
+    where jobs_queue.id = stale.id
+    returning
+      jobs_queue.id as job_id,
+      jobs_queue.kind as job_kind,
+      jobs_queue.status as job_status,
+      stale.locked_by as locked_by,
+      stale.locked_at as locked_at
+  ),
+  logged as (
+    insert into job_history (job_id, event, worker_id, details)
+    select
+      reaped.job_id,
+      'lock_expired',
+      reaper_id,
+      jsonb_build_object(
+        'previous_worker', reaped.locked_by,
+        'locked_at', reaped.locked_at,
+        'status', reaped.job_status
+      )
+    from reaped
+  )
+  select reaped.job_id, reaped.job_kind, reaped.job_status, reaped.locked_by
+  from reaped;
+end;
+$$ language plpgsql;
+
+-- Function to hand unfinished jobs back to the queue (e.g. on shutdown)
+-- Releasing does not count as an attempt
+create or replace function release_jobs(
+  worker_id text,
+  job_ids bigint[],
+  note text default null
+)
+returns table (
+  id bigint
+) as $$
+begin
+  return query
+  with released as (
+    update jobs_queue
+    set
+      status = 'queued',
+      locked_by = null,
+      locked_at = null,
+      scheduled_at = now(),
+      last_error = coalesce(note, jobs_queue.last_error)
+    where jobs_queue.id = any(job_ids)
+      and jobs_queue.status = 'running'
+      and jobs_queue.locked_by = worker_id
+    returning jobs_queue.id as job_id
+  ),
+  logged as (
+    insert into job_history (job_id, event, worker_id, details)
+    select released.job_id, 'released', worker_id, jsonb_build_object('note', note)
+    from released
+  )
+  select released.job_id from released;
+end;
+$$ language plpgsql;
+
+-- Function to cancel a queued or running job
+-- Running jobs keep their lock so their worker sees the cancellation on its
+-- next heartbeat and stops; downstream jobs are cancelled by the cascade trigger
+create or replace function cancel_job(
+  job_id bigint,
+  reason text default null,
+  actor text default null
+)
+returns table (
+  id bigint,
+  status text,
+  previous_status text
+) as $$
+begin
+  return query
+  with target as (
+    select jobs_queue.id as target_id, jobs_queue.status as target_status
+    from jobs_queue
+    where jobs_queue.id = job_id
+      and jobs_queue.status in ('queued', 'running')
+    for update
+  ),
+  cancelled as (
+    update jobs_queue
+    set
+      status = 'cancelled',
+      last_error = coalesce(reason, 'Cancelled')
+    from target
+    where jobs_queue.id = target.target_id
+    returning jobs_queue.id as cancelled_id, target.target_status as was
+  ),
+  logged as (
+    insert into job_history (job_id, event, details)
+    select
+      cancelled.cancelled_id,
+      'cancelled',
+      jsonb_build_object('reason', reason, 'cancelled_by', actor, 'previous_status', cancelled.was)
+    from cancelled
+  )
+  select cancelled.cancelled_id, 'cancelled'::text, cancelled.was
+  from cancelled;
+end;
+$$ language plpgsql;
+
+-- Function to enqueue a job at most once per idempotency key
+-- Callers that pass the same key within window_seconds (webhook redeliveries,
+-- double clicks) get the job created by the first call, with created = false.
+-- The advisory lock serializes concurrent calls for the same key.
+create or replace function enqueue_job(
+  job_kind text,
+  job_payload jsonb,
+  job_priority int default 5,
+  job_parent_id bigint default null,
+  key text default null,
+  window_seconds int default 3600
+)
+returns table (
+  id bigint,
+  pipeline_id uuid,
+  payload jsonb,
+  created boolean
+) as $$
+begin
+  if key is not null then
+    perform pg_advisory_xact_lock(hashtext('enqueue_job:' || key));
+
+    return query
+    select jobs_queue.id, jobs_queue.pipeline_id, jobs_queue.payload, false
+    from jobs_queue
+    where jobs_queue.idempotency_key = key
+      and jobs_queue.created_at > now() - make_interval(secs => window_seconds)
+    order by jobs_queue.id desc
+    limit 1;
+
+    if found then
+      return;
+    end if;
+  end if;
+
+  return query
+  insert into jobs_queue (kind, payload, status, priority, parent_id, idempotency_key)
+  values (job_kind, job_payload, 'queued', job_priority, job_parent_id, key)
+  returning jobs_queue.id, jobs_queue.pipeline_id, jobs_queue.payload, true;
+end;
+$$ language plpgsql;
+
+-- Function to report queue depth for monitoring
+-- oldest_at is the earliest scheduled_at in each group, so a queue whose
+-- oldest runnable job keeps ageing is stuck
+create or replace function queue_depth()
+returns table (
+  kind text,
+  status text,
+  jobs bigint,
+  oldest_at timestamptz
+) as $$
+begin
+  return query
+  select jobs_queue.kind, jobs_queue.status, count(*), min(jobs_queue.scheduled_at)
+  from jobs_queue
+  group by jobs_queue.kind, jobs_queue.status;
+end;
+$$ language plpgsql;
+
+-- Function to fire a due schedule
+-- next_run_at acts as a compare-and-set token: only the caller that still sees
+-- it at due_at advances it to next_at, and creates the run and its job in the
+-- same transaction. Several scheduler replicas can therefore race on the same
+-- schedule and it still fires exactly once per tick. A schedule whose suites and
+-- tags match no suite is skipped with last_error set (a run with no suite_ids
+-- would run the whole project), and returns a row with a null run_id.
+create or replace function fire_schedule(
+  schedule_id uuid,
+  due_at timestamptz,
+  next_at timestamptz,
+  job_priority int default 0
+)
+returns table (
+  run_id uuid,
+  job_id bigint
+) as $$
+declare
+  fired schedules%rowtype;
+  matched_suite_ids uuid[];
+  new_run_id uuid;
+  new_job_id bigint;
+begin
+  update schedules
+  set
+    next_run_at = next_at,
+    last_run_at = now(),
+    last_error = null
+  where schedules.id = schedule_id
+    and schedules.enabled
+    and schedules.next_run_at = due_at
+  returning * into fired;
+
+  if not found then
+    return;
+  end if;
+
+  matched_suite_ids := array(
+    select suites.id
+    from suites
+    where suites.project_id = fired.project_id
+      and (suites.id = any(fired.suite_ids) or suites.tags && fired.tags)
+  );
+
+  if (coalesce(cardinality(fired.suite_ids), 0) > 0 or coalesce(cardinality(fired.tags), 0) > 0)
+    and cardinality(matched_suite_ids) = 0 then
+    update schedules
+    set last_error = 'No suite matches the schedule''s suites or tags; run skipped'
+    where schedules.id = fired.id;
+
+    return query select null::uuid, null::bigint;
+    return;
+  end if;
+
+  insert into runs (project_id, suite_ids, trigger, schedule_id, status, meta)
+  values (
+    fired.project_id,
+    matched_suite_ids,
+    'schedule',
+    fired.id,
+    'queued',
+    jsonb_build_object(
+      'schedule_name', fired.name,
+      'scheduled_for', due_at,
+      'tags', to_jsonb(fired.tags),
+      'environment', fired.environment
+    )
+  )
+  returning runs.id into new_run_id;
+
+  insert into jobs_queue (kind, payload, priority)
+  values (
+    'run',
+    jsonb_build_object('run_id', new_run_id, 'project_id', fired.project_id, 'schedule_id', fired.id),
+    job_priority
+  )
+  returning jobs_queue.id into new_job_id;
+
+  return query select new_run_id, new_job_id;
+end;
+$$ language plpgsql;
+
+-- Function to match planned scenario names against a project's active test cases
+-- Returns, for each input title that has one, the most similar active test case
+-- by pg_trgm similarity at or above threshold (title_index is 1-based). Test cases
+-- of exclude_plan_id are skipped, so a re-plan does not match its own tests.
+create or replace function match_test_cases(
+  match_project_id uuid,
+  titles text[],
+  threshold real default 0.7,
+  exclude_plan_id uuid default null
+)
+returns table (
+  title_index int,
+  test_case_id uuid,
+  test_case_title text,
+  score real
+) as $$
+begin
+  return query
+  select input.idx::int, best.id, best.title, best.match_score
+  from unnest(titles) with ordinality as input(title, idx)
+  cross join lateral (
+    select test_cases.id, test_cases.title, similarity(test_cases.title, input.title) as match_score
+    from test_cases
+    where test_cases.project_id = match_project_id
+      and test_cases.status = 'active'
+      and (exclude_plan_id is null or test_cases.plan_id is distinct from exclude_plan_id)
+      and similarity(test_cases.title, input.title) >= threshold
+    order by match_score desc
+    limit 1
+  ) as best;
+end;
+$$ language plpgsql;
+
+-- Function to count the finished results of a project's active test cases since
+-- a time, for risk scoring. Aggregated here so the runner does not send every
+-- test case ID in a filter or page through every result.
+create or replace function test_failure_rates(
+  rate_project_id uuid,
+  since timestamptz
+)
+returns table (
+  test_case_id uuid,
+  title text,
+  runs bigint,
+  failures bigint
+) as $$
+begin
+  return query
+  select
+    test_cases.id,
+    test_cases.title,
+    count(*),
+    count(*) filter (where run_tests.status <> 'passed')
+  from test_cases
+  join run_tests on run_tests.test_case_id = test_cases.id
+  where test_cases.project_id = rate_project_id
+    and test_cases.status = 'active'
+    and run_tests.status in ('passed', 'failed', 'flaky', 'error')
+    and run_tests.created_at >= since
+  group by test_cases.id, test_cases.title;
+end;
+$$ language plpgsql;
+
+-- Function to record review decisions on a plan's scenarios
+-- decisions is a list of { index, status, scenario, comment }: status (approved,
+-- rejected or pending) sets the scenario's review, scenario holds edited fields
+-- to merge into it. Every decision is logged in plan_reviews. The plan is then
+-- draft while a scenario is pending, approved if any scenario is approved and
+-- rejected otherwise. Returns no row if the plan is not open for review.
+-- Runs with the caller's rights, so the plan and plan_reviews policies apply
+-- and the signed-in user (auth.uid()) is recorded as the reviewer.
+create or replace function review_plan_scenarios(
+  review_plan_id uuid,
+  decisions jsonb
+)
+returns table (
+  status text,
+  approved int,
+  rejected int,
+  pending int
+) as $$
+declare
+  plan_scenarios jsonb;
+  decision jsonb;
+  scenario_idx int;
+  old_scenario jsonb;
+  new_scenario jsonb;
+  approved_count int;
+  rejected_count int;
+  pending_count int;
+  new_status text;
+  reviewer uuid := auth.uid();
+begin
+  select plans.plan_json->'scenarios' into plan_scenarios
+  from plans
+  where plans.id = review_plan_id
+    and plans.status in ('draft', 'approved', 'rejected')
+  for update;
+
+  if not found then
+    return;
+  end if;
+
+  for decision in select * from jsonb_array_elements(decisions) loop
+    scenario_idx := (decision->>'index')::int;
+    old_scenario := plan_scenarios->scenario_idx;
+
+    if old_scenario is null then
+      raise exception 'Plan % has no scenario %', review_plan_id, scenario_idx;
+    end if;
+
+    new_scenario := old_scenario;
+
+    if decision ? 'scenario' then
+      new_scenario := new_scenario || (decision->'scenario');
+      insert into plan_reviews (plan_id, scenario_index, scenario_name, decision, changes, comment, reviewed_by)
+      values (
+        review_plan_id, scenario_idx, new_scenario->>'name', 'edited',
+        jsonb_build_object('before', old_scenario - 'review', 'after', new_scenario - 'review'),
+        decision->>'comment', reviewer
+      );
+    end if;
+
+    if decision ? 'status' then
+      new_scenario := jsonb_set(new_scenario, '{review}', jsonb_build_object(
+        'status', decision->>'status',
+        'reviewedBy', reviewer,
+        'reviewedAt', now(),
+        'comment', decision->>'comment'
+      ));
+      insert into plan_reviews (plan_id, scenario_index, scenario_name, decision, comment, reviewed_by)
+      values (review_plan_id, scenario_idx, new_scenario->>'name', decision->>'status', decision->>'comment', reviewer);
+    end if;
+
+    plan_scenarios := jsonb_set(plan_scenarios, array[scenario_idx::text], new_scenario);
+  end loop;
+
+  select
+    count(*) filter (where scenario->'review'->>'status' = 'approved'),
+    count(*) filter (where scenario->'review'->>'status' = 'rejected'),
+    count(*) filter (where coalesce(scenario->'review'->>'status', 'pending') = 'pending')
+  into approved_count, rejected_count, pending_count
+  from jsonb_array_elements(plan_scenarios) as scenario;
+
+  new_status := case
+    when pending_count > 0 then 'draft'
+    when approved_count > 0 then 'approved'
+    else 'rejected'
+  end;
+
+  update plans
+  set
+    plan_json = jsonb_set(plans.plan_json, '{scenarios}', plan_scenarios),
+    status = new_status
+  where plans.id = review_plan_id;
+
+  return query select new_status, approved_count, rejected_count, pending_count;
 end;
 $$ language plpgsql;
 
@@ -230,6 +1023,11 @@ create trigger test_cases_updated_at
   for each row
   execute function update_test_case_timestamp();
 
+create trigger schedules_updated_at
+  before update on schedules
+  for each row
+  execute function update_test_case_timestamp();
+
 -- ============================================================================
 -- VIEWS
 -- ============================================================================
@@ -240,6 +1038,12 @@ select o.* from organizations o
 join org_members m on m.org_id = o.id
 where m.user_id = auth.uid();
 
+-- View for workers that have sent a heartbeat recently
+create or replace view live_workers as
+select * from workers
+where status <> 'stopped'
+  and last_heartbeat_at > now() - interval '2 minutes';
+
 -- View for run statistics
 create or replace view run_stats as
 select 
@@ -290,9 +1094,14 @@ comment on table projects is 'Test projects linked to GitHub repositories';
 comment on table suites is 'Test suite groupings';
 comment on table test_cases is 'Individual test definitions';
 comment on table plans is 'AI-generated test plans from PRs or specs';
+comment on table plan_reviews is 'Review decisions on plan scenarios and who made them';
+comment on table schedules is 'Cron schedules that queue test runs';
 comment on table runs is 'Test execution runs';
 comment on table run_tests is 'Individual test results within runs';
 comment on table jobs_queue is 'Background job queue for workers';
+comment on table job_history is 'Lifecycle history for background jobs';
+comment on table job_events is 'Progress events emitted by workers while jobs run';
+comment on table workers is 'Runner workers and their last heartbeat';
 comment on table github_issues is 'GitHub issues created for test failures';
 comment on table test_users is 'Test user credentials for E2E authentication';
 comment on table test_headers is 'Custom HTTP headers for test authentication';
\ No newline at end of file
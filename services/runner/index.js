@@ -5,31 +5,53 @@
  * - plan: AI test planning from PR diffs
  * - generate: Test code generation
  * - run: Playwright test execution
+ * 
+ * It also queues runs for due cron schedules, and serves /healthz, /readyz
+ * and Prometheus /metrics over HTTP.
  */
 
 import 'dotenv/config';
-import { acquireJob, markJobDone, markJobError, getJobStats } from './lib/jobs.js';
+import http from 'http';
+import { markJobDone, markJobError, getJobStats, getQueueDepth, isRetryableError, JobReleasedError, PermanentJobError, reapStaleJobs, releaseJobs, WORKER_ID } from './lib/jobs.js';
 import { testConnection } from './lib/supabase.js';
+import { createWorkerPool, getPoolLimits } from './lib/worker-pool.js';
+import { sendHeartbeat } from './lib/workers.js';
+import { runSchedulerTick } from './lib/scheduler.js';
+import { isConfigured as isLLMConfigured } from './lib/llm-client.js';
+import { recordJob, renderMetrics } from './lib/metrics.js';
 import { runPlanner } from './workers/planner.js';
 import { runGenerator } from './workers/generator.js';
 import { runRunner } from './workers/runner.js';
 
 const POLL_INTERVAL = parseInt(process.env.RUNNER_POLL_INTERVAL_MS || '3000', 10);
 const STATS_INTERVAL = 60000; // Log stats every minute
+const POOL_LIMITS = getPoolLimits();
+const HEARTBEAT_INTERVAL = parseInt(process.env.RUNNER_HEARTBEAT_INTERVAL_MS || '15000', 10);
+const REAPER_INTERVAL = parseInt(process.env.RUNNER_REAPER_INTERVAL_MS || '60000', 10);
+const SHUTDOWN_GRACE_PERIOD = parseInt(process.env.RUNNER_SHUTDOWN_GRACE_MS || '30000', 10);
+// How long stopped jobs get to kill their Playwright process groups (SIGKILL follows SIGTERM after 10s)
+const SHUTDOWN_ABORT_WAIT = 12000;
+const SCHEDULER_INTERVAL = parseInt(process.env.RUNNER_SCHEDULER_INTERVAL_MS || '30000', 10);
+// The platform's PORT wins, so deploy health checks probe the port the server listens on
+const HTTP_PORT = parseInt(process.env.PORT || process.env.RUNNER_HTTP_PORT || '3001', 10);
+
+// How long a job may go without a heartbeat before another worker takes it over
+const LOCK_TIMEOUTS = {
+  plan: parseInt(process.env.RUNNER_LOCK_TIMEOUT_PLAN_SECONDS || '180', 10),
+  generate: parseInt(process.env.RUNNER_LOCK_TIMEOUT_GENERATE_SECONDS || '300', 10),
+  run: parseInt(process.env.RUNNER_LOCK_TIMEOUT_RUN_SECONDS || '600', 10),
+};
 
 /**
- * Process a single job from the queue
+ * Process a single job acquired from the queue
+ * 
+ * @param {object} job - Job row returned by acquire_job
+ * @param {AbortSignal} signal - Fires when the job is cancelled
  */
-async function processJob() {
+async function processJob(job, signal) {
+  const startedAt = Date.now();
+  
   try {
-    // Acquire next job
-    const job = await acquireJob();
-    
-    if (!job) {
-      // No jobs available
-      return;
-    }
-    
     console.log(`[${new Date().toISOString()}] Processing job ${job.id} of type "${job.kind}"`);
     console.log(`Payload:`, JSON.stringify(job.payload, null, 2));
     
@@ -44,37 +66,119 @@ async function processJob() {
         break;
         
       case 'run':
-        await runRunner(job);
+        await runRunner(job, { signal });
         break;
         
       default:
-        throw new Error(`Unknown job kind: ${job.kind}`);
+        throw new PermanentJobError(`Unknown job kind: ${job.kind}`);
+    }
+    
+    // A cancelled job has already been marked as such
+    if (signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Job ${job.id} stopped after cancellation`);
+      recordJob(job.kind, 'cancelled', Date.now() - startedAt);
+      return;
     }
     
     // Mark as completed
     await markJobDone(job.id);
+    recordJob(job.kind, 'done', Date.now() - startedAt);
     console.log(`[${new Date().toISOString()}] Job ${job.id} completed successfully`);
     
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error processing job:`, error);
-    
-    if (job?.id) {
-      const errorMessage = error.stack || error.message || 'Unknown error';
-      await markJobError(job.id, errorMessage);
+    if (signal.aborted) {
+      console.log(`[${new Date().toISOString()}] Job ${job.id} stopped after cancellation:`, error.message);
+      recordJob(job.kind, 'cancelled', Date.now() - startedAt);
+      return;
     }
+    
+    console.error(`[${new Date().toISOString()}] Error processing job ${job.id}:`, error);
+    recordJob(job.kind, 'error', Date.now() - startedAt);
+    
+    const errorMessage = error.stack || error.message || 'Unknown error';
+    await markJobError(job.id, errorMessage, isRetryableError(error));
   }
 }
 
+const pool = createWorkerPool({
+  limits: POOL_LIMITS,
+  handler: processJob,
+});
+
+// Set on SIGTERM/SIGINT: stop acquiring jobs and let in-flight ones finish
+let draining = false;
+
 /**
  * Main polling loop
+ * 
+ * Each tick tops the pool up to its limits; jobs keep running
+ * in the background between ticks.
  */
 async function startPolling() {
   console.log(`[${new Date().toISOString()}] Starting job polling (interval: ${POLL_INTERVAL}ms)`);
   
-  while (true) {
-    await processJob();
+  while (!draining) {
+    await pool.fill();
     await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
   }
+  
+  console.log(`[${new Date().toISOString()}] Job polling stopped`);
+}
+
+/**
+ * Report liveness, renew the locks on in-flight jobs and stop cancelled ones
+ * 
+ * @param {string} status - Worker status to publish ('active', 'draining' or 'stopped')
+ */
+async function heartbeat(status = draining ? 'draining' : 'active') {
+  const jobs = Array.from(pool.inFlight.values(), ({ job, startedAt }) => ({
+    id: job.id,
+    kind: job.kind,
+    startedAt,
+  }));
+  
+  const held = await sendHeartbeat(jobs, { status, limits: POOL_LIMITS });
+  
+  if (!held) {
+    return;
+  }
+  
+  for (const job of jobs) {
+    const jobStatus = held.get(job.id);
+    
+    if (!jobStatus) {
+      // A job we still run but no longer hold was taken over by the reaper
+      console.warn(`[${new Date().toISOString()}] Lost lock on job ${job.id}; another worker may pick it up`);
+    } else if (jobStatus === 'cancelled' && pool.cancel(job.id, 'Job was cancelled')) {
+      console.log(`[${new Date().toISOString()}] Job ${job.id} was cancelled; stopping it`);
+    }
+  }
+}
+
+/**
+ * Re-queue jobs abandoned by crashed workers
+ */
+async function reap() {
+  const reaped = await reapStaleJobs(LOCK_TIMEOUTS);
+  
+  if (reaped.length > 0) {
+    console.log(`[${new Date().toISOString()}] Recovered ${reaped.length} stale job(s)`);
+  }
+}
+
+/**
+ * Queue runs for due schedules
+ */
+async function schedule() {
+  if (draining) {
+    return;
+  }
+  
+  const fired = await runSchedulerTick();
+  
+  if (fired > 0) {
+    console.log(`[${new Date().toISOString()}] Queued ${fired} scheduled run(s)`);
+  }
 }
 
 /**
@@ -83,6 +187,94 @@ async function startPolling() {
 async function logStats() {
   const stats = await getJobStats();
   console.log(`[${new Date().toISOString()}] Job Stats:`, stats);
+  console.log(`[${new Date().toISOString()}] In flight: ${pool.inFlight.size}/${POOL_LIMITS.concurrency}`);
+}
+
+/**
+ * Check whether this worker can take jobs
+ * 
+ * @returns {Promise<{ready: boolean, checks: object}>}
+ */
+async function checkReadiness() {
+  const llm = isLLMConfigured();
+  const checks = {
+    database: await testConnection(),
+    llm: llm.configured,
+    accepting_jobs: !draining,
+  };
+  
+  if (llm.error) {
+    checks.llm_error = llm.error;
+  }
+  
+  return {
+    ready: checks.database && checks.llm && checks.accepting_jobs,
+    checks,
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the health and metrics HTTP server
+ * 
+ * /healthz - the process is up (liveness)
+ * /readyz  - the database is reachable, the LLM is configured and the worker is not draining
+ * /metrics - Prometheus metrics, including queue depth read from the database
+ */
+function startHttpServer() {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      
+      if (req.method !== 'GET') {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      
+      switch (pathname) {
+        case '/healthz':
+          sendJSON(res, 200, {
+            status: 'ok',
+            worker_id: WORKER_ID,
+            draining,
+            in_flight: pool.inFlight.size,
+          });
+          break;
+          
+        case '/readyz': {
+          const { ready, checks } = await checkReadiness();
+          sendJSON(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+          break;
+        }
+          
+        case '/metrics': {
+          const queue = await getQueueDepth();
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+          res.end(renderMetrics({ queue, inFlight: pool.inFlight, limits: POOL_LIMITS }));
+          break;
+        }
+          
+        default:
+          sendJSON(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error('Error handling HTTP request:', error);
+      sendJSON(res, 500, { error: 'Internal server error' });
+    }
+  });
+  
+  server.listen(HTTP_PORT, () => {
+    console.log(`Health and metrics server listening on port ${HTTP_PORT}`);
+  });
+  
+  return server;
 }
 
 /**
@@ -94,10 +286,15 @@ async function main() {
   console.log('='.repeat(60));
   console.log(`Node Version: ${process.version}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`Worker ID: ${WORKER_ID}`);
   console.log(`Poll Interval: ${POLL_INTERVAL}ms`);
-  console.log(`Worker Concurrency: ${process.env.RUNNER_CONCURRENCY || 3}`);
+  console.log(`Worker Concurrency: ${POOL_LIMITS.concurrency}`);
+  console.log(`Per-kind Limits: plan=${POOL_LIMITS.kinds.plan} generate=${POOL_LIMITS.kinds.generate} run=${POOL_LIMITS.kinds.run}`);
   console.log('='.repeat(60));
   
+  // Serve health checks before connecting so liveness probes pass during startup
+  startHttpServer();
+  
   // Test database connection
   console.log('Testing database connection...');
   const connected = await testConnection();
@@ -110,6 +307,16 @@ async function main() {
   console.log('Database connection successful!');
   console.log('='.repeat(60));
   
+  // Register this worker and keep its job locks alive
+  await heartbeat();
+  setInterval(() => heartbeat(), HEARTBEAT_INTERVAL);
+  
+  // Recover jobs left locked by crashed workers
+  setInterval(reap, REAPER_INTERVAL);
+  
+  // Queue runs for cron schedules (safe to run on every replica)
+  setInterval(schedule, SCHEDULER_INTERVAL);
+  
   // Log stats periodically
   setInterval(logStats, STATS_INTERVAL);
   
@@ -117,16 +324,77 @@ async function main() {
   await startPolling();
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('\n[${new Date().toISOString()}] SIGTERM received, shutting down gracefully...');
+/**
+ * Drain the worker and exit
+ * 
+ * Stops acquiring jobs, waits up to RUNNER_SHUTDOWN_GRACE_MS for in-flight
+ * jobs, then stops whatever is still running and releases it back to the
+ * queue so another worker can pick it up. Stopping kills the Playwright
+ * process group of a run, so it does not keep running next to the worker
+ * that takes the run over. A second signal exits immediately.
+ * 
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (draining) {
+    console.log(`\n[${new Date().toISOString()}] ${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  
+  draining = true;
+  console.log(`\n[${new Date().toISOString()}] ${signal} received, draining ${pool.inFlight.size} in-flight job(s) (grace period: ${SHUTDOWN_GRACE_PERIOD}ms)...`);
+  
+  try {
+    await heartbeat('draining');
+    
+    let timer;
+    const finished = await Promise.race([
+      pool.idle().then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), SHUTDOWN_GRACE_PERIOD);
+      }),
+    ]);
+    clearTimeout(timer);
+    
+    if (!finished) {
+      const unfinished = Array.from(pool.inFlight.keys());
+      
+      for (const jobId of unfinished) {
+        pool.cancel(jobId, new JobReleasedError(`Worker shutting down (${signal})`));
+      }
+      
+      const stopped = await Promise.race([
+        pool.idle().then(() => true),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(false), SHUTDOWN_ABORT_WAIT);
+        }),
+      ]);
+      clearTimeout(timer);
+      
+      if (!stopped) {
+        console.warn(`[${new Date().toISOString()}] ${pool.inFlight.size} job(s) did not stop within ${SHUTDOWN_ABORT_WAIT}ms`);
+      }
+      
+      const released = await releaseJobs(
+        unfinished,
+        `Released by ${WORKER_ID} during shutdown (${signal}) before it finished`
+      );
+      console.log(`[${new Date().toISOString()}] Grace period elapsed, released ${released.length}/${unfinished.length} job(s) back to the queue`);
+    } else {
+      console.log(`[${new Date().toISOString()}] All in-flight jobs finished`);
+    }
+    
+    await heartbeat('stopped');
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+  }
+  
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('\n[${new Date().toISOString()}] SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+// Handle graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,176 @@
+/**
+ * Application Crawler
+ *
+ * Explores a running application with Playwright, breadth first from its
+ * base URL, and records what each page offers: headings, forms and
+ * interactive elements. The exploration planner turns the resulting site
+ * map into test scenarios.
+ */
+
+import { chromium } from '@playwright/test';
+import { normalizeRoutePath } from './coverage-tracker.js';
+
+// Links that are not pages, or that would end the crawl's session
+const SKIPPED_LINKS = /\.(pdf|zip|gz|png|jpe?g|gif|svg|webp|ico|mp4|mp3|css|js|json|xml|txt)$|\/(log-?out|sign-?out)\b/i;
+
+// Caps per page, so a large page does not crowd out the rest of the site map
+const MAX_ELEMENTS_PER_PAGE = 25;
+const MAX_FORMS_PER_PAGE = 10;
+
+/**
+ * Collect headings, forms and interactive elements from the current page
+ * (runs in the browser)
+ */
+function collectPageDetails({ maxElements, maxForms }) {
+  const text = element => (element.innerText || element.getAttribute('aria-label') || element.getAttribute('title') || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .slice(0, 80);
+
+  const labelFor = (field) => {
+    const label = (field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label');
+    return label ? text(label) : field.getAttribute('aria-label') || field.getAttribute('placeholder') || '';
+  };
+
+  const describeField = field => ({
+    tag: field.tagName.toLowerCase(),
+    type: field.getAttribute('type') || undefined,
+    name: field.getAttribute('name') || undefined,
+    label: labelFor(field) || undefined,
+    required: field.required || undefined,
+    testId: field.getAttribute('data-testid') || undefined,
+  });
+
+  const forms = [...document.querySelectorAll('form')].slice(0, maxForms).map((form) => {
+    const submit = form.querySelector('button[type=submit], input[type=submit], button:not([type])');
+    return {
+      action: form.getAttribute('action') ? new URL(form.getAttribute('action'), location.href).href : location.href,
+      method: (form.getAttribute('method') || 'get').toUpperCase(),
+      fields: [...form.querySelectorAll('input:not([type=hidden]), select, textarea')].slice(0, maxElements).map(describeField),
+      submit: submit ? text(submit) || submit.value : undefined,
+    };
+  });
+
+  const interactive = [...document.querySelectorAll('button, [role=button], a[href], select, input:not([type=hidden]), textarea')]
+    .filter(element => !element.closest('form') && element.offsetParent !== null)
+    .slice(0, maxElements)
+    .map(element => ({
+      ...describeField(element),
+      text: text(element) || undefined,
+      href: element.tagName === 'A' ? element.getAttribute('href') : undefined,
+    }));
+
+  return {
+    title: document.title,
+    headings: [...document.querySelectorAll('h1, h2')].slice(0, 10).map(text).filter(Boolean),
+    forms,
+    interactive,
+    links: [...document.querySelectorAll('a[href]')].map(link => link.href),
+  };
+}
+
+/**
+ * Crawl an application from its base URL
+ *
+ * Only same-origin pages are visited; query strings and fragments are
+ * dropped, so each path is visited once.
+ *
+ * @param {string} baseUrl - Where the crawl starts
+ * @param {object} options
+ * @param {number} options.maxDepth - Link depth to follow from the base URL (default: 2)
+ * @param {number} options.maxPages - Pages to visit at most (default: 25)
+ * @param {number} options.timeoutMs - Navigation timeout per page (default: 15000)
+ * @param {function} options.onPage - Called with (page, visitedCount) after each page
+ * @returns {Promise<{pages: Array<object>, routes: Array<object>}>} Visited pages and the
+ *   routes found, in the projects.routes format
+ */
+export async function crawlApplication(baseUrl, options = {}) {
+  const { maxDepth = 2, maxPages = 25, timeoutMs = 15000, onPage } = options;
+  const origin = new URL(baseUrl).origin;
+
+  const browser = await chromium.launch({ headless: true });
+  const pages = [];
+  const routes = new Map();
+  const seen = new Set();
+  const queue = [{ url: baseUrl, depth: 0 }];
+
+  function addRoute(method, url, category) {
+    const routePath = normalizeRoutePath(new URL(url).pathname);
+    const key = `${method}:${routePath}`;
+    if (!routes.has(key)) {
+      routes.set(key, { method, path: routePath, category, source: 'crawl' });
+    }
+  }
+
+  try {
+    const context = await browser.newContext({ ignoreHTTPSErrors: true });
+    const page = await context.newPage();
+
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, depth } = queue.shift();
+      const target = new URL(url);
+      target.hash = '';
+      target.search = '';
+
+      if (seen.has(target.href)) {
+        continue;
+      }
+      seen.add(target.href);
+
+      let response;
+      try {
+        response = await page.goto(target.href, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+      } catch (error) {
+        console.warn(`[Crawler] Failed to load ${target.href}: ${error.message}`);
+        continue;
+      }
+
+      // Redirects (e.g. to a login page) are recorded once, under the final URL
+      const finalUrl = new URL(page.url());
+      const finalKey = `${finalUrl.origin}${finalUrl.pathname}`;
+      if (finalUrl.origin !== origin || (finalKey !== target.href && seen.has(finalKey))) {
+        continue;
+      }
+      seen.add(finalKey);
+
+      const details = await page.evaluate(collectPageDetails, {
+        maxElements: MAX_ELEMENTS_PER_PAGE,
+        maxForms: MAX_FORMS_PER_PAGE,
+      });
+
+      const { links, ...pageDetails } = details;
+      const visited = {
+        path: finalUrl.pathname,
+        status: response?.status() ?? null,
+        depth,
+        ...pageDetails,
+      };
+      pages.push(visited);
+      addRoute('GET', finalUrl.href, 'page');
+
+      for (const form of details.forms) {
+        if (new URL(form.action).origin === origin && form.method !== 'GET') {
+          addRoute(form.method, form.action, 'form');
+        }
+      }
+
+      if (depth < maxDepth) {
+        for (const link of links) {
+          const next = new URL(link);
+          if (next.origin === origin && !SKIPPED_LINKS.test(next.pathname)) {
+            queue.push({ url: next.href, depth: depth + 1 });
+          }
+        }
+      }
+
+      onPage?.(visited, pages.length);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  console.log(`[Crawler] Visited ${pages.length} pages, found ${routes.size} routes`);
+
+  return { pages, routes: [...routes.values()] };
+}
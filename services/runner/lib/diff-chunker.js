@@ -0,0 +1,213 @@
+/**
+ * Diff Chunker
+ *
+ * Splits a unified PR diff into per-file sections, drops files that carry
+ * no test-relevant signal (lockfiles, generated code, snapshots) and packs
+ * the rest into module-sized chunks that fit in a single LLM prompt.
+ */
+
+/**
+ * Files skipped when planning from a diff. Patterns without a slash match
+ * the file name at any depth; patterns with a slash match the whole path.
+ * Projects add their own in test_config.plan_skip_patterns, and a leading
+ * "!" there re-includes files matched by an earlier pattern.
+ */
+export const DEFAULT_SKIP_PATTERNS = [
+  // Lockfiles
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lockb',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'composer.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'go.sum',
+  // Generated and bundled code
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '*.generated.*',
+  '*.pb.go',
+  '*_pb2.py',
+  '**/dist/**',
+  '**/build/**',
+  '**/.next/**',
+  '**/coverage/**',
+  '**/vendor/**',
+  '**/node_modules/**',
+  // Test snapshots
+  '*.snap',
+  '**/__snapshots__/**',
+];
+
+/**
+ * Default prompt budget for one chunk, in characters of diff
+ */
+export const DEFAULT_CHUNK_CHARS = 24000;
+
+/**
+ * Convert a glob pattern to a regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" anything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a predicate that tells whether a file should be left out of planning
+ *
+ * @param {string[]} patterns - Project patterns, applied after DEFAULT_SKIP_PATTERNS
+ * @returns {function(string): boolean}
+ */
+export function createSkipMatcher(patterns = []) {
+  const rules = [...DEFAULT_SKIP_PATTERNS, ...patterns]
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      const negated = pattern.startsWith('!');
+      const glob = (negated ? pattern.slice(1) : pattern).replace(/^\//, '');
+      return { negated, basename: !glob.includes('/'), regex: globToRegExp(glob) };
+    });
+
+  return (filePath) => {
+    const basename = filePath.split('/').pop();
+    let skipped = false;
+
+    // Last matching rule wins, as in .gitignore
+    for (const rule of rules) {
+      if (rule.regex.test(rule.basename ? basename : filePath)) {
+        skipped = !rule.negated;
+      }
+    }
+
+    return skipped;
+  };
+}
+
+/**
+ * Split a unified diff into one section per file
+ *
+ * @param {string} diff - Unified diff as returned by fetchPRDiff
+ * @returns {Array<{path: string, diff: string, additions: number, deletions: number}>}
+ */
+export function splitDiffByFile(diff) {
+  const files = [];
+  let current = null;
+
+  for (const line of diff.split('\n')) {
+    const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+
+    if (header) {
+      current = { path: header[2], lines: [line], additions: 0, deletions: 0 };
+      files.push(current);
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    current.lines.push(line);
+
+    if (line.startsWith('+++ b/')) {
+      current.path = line.slice(6);
+    } else if (line.startsWith('+') && !line.startsWith('+++')) {
+      current.additions++;
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      current.deletions++;
+    }
+  }
+
+  return files.map(({ lines, ...file }) => ({ ...file, diff: lines.join('\n') }));
+}
+
+/**
+ * Module a file belongs to: its first two directories, or the repository root
+ */
+function moduleOf(filePath) {
+  const dirs = filePath.split('/').slice(0, -1);
+  return dirs.length > 0 ? dirs.slice(0, 2).join('/') : '(root)';
+}
+
+/**
+ * Pack file diffs into chunks of at most maxChars, keeping each module
+ * together where it fits. A file larger than maxChars on its own is
+ * truncated so that every chunk stays within the budget.
+ *
+ * @param {Array} files - Output of splitDiffByFile
+ * @param {number} maxChars - Diff budget per chunk
+ * @returns {Array<{modules: string[], files: string[], diff: string}>}
+ */
+export function chunkFileDiffs(files, maxChars = DEFAULT_CHUNK_CHARS) {
+  const modules = new Map();
+
+  for (const file of files) {
+    const name = moduleOf(file.path);
+    if (!modules.has(name)) {
+      modules.set(name, []);
+    }
+    modules.get(name).push(file);
+  }
+
+  const chunks = [];
+  let current = null;
+
+  function add(moduleName, file) {
+    let diff = file.diff;
+    if (diff.length > maxChars) {
+      diff = `${diff.slice(0, maxChars)}\n... (diff for ${file.path} truncated)`;
+    }
+
+    if (!current || current.size + diff.length > maxChars) {
+      current = { modules: [], files: [], parts: [], size: 0 };
+      chunks.push(current);
+    }
+
+    if (!current.modules.includes(moduleName)) {
+      current.modules.push(moduleName);
+    }
+    current.files.push(file.path);
+    current.parts.push(diff);
+    current.size += diff.length;
+  }
+
+  for (const [moduleName, moduleFiles] of modules) {
+    const moduleSize = moduleFiles.reduce((sum, file) => sum + file.diff.length, 0);
+
+    // Start a fresh chunk rather than splitting a module that fits in one
+    if (current && moduleSize <= maxChars && current.size + moduleSize > maxChars) {
+      current = null;
+    }
+
+    for (const file of moduleFiles) {
+      add(moduleName, file);
+    }
+  }
+
+  return chunks.map(({ parts, size, ...chunk }) => ({ ...chunk, diff: parts.join('\n') }));
+}
@@ -0,0 +1,112 @@
+/**
+ * Job Events
+ *
+ * Typed progress events that workers write to job_events while a job
+ * runs, so the web app can show what a job is doing.
+ */
+
+import { getSupabase } from './supabase.js';
+
+/**
+ * Event types (keep in sync with the job_events.type check constraint)
+ */
+export const EVENT_TYPES = [
+  'stage_started',
+  'stage_finished',
+  'scenario_generated',
+  'scenario_failed',
+  'test_finished',
+  'progress',
+];
+
+/**
+ * Write a single job event
+ *
+ * Events are informational: failures are logged and never fail the job.
+ *
+ * @param {number} jobId - Job ID
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} event
+ * @param {string} event.stage - Stage the event belongs to
+ * @param {string} event.message - Human-readable description
+ * @param {number} event.progress - Overall completion percent (0-100)
+ * @param {object} event.data - Type-specific details
+ * @returns {Promise<boolean>} True if the event was written
+ */
+export async function emitJobEvent(jobId, type, { stage, message, progress, data = {} } = {}) {
+  try {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('job_events')
+      .insert({
+        job_id: jobId,
+        type,
+        stage: stage || null,
+        message: message || null,
+        progress: progress === undefined ? null : Math.max(0, Math.min(100, Math.round(progress))),
+        data,
+      });
+
+    if (error) {
+      console.error('Error writing job event:', error);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Exception writing job event:', error);
+    return false;
+  }
+}
+
+/**
+ * Create an event emitter bound to a job
+ *
+ * Events are written one after another in the order they were emitted,
+ * so callers may fire them without awaiting (e.g. from a stdout handler)
+ * and await flush() before the job finishes.
+ *
+ * @param {number} jobId - Job ID
+ * @returns {object} Emitter with stage(), finishStage(), progress(), emit() and flush()
+ */
+export function createJobEvents(jobId) {
+  let queue = Promise.resolve();
+
+  function emit(type, event) {
+    queue = queue.then(() => emitJobEvent(jobId, type, event));
+    return queue;
+  }
+
+  return {
+    emit,
+
+    /**
+     * Mark the start of a stage
+     */
+    stage(stage, message, progress) {
+      return emit('stage_started', { stage, message, progress });
+    },
+
+    /**
+     * Mark the end of a stage
+     */
+    finishStage(stage, message, progress, data) {
+      return emit('stage_finished', { stage, message, progress, data });
+    },
+
+    /**
+     * Report overall completion
+     */
+    progress(progress, message, stage) {
+      return emit('progress', { stage, message, progress });
+    },
+
+    /**
+     * Wait until every emitted event has been written
+     */
+    flush() {
+      return queue;
+    },
+  };
+}
@@ -0,0 +1,362 @@
+/**
+ * Gherkin Import
+ *
+ * Parses Gherkin .feature files (English keywords) and turns their
+ * scenarios into plan scenarios. Scenario Outlines expand into one
+ * scenario per Examples row, and tags set the priority and the suite.
+ */
+
+const FEATURE = /^(Feature|Business Need|Ability):\s*(.*)$/;
+const RULE = /^Rule:\s*(.*)$/;
+const BACKGROUND = /^Background:\s*(.*)$/;
+const SCENARIO = /^(Scenario|Example):\s*(.*)$/;
+const OUTLINE = /^Scenario (Outline|Template):\s*(.*)$/;
+const EXAMPLES = /^(Examples|Scenarios):\s*(.*)$/;
+const STEP = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+const LANGUAGE = /^#\s*language:\s*(\S+)/;
+
+// Tags that set a scenario's priority ("@high", "@priority:high", "@p1", ...)
+const PRIORITY_TAGS = {
+  critical: 'high',
+  blocker: 'high',
+  high: 'high',
+  p0: 'high',
+  p1: 'high',
+  medium: 'medium',
+  p2: 'medium',
+  low: 'low',
+  minor: 'low',
+  trivial: 'low',
+  p3: 'low',
+};
+
+// Tag that puts a scenario in a named suite ("@suite:checkout")
+const SUITE_TAG = /^@suite[:=](.+)$/i;
+
+/**
+ * Split a table row into its cells, unescaping \|, \n and \\
+ */
+function parseRow(line) {
+  const cells = [];
+  let cell = '';
+
+  for (let i = line.indexOf('|') + 1; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '\\' && i + 1 < line.length) {
+      const next = line[++i];
+      cell += next === 'n' ? '\n' : next;
+    } else if (char === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Parse a .feature file
+ *
+ * Scenarios come out flattened: each carries the tags of its feature and
+ * rule, and the background steps that run before it. tagLevels keeps the
+ * feature's, the rule's and the scenario's own tags apart.
+ *
+ * @param {string} source - File contents
+ * @param {string} file - File path, for error messages
+ * @returns {{name: string, description: string, tags: string[], scenarios: Array<object>}}
+ */
+export function parseFeature(source, file = 'feature') {
+  const lines = source.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const fail = (lineNumber, message) => {
+    throw new Error(`${file}:${lineNumber}: ${message}`);
+  };
+
+  let feature = null;
+  let rule = null;
+  let block = null; // Background, scenario or Examples that lines are added to
+  let pendingTags = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const raw = lines[index];
+    const line = raw.trim();
+
+    if (!line) {
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      const language = line.match(LANGUAGE);
+      if (language && language[1] !== 'en') {
+        fail(lineNumber, `Only English Gherkin is supported, not "${language[1]}"`);
+      }
+      continue;
+    }
+
+    if (line.startsWith('@')) {
+      pendingTags.push(...line.replace(/\s#.*$/, '').split(/\s+/).filter(tag => tag.startsWith('@')));
+      continue;
+    }
+
+    const takeTags = () => {
+      const tags = pendingTags;
+      pendingTags = [];
+      return tags;
+    };
+
+    let match;
+
+    if ((match = line.match(FEATURE))) {
+      if (feature) {
+        fail(lineNumber, 'A file can only have one Feature');
+      }
+      feature = { name: match[2].trim(), description: [], tags: takeTags(), background: [], scenarios: [] };
+      block = feature;
+      continue;
+    }
+
+    if (!feature) {
+      fail(lineNumber, `Expected "Feature:", got "${line}"`);
+    }
+
+    if ((match = line.match(RULE))) {
+      rule = { name: match[1].trim(), description: [], tags: takeTags(), background: [] };
+      block = rule;
+    } else if ((match = line.match(BACKGROUND))) {
+      block = { kind: 'background', description: [], steps: (rule || feature).background };
+    } else if ((match = line.match(OUTLINE)) || (match = line.match(SCENARIO))) {
+      const tagLevels = [feature.tags, rule?.tags || [], takeTags()];
+      block = {
+        name: match[2].trim(),
+        description: [],
+        tags: [...new Set(tagLevels.flat())],
+        tagLevels,
+        line: lineNumber,
+        outline: line.startsWith('Scenario Outline') || line.startsWith('Scenario Template'),
+        rule: rule?.name,
+        background: [...feature.background, ...(rule?.background || [])],
+        steps: [],
+        examples: [],
+      };
+      feature.scenarios.push(block);
+    } else if ((match = line.match(EXAMPLES))) {
+      const scenario = feature.scenarios[feature.scenarios.length - 1];
+      if (!scenario?.outline) {
+        fail(lineNumber, 'Examples must follow a Scenario Outline');
+      }
+      block = { kind: 'examples', name: match[2].trim(), description: [], tags: takeTags(), line: lineNumber, header: null, rows: [] };
+      scenario.examples.push(block);
+    } else if ((match = line.match(STEP))) {
+      if (!block?.steps) {
+        fail(lineNumber, `Step outside of a Scenario or Background: "${line}"`);
+      }
+      block.steps.push({ keyword: match[1], text: match[2].trim() });
+    } else if (line.startsWith('|')) {
+      const cells = parseRow(line);
+
+      if (block?.kind === 'examples') {
+        if (!block.header) {
+          block.header = cells;
+        } else if (cells.length !== block.header.length) {
+          fail(lineNumber, `Examples row has ${cells.length} cells, the header has ${block.header.length}`);
+        } else {
+          block.rows.push({ line: lineNumber, cells });
+        }
+      } else if (block?.steps?.length > 0) {
+        const step = block.steps[block.steps.length - 1];
+        step.dataTable = [...(step.dataTable || []), cells];
+      } else {
+        fail(lineNumber, 'Table without a step or Examples');
+      }
+    } else if (line.startsWith('"""') || line.startsWith('```')) {
+      const step = block?.steps?.[block.steps.length - 1];
+      if (!step) {
+        fail(lineNumber, 'Doc string without a step');
+      }
+
+      const delimiter = line.slice(0, 3);
+      const indent = raw.indexOf(delimiter);
+      const content = [];
+
+      for (index++; index < lines.length && lines[index].trim() !== delimiter; index++) {
+        content.push(lines[index].slice(Math.min(indent, lines[index].search(/\S|$/))));
+      }
+
+      if (index >= lines.length) {
+        fail(lineNumber, 'Doc string is not closed');
+      }
+
+      step.docString = content.join('\n');
+    } else if (block?.description && !block.steps?.length) {
+      // Free text between a header and its first step describes the block
+      block.description.push(line);
+    } else {
+      fail(lineNumber, `Unexpected line: "${line}"`);
+    }
+  }
+
+  if (!feature) {
+    fail(1, 'No Feature found');
+  }
+
+  return {
+    name: feature.name,
+    description: feature.description.join('\n'),
+    tags: feature.tags,
+    scenarios: feature.scenarios.map(({ description, ...scenario }) => ({
+      ...scenario,
+      description: description.join('\n'),
+    })),
+  };
+}
+
+/**
+ * Replace <placeholders> with the values of an Examples row
+ */
+function fillPlaceholders(text, values) {
+  return text.replace(/<([^<>]+)>/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+/**
+ * Format a step as plan step text, with its data table or doc string
+ */
+function formatStep(step, values) {
+  let text = fillPlaceholders(step.keyword === '*' ? step.text : `${step.keyword} ${step.text}`, values);
+
+  if (step.dataTable) {
+    const rows = step.dataTable.map(row => row.map(cell => fillPlaceholders(cell, values).replace(/\|/g, '\\|')));
+    text += '\n' + rows.map(row => `| ${row.join(' | ')} |`).join('\n');
+  }
+
+  if (step.docString !== undefined) {
+    text += `\n"""\n${fillPlaceholders(step.docString, values)}\n"""`;
+  }
+
+  return text;
+}
+
+/**
+ * Priority a scenario's tags ask for (default: medium)
+ *
+ * The most specific level with a priority tag wins, so a scenario tagged
+ * "@low" in a "@high" feature is low. Within one level, high beats low.
+ *
+ * @param {string[][]} tagLevels - Tags from the least to the most specific level
+ */
+function priorityFromTags(tagLevels) {
+  for (const tags of [...tagLevels].reverse()) {
+    const priorities = tags.map(tag => PRIORITY_TAGS[tag.slice(1).toLowerCase().replace(/^priority[:=_-]?/, '')]);
+
+    if (priorities.includes('high')) {
+      return 'high';
+    }
+    if (priorities.includes('low')) {
+      return 'low';
+    }
+    if (priorities.includes('medium')) {
+      return 'medium';
+    }
+  }
+  return 'medium';
+}
+
+/**
+ * Steps of a scenario's outcome: its Then steps and the And/But steps that follow them
+ */
+function outcomeSteps(steps) {
+  const outcome = [];
+  let inThen = false;
+
+  for (const step of steps) {
+    if (step.keyword === 'Then') {
+      inThen = true;
+    } else if (step.keyword !== 'And' && step.keyword !== 'But') {
+      inThen = false;
+    }
+    if (inThen) {
+      outcome.push(step);
+    }
+  }
+
+  return outcome.length > 0 ? outcome : steps.slice(-1);
+}
+
+/**
+ * Turn a parsed feature into plan scenarios
+ *
+ * Each Scenario becomes one plan scenario, and each Examples row of a
+ * Scenario Outline one more. Background steps are prepended to the steps.
+ *
+ * @param {object} feature - Output of parseFeature
+ * @param {string} file - Path of the .feature file
+ * @returns {Array<object>} Plan scenarios, with their tags, the suite named by a
+ *   "@suite:<name>" tag and where they came from in gherkin
+ */
+export function featureToScenarios(feature, file) {
+  const scenarios = [];
+
+  function add(scenario, { tagLevels, line, values = {}, examples = null }) {
+    const tags = [...new Set(tagLevels.flat())];
+    const steps = [...scenario.background, ...scenario.steps];
+
+    if (steps.length === 0) {
+      console.warn(`[Gherkin] Skipping "${scenario.name}" (${file}:${line}): no steps`);
+      return;
+    }
+
+    let name = fillPlaceholders(scenario.name, values);
+    if (examples && name === scenario.name) {
+      name = `${scenario.name} (${Object.entries(values).map(([key, value]) => `${key}=${value}`).join(', ')})`;
+    }
+
+    const suiteTag = tags.map(tag => tag.match(SUITE_TAG)).find(Boolean);
+
+    scenarios.push({
+      name,
+      description: fillPlaceholders(scenario.description, values) || `Feature: ${feature.name}`,
+      priority: priorityFromTags(tagLevels),
+      complexity: steps.length <= 4 ? 'simple' : steps.length <= 8 ? 'moderate' : 'complex',
+      steps: steps.map(step => formatStep(step, values)),
+      expectedOutcome: outcomeSteps(scenario.steps.length > 0 ? scenario.steps : steps)
+        .map(step => fillPlaceholders(step.text, values))
+        .join('; '),
+      tags,
+      ...(suiteTag && { suite: suiteTag[1] }),
+      gherkin: {
+        file,
+        line,
+        feature: feature.name,
+        ...(scenario.rule && { rule: scenario.rule }),
+        ...(examples && { examples: values }),
+      },
+    });
+  }
+
+  for (const scenario of feature.scenarios) {
+    if (!scenario.outline) {
+      add(scenario, { tagLevels: scenario.tagLevels, line: scenario.line });
+      continue;
+    }
+
+    if (scenario.examples.every(examples => examples.rows.length === 0)) {
+      console.warn(`[Gherkin] Skipping outline "${scenario.name}" (${file}:${scenario.line}): no Examples rows`);
+      continue;
+    }
+
+    for (const examples of scenario.examples) {
+      for (const row of examples.rows) {
+        add(scenario, {
+          tagLevels: [...scenario.tagLevels, examples.tags],
+          line: row.line,
+          values: Object.fromEntries(examples.header.map((column, i) => [column, row.cells[i]])),
+          examples,
+        });
+      }
+    }
+  }
+
+  return scenarios;
+}
@@ -56,9 +56,11 @@ function formatTestResults(results) {
   }
   
   return {
-    title: failed > 0 
-      ? `${failed} test${failed > 1 ? 's' : ''} failed`
-      : `All ${passed} tests passed`,
+    title: results.cancelled
+      ? `Run cancelled after ${total} test${total === 1 ? '' : 's'}`
+      : failed > 0 
+        ? `${failed} test${failed > 1 ? 's' : ''} failed`
+        : `All ${passed} tests passed`,
     summary,
   };
 }
@@ -70,7 +72,7 @@ function formatTestResults(results) {
  * @param {string} params.owner - Repository owner
  * @param {string} params.repo - Repository name
  * @param {string} params.headSha - Commit SHA
- * @param {object} params.results - Test results
+ * @param {object} params.results - Test results (results.cancelled marks a partial run)
  * @param {string} params.token - GitHub token
  * @param {string} params.checkName - Check run name (default: 'QAAI Tests')
  * @returns {Promise<object>} Check run info
@@ -89,7 +91,7 @@ export async function reportTestResults({
   const failed = stats.failures || 0;
   
   // Determine conclusion
-  const conclusion = failed > 0 ? 'failure' : 'success';
+  const conclusion = results.cancelled ? 'cancelled' : failed > 0 ? 'failure' : 'success';
   
   // Format output
   const output = formatTestResults(results);
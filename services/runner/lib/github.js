@@ -3,7 +3,8 @@
  * 
  * Functions for interacting with GitHub API:
  * - Fetch PR diffs
- * - Get file contents
+ * - Fetch issues and their comments
+ * - Get file contents and list repository files
  * - Create issues
  * - Post check runs
  */
@@ -28,6 +29,45 @@ export function parsePRUrl(prUrl) {
   };
 }
 
+/**
+ * Parse GitHub issue URL to extract owner, repo, and issue number
+ * 
+ * @param {string} issueUrl - GitHub issue URL (e.g., https://github.com/owner/repo/issues/123)
+ * @returns {object} Parsed issue info
+ */
+export function parseIssueUrl(issueUrl) {
+  const match = issueUrl.match(/github\.com\/([^\/]+)\/([^\/]+)\/issues\/(\d+)/);
+  
+  if (!match) {
+    throw new Error(`Invalid GitHub issue URL: ${issueUrl}`);
+  }
+  
+  return {
+    owner: match[1],
+    repo: match[2],
+    issueNumber: parseInt(match[3], 10),
+  };
+}
+
+/**
+ * Parse GitHub repository URL to extract owner and repo
+ * 
+ * @param {string} repoUrl - GitHub repository URL (e.g., https://github.com/owner/repo)
+ * @returns {object} Parsed repository info
+ */
+export function parseRepoUrl(repoUrl) {
+  const match = repoUrl?.match(/github\.com[\/:]([^\/]+)\/([^\/#?]+?)(?:\.git)?(?:[\/#?]|$)/);
+  
+  if (!match) {
+    throw new Error(`Invalid GitHub repository URL: ${repoUrl}`);
+  }
+  
+  return {
+    owner: match[1],
+    repo: match[2],
+  };
+}
+
 /**
  * Fetch PR diff from GitHub
  * 
@@ -112,18 +152,117 @@ export async function fetchPRMetadata(prUrl, token = null) {
   };
 }
 
+/**
+ * Shape an issue from the issues or search API
+ */
+function toIssue(issue) {
+  return {
+    number: issue.number,
+    url: issue.html_url,
+    title: issue.title,
+    body: issue.body,
+    state: issue.state,
+    author: issue.user?.login,
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    type: issue.type?.name || null,
+    comments: issue.comments,
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+  };
+}
+
+/**
+ * Fetch an issue from GitHub
+ * 
+ * @param {string} issueUrl - GitHub issue URL
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<object>} Issue (number, url, title, body, state, author, labels, type, comments count)
+ */
+export async function fetchIssue(issueUrl, token = null) {
+  const { owner, repo, issueNumber } = parseIssueUrl(issueUrl);
+  
+  const url = `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}`;
+  
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'QAAI-Runner',
+  };
+  
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  
+  console.log(`[GitHub] Fetching issue: ${owner}/${repo}#${issueNumber}`);
+  
+  const response = await fetch(url, { headers });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`GitHub API error: ${response.status} ${error}`);
+  }
+  
+  const issue = await response.json();
+  
+  if (issue.pull_request) {
+    throw new Error(`${issueUrl} is a pull request, not an issue`);
+  }
+  
+  return toIssue(issue);
+}
+
+/**
+ * Fetch the comments on an issue, oldest first
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Array<{author: string, body: string, createdAt: string}>>} First 100 comments
+ */
+export async function fetchIssueComments(owner, repo, issueNumber, token = null) {
+  const url = `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100`;
+  
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'QAAI-Runner',
+  };
+  
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  
+  console.log(`[GitHub] Fetching comments: ${owner}/${repo}#${issueNumber}`);
+  
+  const response = await fetch(url, { headers });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`GitHub API error: ${response.status} ${error}`);
+  }
+  
+  const comments = await response.json();
+  
+  return comments
+    .filter(comment => comment.user?.type !== 'Bot')
+    .map(comment => ({
+      author: comment.user?.login,
+      body: comment.body,
+      createdAt: comment.created_at,
+    }));
+}
+
 /**
  * Fetch file contents from GitHub repository
  * 
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} path - File path
- * @param {string} ref - Git ref (branch, tag, or commit SHA)
+ * @param {string} ref - Git ref (branch, tag, or commit SHA); null for the default branch
  * @param {string} token - GitHub token (optional)
  * @returns {Promise<string>} File contents
  */
 export async function fetchFileContents(owner, repo, path, ref = 'main', token = null) {
-  const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}?ref=${ref}`;
+  const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`;
   
   const headers = {
     'Accept': 'application/vnd.github.v3.raw',
@@ -134,7 +273,7 @@ export async function fetchFileContents(owner, repo, path, ref = 'main', token =
     headers['Authorization'] = `Bearer ${token}`;
   }
   
-  console.log(`[GitHub] Fetching file: ${owner}/${repo}/${path}@${ref}`);
+  console.log(`[GitHub] Fetching file: ${owner}/${repo}/${path}@${ref || 'default branch'}`);
   
   const response = await fetch(url, { headers });
   
@@ -146,6 +285,47 @@ export async function fetchFileContents(owner, repo, path, ref = 'main', token =
   return await response.text();
 }
 
+/**
+ * List the files in a repository at a ref
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git ref (branch, tag, or commit SHA)
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Array<{path: string, size: number}>>} Files (GitHub stops listing at 100,000 entries)
+ */
+export async function fetchRepoTree(owner, repo, ref, token = null) {
+  const url = `https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`;
+  
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'QAAI-Runner',
+  };
+  
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  
+  console.log(`[GitHub] Listing files: ${owner}/${repo}@${ref}`);
+  
+  const response = await fetch(url, { headers });
+  
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`GitHub API error: ${response.status} ${error}`);
+  }
+  
+  const tree = await response.json();
+  
+  if (tree.truncated) {
+    console.warn(`[GitHub] File list of ${owner}/${repo} is truncated`);
+  }
+  
+  return tree.tree
+    .filter(entry => entry.type === 'blob')
+    .map(entry => ({ path: entry.path, size: entry.size }));
+}
+
 /**
  * Create a GitHub issue
  * 
@@ -297,4 +477,18 @@ export async function searchIssues(owner, repo, query, token = null) {
   
   const data = await response.json();
   return data.items || [];
-}
\ No newline at end of file
+}
+
+/**
+ * Search a repository's issues and shape them like fetchIssue
+ * 
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} query - Search qualifiers (e.g., "label:bug is:open")
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Array<object>>} Matching issues, most recently updated first
+ */
+export async function fetchIssuesByQuery(owner, repo, query, token = null) {
+  const issues = await searchIssues(owner, repo, `${query} sort:updated-desc`, token);
+  return issues.filter(issue => !issue.pull_request).map(toIssue);
+}
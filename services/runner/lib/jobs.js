@@ -9,19 +9,73 @@ import { getSupabase } from './supabase.js';
 
 const WORKER_ID = `worker-${process.pid}-${Date.now()}`;
 const MAX_ATTEMPTS = 3;
+/**
+ * Job priorities (higher runs first)
+ * Keep in sync with JOB_PRIORITIES in apps/web/lib/jobs.js
+ */
+export const JOB_PRIORITIES = {
+  pr: 10,
+  manual: 5,
+  api: 5,
+  schedule: 0,
+};
+
+const RETRY_BASE_DELAY_SECONDS = parseInt(process.env.RUNNER_RETRY_BASE_DELAY_SECONDS || '30', 10);
+const RETRY_MAX_DELAY_SECONDS = parseInt(process.env.RUNNER_RETRY_MAX_DELAY_SECONDS || '3600', 10);
+
+// How long an idempotency key keeps returning the job it created
+// Keep in sync with IDEMPOTENCY_WINDOW_SECONDS in apps/web/lib/jobs.js
+const IDEMPOTENCY_WINDOW_SECONDS = 3600;
+
+/**
+ * Error that should not be retried (bad payload, missing data, etc.)
+ * Jobs failing with it go straight to the dead letter status.
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Abort reason for jobs stopped because this worker is shutting down
+ * They go back to the queue, so what they were working on is left for
+ * the worker that picks them up next.
+ */
+export class JobReleasedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobReleasedError';
+  }
+}
+
+/**
+ * Check whether a job failure is worth retrying
+ * 
+ * @param {Error} error 
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return error?.retryable !== false;
+}
 
 /**
  * Acquire the next available job from the queue
  * Uses PostgreSQL's FOR UPDATE SKIP LOCKED for atomic job acquisition
+ * Picks by priority, then round-robin across organizations and projects
  * 
- * @returns {Promise<{id: number, kind: string, payload: object, attempts: number} | null>}
+ * @param {string[]} [kinds] - Only acquire jobs of these kinds (default: any kind)
+ * @returns {Promise<{id: number, kind: string, payload: object, attempts: number, priority: number} | null>}
  */
-export async function acquireJob() {
+export async function acquireJob(kinds = null) {
   try {
     const supabase = getSupabase();
     
     const { data, error } = await supabase.rpc('acquire_job', {
-      worker_id: WORKER_ID
+      worker_id: WORKER_ID,
+      kinds,
     });
 
     if (error) {
@@ -83,7 +137,9 @@ export async function markJobDone(jobId) {
       .update({
         status: 'done',
       })
-      .eq('id', jobId);
+      .eq('id', jobId)
+      .eq('status', 'running') // Skip if the job was cancelled meanwhile
+      .eq('locked_by', WORKER_ID); // Skip if the reaper handed the job to another worker
 
     if (error) {
       console.error('Error marking job as done:', error);
@@ -100,31 +156,45 @@ export async function markJobDone(jobId) {
 /**
  * Mark a job as failed with error details
  * 
+ * Retryable failures are re-queued with an exponential backoff
+ * (RUNNER_RETRY_BASE_DELAY_SECONDS * 2^attempts, capped at
+ * RUNNER_RETRY_MAX_DELAY_SECONDS). Once a job runs out of attempts,
+ * or the failure is permanent, it moves to the 'dead' status until
+ * someone re-drives it by hand.
+ * 
  * @param {number} jobId 
  * @param {string} errorMessage 
+ * @param {boolean} retryable - Whether the failure may succeed on retry
  * @returns {Promise<boolean>}
  */
-export async function markJobError(jobId, errorMessage) {
+export async function markJobError(jobId, errorMessage, retryable = true) {
   try {
     const supabase = getSupabase();
     
     // Truncate error message to prevent database issues
     const truncatedError = errorMessage?.slice(0, 5000) || 'Unknown error';
     
-    const { error } = await supabase
-      .from('jobs_queue')
-      .update({
-        status: 'error',
-        last_error: truncatedError,
-        attempts: supabase.raw('attempts + 1'),
-      })
-      .eq('id', jobId);
+    const { data, error } = await supabase.rpc('fail_job', {
+      job_id: jobId,
+      error_text: truncatedError,
+      retryable,
+      base_delay_seconds: RETRY_BASE_DELAY_SECONDS,
+      max_delay_seconds: RETRY_MAX_DELAY_SECONDS,
+      worker_id: WORKER_ID,
+    });
 
     if (error) {
       console.error('Error marking job as failed:', error);
       return false;
     }
 
+    const result = data?.[0];
+    if (result?.status === 'dead') {
+      console.warn(`Job ${jobId} moved to dead letter after ${result.attempts} attempt(s)`);
+    } else if (result) {
+      console.log(`Job ${jobId} will be retried at ${result.scheduled_at} (attempt ${result.attempts + 1})`);
+    }
+
     return true;
   } catch (error) {
     console.error('Exception marking job as failed:', error);
@@ -132,43 +202,142 @@ export async function markJobError(jobId, errorMessage) {
   }
 }
 
+/**
+ * Re-queue jobs whose worker stopped heartbeating
+ * 
+ * Every worker runs the reaper; FOR UPDATE SKIP LOCKED keeps two reapers
+ * from taking over the same job. Each takeover is logged in job_history.
+ * 
+ * @param {object} timeouts - Lock timeout in seconds per job kind
+ * @returns {Promise<Array<{id: number, kind: string, status: string, previous_worker: string}>>}
+ */
+export async function reapStaleJobs(timeouts) {
+  try {
+    const supabase = getSupabase();
+    
+    const { data, error } = await supabase.rpc('reap_stale_jobs', {
+      reaper_id: WORKER_ID,
+      timeouts,
+    });
+
+    if (error) {
+      console.error('Error reaping stale jobs:', error);
+      return [];
+    }
+
+    for (const job of data || []) {
+      console.warn(`Job ${job.id} (${job.kind}) lost its lock held by ${job.previous_worker}, now ${job.status}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Exception reaping stale jobs:', error);
+    return [];
+  }
+}
+
+/**
+ * Release jobs held by this worker back to the queue
+ * 
+ * Used when draining on shutdown: the jobs did not fail, so
+ * releasing them does not count as an attempt.
+ * 
+ * @param {number[]} jobIds 
+ * @param {string} note - Reason recorded on the job and in job_history
+ * @returns {Promise<number[]>} IDs of released jobs
+ */
+export async function releaseJobs(jobIds, note) {
+  if (jobIds.length === 0) {
+    return [];
+  }
+  
+  try {
+    const supabase = getSupabase();
+    
+    const { data, error } = await supabase.rpc('release_jobs', {
+      worker_id: WORKER_ID,
+      job_ids: jobIds,
+      note,
+    });
+
+    if (error) {
+      console.error('Error releasing jobs:', error);
+      return [];
+    }
+
+    return (data || []).map(row => row.id);
+  } catch (error) {
+    console.error('Exception releasing jobs:', error);
+    return [];
+  }
+}
+
 /**
  * Create a new job in the queue
  * 
  * @param {string} kind - Job type: 'plan', 'generate', or 'run'
  * @param {object} payload - Job payload data
- * @returns {Promise<{id: number} | null>}
+ * @param {object} options - Optional parameters
+ * @param {number} options.priority - Job priority (see JOB_PRIORITIES)
+ * @param {number} options.parentId - Upstream job; the new job joins its pipeline
+ * @param {string} options.idempotencyKey - Deduplication key; reusing it within
+ *   IDEMPOTENCY_WINDOW_SECONDS returns the first job (created: false)
+ * @returns {Promise<{id: number, pipeline_id: string, payload: object, created: boolean} | null>}
  */
-export async function createJob(kind, payload) {
+export async function createJob(kind, payload, options = {}) {
   try {
     const supabase = getSupabase();
     
-    const { data, error } = await supabase
-      .from('jobs_queue')
-      .insert({
-        kind,
-        payload,
-        status: 'queued',
-      })
-      .select('id')
-      .single();
+    const { data, error } = await supabase.rpc('enqueue_job', {
+      job_kind: kind,
+      job_payload: payload,
+      job_priority: options.priority ?? JOB_PRIORITIES.manual,
+      job_parent_id: options.parentId ?? null,
+      key: options.idempotencyKey || null,
+      window_seconds: IDEMPOTENCY_WINDOW_SECONDS,
+    });
 
-    if (error) {
+    if (error || !data || data.length === 0) {
       console.error('Error creating job:', error);
       return null;
     }
 
-    return data;
+    if (!data[0].created) {
+      console.log(`[Jobs] Reusing ${kind} job ${data[0].id} for idempotency key ${options.idempotencyKey}`);
+    }
+
+    return data[0];
   } catch (error) {
     console.error('Exception creating job:', error);
     return null;
   }
 }
 
+/**
+ * Enqueue a follow-up job from a worker
+ * 
+ * Same as createJob, but throws if the job cannot be queued so the
+ * parent job fails (and is retried) instead of silently dropping it.
+ * 
+ * @param {string} kind - Job type: 'plan', 'generate', or 'run'
+ * @param {object} payload - Job payload data
+ * @param {object} options - Options passed to createJob
+ * @returns {Promise<{id: number, pipeline_id: string, payload: object, created: boolean}>}
+ */
+export async function enqueueJob(kind, payload, options = {}) {
+  const job = await createJob(kind, payload, options);
+  
+  if (!job) {
+    throw new Error(`Failed to enqueue ${kind} job`);
+  }
+  
+  return job;
+}
+
 /**
  * Get job statistics
  * 
- * @returns {Promise<{queued: number, running: number, done: number, error: number}>}
+ * @returns {Promise<{queued: number, running: number, done: number, error: number, dead: number, cancelled: number}>}
  */
 export async function getJobStats() {
   try {
@@ -180,7 +349,7 @@ export async function getJobStats() {
 
     if (error) {
       console.error('Error getting job stats:', error);
-      return { queued: 0, running: 0, done: 0, error: 0 };
+      return { queued: 0, running: 0, done: 0, error: 0, dead: 0, cancelled: 0 };
     }
 
     const stats = {
@@ -188,6 +357,8 @@ export async function getJobStats() {
       running: 0,
       done: 0,
       error: 0,
+      dead: 0,
+      cancelled: 0,
     };
 
     data.forEach(job => {
@@ -199,7 +370,30 @@ export async function getJobStats() {
     return stats;
   } catch (error) {
     console.error('Exception getting job stats:', error);
-    return { queued: 0, running: 0, done: 0, error: 0 };
+    return { queued: 0, running: 0, done: 0, error: 0, dead: 0, cancelled: 0 };
+  }
+}
+
+/**
+ * Get queue depth grouped by job kind and status
+ * 
+ * @returns {Promise<Array<{kind: string, status: string, jobs: number, oldest_at: string}> | null>} Rows, or null on error
+ */
+export async function getQueueDepth() {
+  try {
+    const supabase = getSupabase();
+    
+    const { data, error } = await supabase.rpc('queue_depth');
+    
+    if (error) {
+      console.error('Error getting queue depth:', error);
+      return null;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Exception getting queue depth:', error);
+    return null;
   }
 }
 
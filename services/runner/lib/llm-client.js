@@ -9,6 +9,10 @@
  * Provider selection via environment variables.
  */
 
+import Ajv from 'ajv';
+import { recordLLMUsage } from './metrics.js';
+import { PermanentJobError } from './jobs.js';
+
 /**
  * LLM Provider configuration
  */
@@ -219,6 +223,8 @@ export async function generateCompletion(messages, options = {}) {
     console.log(`[LLM] Completion generated successfully`);
     console.log(`[LLM] Tokens used: ${result.usage.total_tokens}`);
     
+    recordLLMUsage(provider, result.model, result.usage);
+    
     return result;
     
   } catch (error) {
@@ -227,35 +233,134 @@ export async function generateCompletion(messages, options = {}) {
   }
 }
 
+/**
+ * Repair attempts generateJSON makes when a response is not valid JSON or
+ * does not match the schema
+ */
+const JSON_REPAIR_ATTEMPTS = parseInt(process.env.LLM_JSON_REPAIR_ATTEMPTS ?? '2', 10);
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new WeakMap();
+
+/**
+ * Get the compiled validator for a schema, compiling it on first use
+ */
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  return validators.get(schema);
+}
+
+/**
+ * Parse a JSON response and check it against a schema
+ * 
+ * @returns {{value?: any, errors?: string[]}} The parsed value, or what is wrong with it
+ */
+function parseJSONResponse(content, schema) {
+  // Extract JSON from markdown code blocks if present
+  let json = content.trim();
+  const jsonMatch = json.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  if (jsonMatch) {
+    json = jsonMatch[1];
+  }
+  
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+  
+  if (schema) {
+    const validate = getValidator(schema);
+    if (!validate(value)) {
+      // Cap the list so a wholly wrong response does not flood the repair prompt
+      return {
+        errors: validate.errors
+          .slice(0, 20)
+          .map(error => `${error.instancePath || '(root)'} ${error.message}${error.params?.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : ''}`),
+      };
+    }
+  }
+  
+  return { value };
+}
+
 /**
  * Generate a structured JSON response using the configured LLM
  * 
+ * A response that does not parse, or does not match options.schema, goes
+ * back to the model with the errors for up to options.repairAttempts
+ * repairs before generateJSON gives up. Giving up is a permanent job
+ * error: retrying the job would only repeat the same repairs.
+ * 
  * @param {string} systemPrompt - System prompt defining the task
  * @param {string} userPrompt - User prompt with the specific request
- * @param {object} options - Optional parameters
+ * @param {object} options - Optional parameters (see generateCompletion)
+ * @param {object} options.schema - JSON schema the response must match (optional)
+ * @param {number} options.repairAttempts - Repair attempts (default: LLM_JSON_REPAIR_ATTEMPTS or 2)
  * @returns {Promise<object>} Parsed JSON response
+ * @throws {PermanentJobError} If the response is still invalid after the repairs
  */
 export async function generateJSON(systemPrompt, userPrompt, options = {}) {
+  const { schema, repairAttempts = JSON_REPAIR_ATTEMPTS, ...completionOptions } = options;
   const messages = [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: userPrompt },
   ];
   
-  const result = await generateCompletion(messages, options);
+  for (let attempt = 0; ; attempt++) {
+    const result = await generateCompletion(messages, completionOptions);
+    const { value, errors } = parseJSONResponse(result.content, schema);
+    
+    if (!errors) {
+      if (attempt > 0) {
+        console.log(`[LLM] JSON response repaired after ${attempt} attempt(s)`);
+      }
+      return value;
+    }
+    
+    console.warn(`[LLM] Invalid JSON response (attempt ${attempt + 1}): ${errors.join('; ')}`);
+    
+    if (attempt >= repairAttempts) {
+      console.error('[LLM] Invalid JSON response:', result.content);
+      throw new PermanentJobError(`LLM JSON response is invalid after ${attempt} repair attempt(s): ${errors.join('; ')}`);
+    }
+    
+    messages.push(
+      { role: 'assistant', content: result.content },
+      {
+        role: 'user',
+        content: `Your response is invalid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object only, with no explanations.`,
+      }
+    );
+  }
+}
+
+/**
+ * Check that the configured provider is known and has its API key
+ * 
+ * Does not call the provider, so it is cheap enough for readiness probes.
+ * 
+ * @returns {{configured: boolean, provider: string, error?: string}}
+ */
+export function isConfigured() {
+  const provider = process.env.LLM_PROVIDER || 'openai';
   
-  // Extract JSON from markdown code blocks if present
-  let content = result.content.trim();
-  const jsonMatch = content.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
-  if (jsonMatch) {
-    content = jsonMatch[1];
+  if (!PROVIDERS[provider]) {
+    return { configured: false, provider, error: `Unknown LLM provider: ${provider}` };
   }
   
-  try {
-    return JSON.parse(content);
-  } catch (error) {
-    console.error('[LLM] Failed to parse JSON response:', content);
-    throw new Error(`Failed to parse LLM JSON response: ${error.message}`);
+  const { apiKeyEnv } = PROVIDERS[provider];
+  if (apiKeyEnv && !process.env[apiKeyEnv]) {
+    return { configured: false, provider, error: `${apiKeyEnv} is not set` };
   }
+  
+  return { configured: true, provider };
 }
 
 /**
@@ -0,0 +1,592 @@
+/**
+ * Local Database
+ *
+ * SQLite-backed stand-in for the Supabase client, used when
+ * RUNNER_BACKEND=local. It implements the part of the supabase-js API the
+ * runner uses: from() query builders, rpc() and storage, and returns the
+ * same { data, error } results, so call sites work unchanged.
+ *
+ * Tables come from local-schema.js, rpc() functions from local-rpc.js and
+ * storage buckets from local-storage.js.
+ */
+
+import { createRequire } from 'module';
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { SCHEMA_SQL } from './local-schema.js';
+import { RPC_FUNCTIONS } from './local-rpc.js';
+import { createLocalStorage } from './local-storage.js';
+
+// Postgres error codes for SQLite constraint failures, so callers can tell them apart
+const CONSTRAINT_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_NOTNULL: '23502',
+  SQLITE_CONSTRAINT_CHECK: '23514',
+};
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'like',
+};
+
+/**
+ * Open (and create if needed) the local SQLite database
+ *
+ * better-sqlite3 is loaded here rather than imported at the top so the
+ * native module is only needed when the local backend is used.
+ *
+ * @param {string} filename - Database file, or ':memory:'
+ * @returns {object} better-sqlite3 Database
+ */
+export function openLocalDatabase(filename) {
+  const require = createRequire(import.meta.url);
+  const Database = require('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  db.pragma('recursive_triggers = ON');
+  // Postgres LIKE is case-sensitive; ilike is handled separately
+  db.pragma('case_sensitive_like = ON');
+
+  db.function('now', { deterministic: false }, () => new Date().toISOString());
+  db.function('gen_random_uuid', { deterministic: false }, () => randomUUID());
+
+  db.exec(SCHEMA_SQL);
+
+  return db;
+}
+
+/**
+ * Read the declared column types of every table and view
+ *
+ * @param {object} db - better-sqlite3 Database
+ * @returns {Map<string, Map<string, string>>} Relation -> column -> declared type
+ */
+function readColumnTypes(db) {
+  const relations = db
+    .prepare(`select name from sqlite_master where type in ('table', 'view') and name not like 'sqlite_%'`)
+    .all();
+
+  const types = new Map();
+  for (const { name } of relations) {
+    const columns = db.prepare(`pragma table_info(${quoteIdentifier(name)})`).all();
+    types.set(name, new Map(columns.map(column => [column.name, column.type.toLowerCase()])));
+  }
+
+  return types;
+}
+
+/**
+ * Quote an SQL identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Convert a JavaScript value for storage in a column of the given type
+ */
+export function encodeValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (type === 'jsonb') {
+    return JSON.stringify(value);
+  }
+
+  if (type === 'timestamptz') {
+    return new Date(value).toISOString();
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return value;
+}
+
+/**
+ * Convert a stored row back to what Postgres would have returned
+ */
+export function decodeRow(row, columnTypes) {
+  if (!row) {
+    return row;
+  }
+
+  const decoded = {};
+  for (const [column, value] of Object.entries(row)) {
+    const type = columnTypes?.get(column);
+
+    if (value === null) {
+      decoded[column] = null;
+    } else if (type === 'jsonb') {
+      decoded[column] = JSON.parse(value);
+    } else if (type === 'boolean') {
+      decoded[column] = value === 1;
+    } else {
+      decoded[column] = value;
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Turn an error thrown by SQLite into a supabase-js style error
+ */
+function toPostgrestError(error) {
+  return {
+    message: error.message,
+    code: CONSTRAINT_CODES[error.code] || error.code || 'LOCAL',
+    details: null,
+    hint: null,
+  };
+}
+
+/**
+ * Error for a query the local backend cannot answer
+ */
+class LocalQueryError extends Error {
+  constructor(message, code = 'PGRST100') {
+    super(message);
+    this.name = 'LocalQueryError';
+    this.code = code;
+  }
+}
+
+/**
+ * Create a query builder for one table or view
+ *
+ * Mirrors the supabase-js PostgrestQueryBuilder: pick an action (select,
+ * insert, update, upsert, delete), chain filters and modifiers, then
+ * await it for { data, error, count }. Embedded resources and or()
+ * filters are not supported.
+ *
+ * @param {object} db - better-sqlite3 Database
+ * @param {Map} columnTypes - Column types of every relation (see readColumnTypes)
+ * @param {string} table - Table or view name
+ * @returns {object} Query builder
+ */
+function createQueryBuilder(db, columnTypes, table) {
+  const state = {
+    action: 'select',
+    columns: '*',
+    returning: false,
+    values: null,
+    onConflict: null,
+    ignoreDuplicates: false,
+    filters: [],
+    orders: [],
+    limit: null,
+    offset: null,
+    single: null,
+    count: null,
+    head: false,
+  };
+
+  const types = columnTypes.get(table);
+
+  /**
+   * Resolve a column reference, including JSON paths like payload->>run_id
+   */
+  function column(name) {
+    const [base, ...keys] = name.split(/->>?/);
+
+    if (!types?.has(base)) {
+      throw new LocalQueryError(`column ${table}.${base} does not exist`, '42703');
+    }
+
+    if (keys.length === 0) {
+      return { sql: quoteIdentifier(base), type: types.get(base) };
+    }
+
+    const jsonPath = `$${keys.map(key => (/^\d+$/.test(key) ? `[${key}]` : `.${key}`)).join('')}`;
+    return { sql: `json_extract(${quoteIdentifier(base)}, '${jsonPath.replace(/'/g, "''")}')`, type: null };
+  }
+
+  /**
+   * Build the SQL condition for a filter
+   */
+  function condition(name, operator, value) {
+    const { sql, type } = column(name);
+    const encode = (item) => encodeValue(item, type === 'jsonb' ? null : type);
+
+    switch (operator) {
+      case 'is':
+        if (value === null) {
+          return { sql: `${sql} is null`, params: [] };
+        }
+        return { sql: `${sql} is ?`, params: [encode(value)] };
+
+      case 'in':
+        if (value.length === 0) {
+          return { sql: '0', params: [] };
+        }
+        return { sql: `${sql} in (${value.map(() => '?').join(', ')})`, params: value.map(encode) };
+
+      case 'ilike':
+        return { sql: `lower(${sql}) like lower(?)`, params: [value] };
+
+      case 'contains':
+        if (Array.isArray(value)) {
+          return {
+            sql: `not exists (select 1 from json_each(?) as wanted where wanted.value not in (select value from json_each(${sql})))`,
+            params: [JSON.stringify(value)],
+          };
+        }
+        return {
+          sql: Object.keys(value).map(key => `json_extract(${sql}, ?) is ?`).join(' and ') || '1',
+          params: Object.entries(value).flatMap(([key, item]) => [`$.${key}`, encodeValue(item)]),
+        };
+
+      case 'overlaps':
+        return {
+          sql: `exists (select 1 from json_each(${sql}) as have join json_each(?) as wanted on have.value = wanted.value)`,
+          params: [JSON.stringify(value)],
+        };
+
+      default:
+        if (!FILTER_OPERATORS[operator]) {
+          throw new LocalQueryError(`Filter operator ${operator} is not supported by the local backend`);
+        }
+        return { sql: `${sql} ${FILTER_OPERATORS[operator]} ?`, params: [encode(value)] };
+    }
+  }
+
+  /**
+   * Add a filter, deferring column errors until the query runs
+   */
+  function addFilter(name, operator, value, negate = false) {
+    state.filters.push(() => {
+      const built = condition(name, operator, value);
+      return negate ? { sql: `not (${built.sql})`, params: built.params } : built;
+    });
+    return builder;
+  }
+
+  /**
+   * Column list for select and returning clauses
+   */
+  function selectList() {
+    const names = state.columns.split(',').map(name => name.trim()).filter(Boolean);
+
+    if (names.length === 0 || names.includes('*')) {
+      return '*';
+    }
+
+    return names.map(name => {
+      if (name.includes('(')) {
+        throw new LocalQueryError(`Embedded resources are not supported by the local backend: ${name}`);
+      }
+
+      const [alias, source] = name.includes(':') ? name.split(':') : [name.split(/->>?/).pop(), name];
+      return `${column(source.trim()).sql} as ${quoteIdentifier(alias.trim())}`;
+    }).join(', ');
+  }
+
+  function whereClause() {
+    const built = state.filters.map(filter => filter());
+
+    return {
+      sql: built.length > 0 ? ` where ${built.map(item => `(${item.sql})`).join(' and ')}` : '',
+      params: built.flatMap(item => item.params),
+    };
+  }
+
+  function orderClause() {
+    if (state.orders.length === 0) {
+      return '';
+    }
+
+    // Postgres sorts nulls last when ascending and first when descending
+    return ` order by ${state.orders.map(({ name, ascending, nullsFirst }) => {
+      const { sql } = column(name);
+      const nulls = (nullsFirst ?? !ascending) ? 'desc' : 'asc';
+      return `${sql} is null ${nulls}, ${sql} ${ascending ? 'asc' : 'desc'}`;
+    }).join(', ')}`;
+  }
+
+  function encodeRow(row) {
+    const names = Object.keys(row).filter(name => row[name] !== undefined);
+
+    for (const name of names) {
+      if (!types?.has(name)) {
+        throw new LocalQueryError(`Could not find the '${name}' column of '${table}'`, 'PGRST204');
+      }
+    }
+
+    return {
+      names,
+      values: names.map(name => encodeValue(row[name], types.get(name))),
+    };
+  }
+
+  function runSelect() {
+    const where = whereClause();
+    let count = null;
+
+    if (state.count) {
+      count = db.prepare(`select count(*) as count from ${quoteIdentifier(table)}${where.sql}`).get(...where.params).count;
+    }
+
+    if (state.head) {
+      return { data: null, count };
+    }
+
+    let sql = `select ${selectList()} from ${quoteIdentifier(table)}${where.sql}${orderClause()}`;
+    if (state.limit !== null || state.offset !== null) {
+      sql += ` limit ${state.limit ?? -1} offset ${state.offset ?? 0}`;
+    }
+
+    return { data: db.prepare(sql).all(...where.params), count };
+  }
+
+  function runInsert() {
+    const rows = Array.isArray(state.values) ? state.values : [state.values];
+    const returning = state.returning ? ` returning ${selectList()}` : '';
+
+    const insertAll = db.transaction(() => rows.flatMap(row => {
+      const { names, values } = encodeRow(row);
+      const columns = names.map(quoteIdentifier).join(', ');
+
+      let sql = names.length > 0
+        ? `insert into ${quoteIdentifier(table)} (${columns}) values (${names.map(() => '?').join(', ')})`
+        : `insert into ${quoteIdentifier(table)} default values`;
+
+      if (state.action === 'upsert') {
+        const conflict = (state.onConflict || 'id').split(',').map(name => quoteIdentifier(name.trim())).join(', ');
+        const updates = names.map(name => `${quoteIdentifier(name)} = excluded.${quoteIdentifier(name)}`).join(', ');
+        sql += state.ignoreDuplicates || !updates
+          ? ` on conflict (${conflict}) do nothing`
+          : ` on conflict (${conflict}) do update set ${updates}`;
+      }
+
+      const statement = db.prepare(sql + returning);
+      return returning ? statement.all(...values) : (statement.run(...values), []);
+    }));
+
+    return { data: state.returning ? insertAll() : (insertAll(), null), count: null };
+  }
+
+  function runUpdate() {
+    const { names, values } = encodeRow(state.values);
+    const where = whereClause();
+    const returning = state.returning ? ` returning ${selectList()}` : '';
+
+    if (names.length === 0) {
+      throw new LocalQueryError('Update requires at least one column');
+    }
+
+    const sql = `update ${quoteIdentifier(table)} set ${names.map(name => `${quoteIdentifier(name)} = ?`).join(', ')}${where.sql}${returning}`;
+    const statement = db.prepare(sql);
+
+    return {
+      data: state.returning ? statement.all(...values, ...where.params) : (statement.run(...values, ...where.params), null),
+      count: null,
+    };
+  }
+
+  function runDelete() {
+    const where = whereClause();
+    const returning = state.returning ? ` returning ${selectList()}` : '';
+    const statement = db.prepare(`delete from ${quoteIdentifier(table)}${where.sql}${returning}`);
+
+    return {
+      data: state.returning ? statement.all(...where.params) : (statement.run(...where.params), null),
+      count: null,
+    };
+  }
+
+  /**
+   * Run the query and shape the result like supabase-js
+   */
+  function execute() {
+    try {
+      if (!types) {
+        throw new LocalQueryError(`relation "${table}" does not exist`, '42P01');
+      }
+
+      const runners = { select: runSelect, insert: runInsert, upsert: runInsert, update: runUpdate, delete: runDelete };
+      const result = runners[state.action]();
+      let data = result.data?.map(row => decodeRow(row, types)) ?? null;
+
+      if (state.single) {
+        if (data.length > 1 || (data.length === 0 && state.single === 'single')) {
+          return {
+            data: null,
+            error: {
+              message: 'JSON object requested, multiple (or no) rows returned',
+              code: 'PGRST116',
+              details: `The result contains ${data.length} rows`,
+              hint: null,
+            },
+            count: result.count,
+          };
+        }
+        data = data[0] ?? null;
+      }
+
+      return { data, error: null, count: result.count };
+    } catch (error) {
+      return { data: null, error: toPostgrestError(error), count: null };
+    }
+  }
+
+  const builder = {
+    select(columns = '*', { count = null, head = false } = {}) {
+      if (state.action === 'select') {
+        state.count = count;
+        state.head = head;
+      } else {
+        state.returning = true;
+      }
+      state.columns = columns;
+      return builder;
+    },
+
+    insert(values) {
+      state.action = 'insert';
+      state.values = values;
+      return builder;
+    },
+
+    upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+      state.action = 'upsert';
+      state.values = values;
+      state.onConflict = onConflict;
+      state.ignoreDuplicates = ignoreDuplicates;
+      return builder;
+    },
+
+    update(values) {
+      state.action = 'update';
+      state.values = values;
+      return builder;
+    },
+
+    delete() {
+      state.action = 'delete';
+      return builder;
+    },
+
+    eq: (name, value) => addFilter(name, 'eq', value),
+    neq: (name, value) => addFilter(name, 'neq', value),
+    gt: (name, value) => addFilter(name, 'gt', value),
+    gte: (name, value) => addFilter(name, 'gte', value),
+    lt: (name, value) => addFilter(name, 'lt', value),
+    lte: (name, value) => addFilter(name, 'lte', value),
+    like: (name, value) => addFilter(name, 'like', value),
+    ilike: (name, value) => addFilter(name, 'ilike', value),
+    is: (name, value) => addFilter(name, 'is', value),
+    in: (name, values) => addFilter(name, 'in', values),
+    contains: (name, value) => addFilter(name, 'contains', value),
+    overlaps: (name, value) => addFilter(name, 'overlaps', value),
+    not: (name, operator, value) => addFilter(name, operator, value, true),
+    filter: (name, operator, value) => addFilter(name, operator, value),
+
+    match(values) {
+      for (const [name, value] of Object.entries(values)) {
+        addFilter(name, 'eq', value);
+      }
+      return builder;
+    },
+
+    order(name, { ascending = true, nullsFirst } = {}) {
+      state.orders.push({ name, ascending, nullsFirst });
+      return builder;
+    },
+
+    limit(count) {
+      state.limit = count;
+      return builder;
+    },
+
+    range(from, to) {
+      state.offset = from;
+      state.limit = to - from + 1;
+      return builder;
+    },
+
+    single() {
+      state.single = 'single';
+      return builder;
+    },
+
+    maybeSingle() {
+      state.single = 'maybeSingle';
+      return builder;
+    },
+
+    then(resolve, reject) {
+      return Promise.resolve().then(execute).then(resolve, reject);
+    },
+  };
+
+  return builder;
+}
+
+/**
+ * Create a local client with the supabase-js surface the runner uses
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory for the database file and storage buckets
+ * @param {string} options.filename - Database file (default: <dataDir>/qaai.db; ':memory:' for tests)
+ * @returns {object} Client with from(), rpc() and storage
+ */
+export function createLocalClient({ dataDir, filename = path.join(dataDir, 'qaai.db') }) {
+  const db = openLocalDatabase(filename);
+  const columnTypes = readColumnTypes(db);
+
+  return {
+    db,
+
+    from(table) {
+      return createQueryBuilder(db, columnTypes, table);
+    },
+
+    async rpc(name, params = {}) {
+      const fn = RPC_FUNCTIONS[name];
+
+      if (!fn) {
+        return {
+          data: null,
+          error: { message: `Could not find the function public.${name}`, code: 'PGRST202', details: null, hint: null },
+        };
+      }
+
+      try {
+        // immediate: take the write lock up front so concurrent runners serialize
+        const rows = db.transaction(() => fn(db, params)).immediate();
+        return { data: rows, error: null };
+      } catch (error) {
+        return { data: null, error: toPostgrestError(error) };
+      }
+    },
+
+    storage: createLocalStorage(path.join(dataDir, 'storage')),
+  };
+}
@@ -0,0 +1,426 @@
+/**
+ * Local RPC Functions
+ *
+ * JavaScript versions of the SQL functions in infra/supabase/schema.sql
+ * for the local backend. Keep in sync with that file. Each function
+ * receives the database and the rpc() parameters, runs inside an
+ * immediate transaction (see createLocalClient) and returns the rows the
+ * SQL function would return.
+ */
+
+/**
+ * Current time as stored in timestamptz columns
+ */
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Time `seconds` from now as stored in timestamptz columns
+ */
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+/**
+ * Parse the JSON columns of a jobs_queue row
+ */
+function decodeJob(row) {
+  return row && { ...row, payload: row.payload === undefined ? undefined : JSON.parse(row.payload) };
+}
+
+function logJobEvent(db, jobId, event, workerId, details) {
+  db.prepare('insert into job_history (job_id, event, worker_id, details) values (?, ?, ?, ?)')
+    .run(jobId, event, workerId ?? null, JSON.stringify(details));
+}
+
+/**
+ * acquire_job: claim the next job by priority, then round-robin across
+ * organizations and projects
+ */
+function acquireJob(db, { worker_id, kinds = null }) {
+  const candidate = db.prepare(`
+    with candidates as (
+      select
+        jobs_queue.id as job_id,
+        jobs_queue.priority as job_priority,
+        jobs_queue.scheduled_at as job_scheduled_at,
+        coalesce(jobs_queue.org_id, jobs_queue.project_id, cast(jobs_queue.id as text)) as org_key,
+        row_number() over (
+          partition by jobs_queue.priority, coalesce(jobs_queue.project_id, cast(jobs_queue.id as text))
+          order by jobs_queue.scheduled_at, jobs_queue.id
+        ) as project_rank
+      from jobs_queue
+      where jobs_queue.status = 'queued'
+        and jobs_queue.attempts < jobs_queue.max_attempts
+        and jobs_queue.scheduled_at <= now()
+        and (:kinds is null or jobs_queue.kind in (select value from json_each(:kinds)))
+    ),
+    ranked as (
+      select
+        candidates.*,
+        row_number() over (
+          partition by candidates.job_priority, candidates.org_key
+          order by candidates.project_rank, candidates.job_scheduled_at, candidates.job_id
+        ) as org_rank
+      from candidates
+    ),
+    running as (
+      select jobs_queue.org_id as org_key, count(*) as running_count
+      from jobs_queue
+      where jobs_queue.status = 'running'
+        and jobs_queue.org_id is not null
+      group by jobs_queue.org_id
+    )
+    select ranked.job_id
+    from ranked
+    left join running on running.org_key = ranked.org_key
+    order by
+      ranked.job_priority desc,
+      ranked.org_rank + coalesce(running.running_count, 0),
+      ranked.job_scheduled_at,
+      ranked.job_id
+    limit 1
+  `).get({ kinds: kinds ? JSON.stringify(kinds) : null });
+
+  if (!candidate) {
+    return [];
+  }
+
+  const job = db.prepare(`
+    update jobs_queue
+    set status = 'running', locked_by = ?, locked_at = ?
+    where id = ?
+    returning id, kind, payload, attempts, priority
+  `).get(worker_id, now(), candidate.job_id);
+
+  return [decodeJob(job)];
+}
+
+/**
+ * fail_job: retry with exponential backoff, or move to the dead letter status
+ */
+function failJob(db, { job_id, error_text, retryable = true, base_delay_seconds = 30, max_delay_seconds = 3600, worker_id = null }) {
+  const job = db.prepare('select * from jobs_queue where id = ?').get(job_id);
+
+  // Skip if the job is no longer running, or the reaper handed it to another worker
+  if (!job || job.status !== 'running' || (worker_id !== null && job.locked_by !== worker_id)) {
+    return [];
+  }
+
+  const retry = retryable && job.attempts + 1 < job.max_attempts;
+  const delay = Math.min(max_delay_seconds, base_delay_seconds * 2 ** job.attempts);
+
+  return db.prepare(`
+    update jobs_queue
+    set attempts = attempts + 1, last_error = ?, locked_by = null, locked_at = null, status = ?, scheduled_at = ?
+    where id = ?
+    returning id, status, attempts, scheduled_at
+  `).all(error_text, retry ? 'queued' : 'dead', retry ? secondsFromNow(delay) : job.scheduled_at, job_id);
+}
+
+/**
+ * worker_heartbeat: upsert the worker row, renew held locks and report
+ * the status of every job the worker still holds
+ */
+function workerHeartbeat(db, { worker_id, job_ids = [], info = {} }) {
+  db.prepare(`
+    insert into workers (id, hostname, pid, status, limits, in_flight, last_heartbeat_at)
+    values (?, ?, ?, ?, ?, ?, ?)
+    on conflict (id) do update
+    set
+      status = excluded.status,
+      limits = excluded.limits,
+      in_flight = excluded.in_flight,
+      last_heartbeat_at = excluded.last_heartbeat_at
+  `).run(
+    worker_id,
+    info.hostname ?? null,
+    info.pid ?? null,
+    info.status || 'active',
+    JSON.stringify(info.limits || {}),
+    JSON.stringify(info.in_flight || []),
+    now()
+  );
+
+  const ids = JSON.stringify(job_ids);
+
+  db.prepare(`
+    update jobs_queue
+    set locked_at = ?
+    where id in (select value from json_each(?))
+      and status = 'running'
+      and locked_by = ?
+  `).run(now(), ids, worker_id);
+
+  return db.prepare(`
+    select id, status
+    from jobs_queue
+    where id in (select value from json_each(?))
+      and locked_by = ?
+  `).all(ids, worker_id);
+}
+
+/**
+ * reap_stale_jobs: re-queue running jobs whose lock expired, counting it as an attempt
+ */
+function reapStaleJobs(db, { reaper_id, timeouts = {}, default_timeout_seconds = 600 }) {
+  const running = db.prepare(`select * from jobs_queue where status = 'running'`).all();
+  const reaped = [];
+
+  for (const job of running) {
+    const timeout = timeouts[job.kind] ?? default_timeout_seconds;
+    if (!job.locked_at || new Date(job.locked_at).getTime() >= Date.now() - timeout * 1000) {
+      continue;
+    }
+
+    const status = job.attempts + 1 < job.max_attempts ? 'queued' : 'dead';
+
+    db.prepare(`
+      update jobs_queue
+      set attempts = attempts + 1, status = ?, last_error = ?, locked_by = null, locked_at = null, scheduled_at = ?
+      where id = ?
+    `).run(status, `Lock expired: worker ${job.locked_by || 'unknown'} stopped heartbeating`, now(), job.id);
+
+    logJobEvent(db, job.id, 'lock_expired', reaper_id, {
+      previous_worker: job.locked_by,
+      locked_at: job.locked_at,
+      status,
+    });
+
+    reaped.push({ id: job.id, kind: job.kind, status, previous_worker: job.locked_by });
+  }
+
+  return reaped;
+}
+
+/**
+ * release_jobs: hand a worker's running jobs back to the queue without counting an attempt
+ */
+function releaseJobs(db, { worker_id, job_ids = [], note = null }) {
+  const released = db.prepare(`
+    update jobs_queue
+    set status = 'queued', locked_by = null, locked_at = null, scheduled_at = ?, last_error = coalesce(?, last_error)
+    where id in (select value from json_each(?))
+      and status = 'running'
+      and locked_by = ?
+    returning id
+  `).all(now(), note, JSON.stringify(job_ids), worker_id);
+
+  for (const { id } of released) {
+    logJobEvent(db, id, 'released', worker_id, { note });
+  }
+
+  return released;
+}
+
+/**
+ * cancel_job: cancel a queued or running job; the cascade trigger cancels downstream jobs
+ */
+function cancelJob(db, { job_id, reason = null, actor = null }) {
+  const job = db.prepare(`select id, status from jobs_queue where id = ? and status in ('queued', 'running')`).get(job_id);
+
+  if (!job) {
+    return [];
+  }
+
+  db.prepare(`update jobs_queue set status = 'cancelled', last_error = ? where id = ?`)
+    .run(reason ?? 'Cancelled', job.id);
+
+  logJobEvent(db, job.id, 'cancelled', null, { reason, cancelled_by: actor, previous_status: job.status });
+
+  return [{ id: job.id, status: 'cancelled', previous_status: job.status }];
+}
+
+/**
+ * enqueue_job: insert a job, or return the one created for the same
+ * idempotency key within the window
+ */
+function enqueueJob(db, { job_kind, job_payload, job_priority = 5, job_parent_id = null, key = null, window_seconds = 3600 }) {
+  if (key !== null) {
+    const existing = db.prepare(`
+      select id, pipeline_id, payload
+      from jobs_queue
+      where idempotency_key = ?
+        and created_at > ?
+      order by id desc
+      limit 1
+    `).get(key, secondsFromNow(-window_seconds));
+
+    if (existing) {
+      return [{ ...decodeJob(existing), created: false }];
+    }
+  }
+
+  const { lastInsertRowid } = db.prepare(`
+    insert into jobs_queue (kind, payload, status, priority, parent_id, idempotency_key)
+    values (?, ?, 'queued', ?, ?, ?)
+  `).run(job_kind, JSON.stringify(job_payload), job_priority, job_parent_id, key);
+
+  // Read back after the insert triggers filled in the pipeline
+  const job = db.prepare('select id, pipeline_id, payload from jobs_queue where id = ?').get(lastInsertRowid);
+
+  return [{ ...decodeJob(job), created: true }];
+}
+
+/**
+ * queue_depth: job counts and oldest scheduled_at per kind and status
+ */
+function queueDepth(db) {
+  return db.prepare(`
+    select kind, status, count(*) as jobs, min(scheduled_at) as oldest_at
+    from jobs_queue
+    group by kind, status
+  `).all();
+}
+
+/**
+ * fire_schedule: advance a due schedule (compare-and-set on next_run_at)
+ * and queue its run, or skip it if its suites and tags match no suite
+ */
+function fireSchedule(db, { schedule_id, due_at, next_at, job_priority = 0 }) {
+  const fired = db.prepare(`
+    update schedules
+    set next_run_at = ?, last_run_at = ?, last_error = null
+    where id = ?
+      and enabled
+      and next_run_at = ?
+    returning *
+  `).get(new Date(next_at).toISOString(), now(), schedule_id, new Date(due_at).toISOString());
+
+  if (!fired) {
+    return [];
+  }
+
+  const suiteIds = db.prepare(`
+    select suites.id
+    from suites
+    where suites.project_id = ?
+      and (
+        suites.id in (select value from json_each(?))
+        or exists (select 1 from json_each(suites.tags) as tag where tag.value in (select value from json_each(?)))
+      )
+  `).all(fired.project_id, fired.suite_ids || '[]', fired.tags || '[]').map(suite => suite.id);
+
+  const targeted = JSON.parse(fired.suite_ids || '[]').length > 0 || JSON.parse(fired.tags || '[]').length > 0;
+  if (targeted && suiteIds.length === 0) {
+    db.prepare('update schedules set last_error = ? where id = ?')
+      .run("No suite matches the schedule's suites or tags; run skipped", fired.id);
+    return [{ run_id: null, job_id: null }];
+  }
+
+  const run = db.prepare(`
+    insert into runs (project_id, suite_ids, trigger, schedule_id, status, meta)
+    values (?, ?, 'schedule', ?, 'queued', ?)
+    returning id
+  `).get(
+    fired.project_id,
+    JSON.stringify(suiteIds),
+    fired.id,
+    JSON.stringify({
+      schedule_name: fired.name,
+      scheduled_for: due_at,
+      tags: JSON.parse(fired.tags || '[]'),
+      environment: JSON.parse(fired.environment || '{}'),
+    })
+  );
+
+  const { lastInsertRowid } = db.prepare(`
+    insert into jobs_queue (kind, payload, priority)
+    values ('run', ?, ?)
+  `).run(JSON.stringify({ run_id: run.id, project_id: fired.project_id, schedule_id: fired.id }), job_priority);
+
+  return [{ run_id: run.id, job_id: lastInsertRowid }];
+}
+
+/**
+ * Trigrams of a string as pg_trgm extracts them: lowercased words of
+ * letters and digits, each padded with two spaces in front and one behind
+ */
+function trigrams(text) {
+  const result = new Set();
+
+  for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      result.add(padded.slice(i, i + 3));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * pg_trgm similarity(): shared trigrams over all distinct trigrams
+ */
+function similarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  const shared = [...left].filter(trigram => right.has(trigram)).length;
+  const total = left.size + right.size - shared;
+
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * match_test_cases: most similar active test case per title, at or above the threshold
+ */
+function matchTestCases(db, { match_project_id, titles = [], threshold = 0.7, exclude_plan_id = null }) {
+  const testCases = db.prepare(`
+    select id, title
+    from test_cases
+    where project_id = ?
+      and status = 'active'
+      and (? is null or plan_id is null or plan_id <> ?)
+  `).all(match_project_id, exclude_plan_id, exclude_plan_id);
+
+  return titles.flatMap((title, index) => {
+    let best = null;
+
+    for (const testCase of testCases) {
+      const score = similarity(testCase.title, title);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { title_index: index + 1, test_case_id: testCase.id, test_case_title: testCase.title, score };
+      }
+    }
+
+    return best ? [best] : [];
+  });
+}
+
+/**
+ * test_failure_rates: finished and failed results per active test case since a time
+ */
+function testFailureRates(db, { rate_project_id, since }) {
+  return db.prepare(`
+    select
+      test_cases.id as test_case_id,
+      test_cases.title,
+      count(*) as runs,
+      sum(run_tests.status <> 'passed') as failures
+    from test_cases
+    join run_tests on run_tests.test_case_id = test_cases.id
+    where test_cases.project_id = ?
+      and test_cases.status = 'active'
+      and run_tests.status in ('passed', 'failed', 'flaky', 'error')
+      and run_tests.created_at >= ?
+    group by test_cases.id, test_cases.title
+  `).all(rate_project_id, new Date(since).toISOString());
+}
+
+/**
+ * SQL functions callable through the local client's rpc()
+ */
+export const RPC_FUNCTIONS = {
+  acquire_job: acquireJob,
+  fail_job: failJob,
+  worker_heartbeat: workerHeartbeat,
+  reap_stale_jobs: reapStaleJobs,
+  release_jobs: releaseJobs,
+  cancel_job: cancelJob,
+  enqueue_job: enqueueJob,
+  queue_depth: queueDepth,
+  fire_schedule: fireSchedule,
+  match_test_cases: matchTestCases,
+  test_failure_rates: testFailureRates,
+};
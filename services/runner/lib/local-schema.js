@@ -0,0 +1,388 @@
+/**
+ * Local Schema
+ *
+ * SQLite version of infra/supabase/schema.sql for the local backend.
+ * Keep in sync with that file: same tables, columns, defaults, checks,
+ * triggers and the views the runner reads. Only the dialect differs:
+ *
+ * - uuid and timestamptz columns are text; timestamps are ISO 8601 in UTC
+ * - jsonb and array columns hold JSON text (arrays are declared jsonb)
+ * - boolean columns hold 0 or 1
+ * - bigserial ids are integer primary keys
+ *
+ * now() and gen_random_uuid() are registered by local-db.js, so the file
+ * can only be written to through it. The SQL functions called with rpc()
+ * live in local-rpc.js.
+ */
+
+export const SCHEMA_SQL = `
+-- ============================================================================
+-- CORE TABLES
+-- ============================================================================
+
+create table if not exists organizations (
+  id uuid primary key default (gen_random_uuid()),
+  name text not null,
+  created_at timestamptz default (now())
+);
+
+create table if not exists org_members (
+  org_id uuid references organizations(id) on delete cascade,
+  user_id uuid not null,
+  role text check (role in ('owner','admin','member')) default 'member',
+  primary key (org_id, user_id)
+);
+
+create table if not exists projects (
+  id uuid primary key default (gen_random_uuid()),
+  org_id uuid references organizations(id) on delete cascade,
+  name text not null,
+  repo_url text,
+  app_base_url text,
+  env_json jsonb default '{}',
+  github_installation_id integer,
+  github_repo_owner text,
+  github_repo_name text,
+  auto_create_issues boolean default 0,
+  issue_labels jsonb default '["qa-automated","bug"]',
+  auth_config jsonb default '{}',
+  routes jsonb default '[]',
+  critical_paths jsonb default '["/api/auth","/api/payment","/api/users"]',
+  test_config jsonb default '{}',
+  created_at timestamptz default (now())
+);
+
+create table if not exists test_users (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  name text not null,
+  email text,
+  phone text,
+  password_encrypted text,
+  role text default 'user',
+  metadata jsonb default '{}',
+  created_at timestamptz default (now())
+);
+
+create table if not exists test_headers (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  name text not null,
+  description text,
+  headers jsonb not null,
+  created_at timestamptz default (now())
+);
+
+create table if not exists suites (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  name text not null,
+  tags jsonb default '[]',
+  created_at timestamptz default (now())
+);
+
+create table if not exists plans (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  suite_id uuid references suites(id) on delete set null,
+  pr_url text,
+  spec_md text,
+  plan_json jsonb not null,
+  status text default 'draft',
+  created_by uuid,
+  created_at timestamptz default (now())
+);
+
+create table if not exists plan_reviews (
+  id uuid primary key default (gen_random_uuid()),
+  plan_id uuid references plans(id) on delete cascade,
+  scenario_index integer,
+  scenario_name text,
+  decision text check (decision in ('approved','rejected','pending','edited')) not null,
+  changes jsonb,
+  comment text,
+  reviewed_by uuid,
+  created_at timestamptz default (now())
+);
+
+create table if not exists test_cases (
+  id uuid primary key default (gen_random_uuid()),
+  suite_id uuid references suites(id) on delete cascade,
+  project_id uuid references projects(id) on delete cascade,
+  plan_id uuid references plans(id) on delete set null,
+  title text not null,
+  priority integer default 2,
+  risk_score real,
+  steps jsonb not null,
+  source text check (source in ('ai','manual')) default 'ai',
+  file_path text,
+  status text check (status in ('active','needs_review','archived')) default 'active',
+  validation_errors jsonb,
+  created_at timestamptz default (now()),
+  updated_at timestamptz default (now())
+);
+
+create table if not exists schedules (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  name text not null,
+  cron text not null,
+  timezone text not null default 'UTC',
+  suite_ids jsonb default '[]',
+  tags jsonb default '[]',
+  environment jsonb default '{}',
+  enabled boolean default 1,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  last_error text,
+  created_by uuid,
+  created_at timestamptz default (now()),
+  updated_at timestamptz default (now())
+);
+
+create table if not exists runs (
+  id uuid primary key default (gen_random_uuid()),
+  project_id uuid references projects(id) on delete cascade,
+  plan_id uuid references plans(id),
+  suite_ids jsonb default '[]',
+  trigger text check (trigger in ('manual','pr','schedule','api')) default 'manual',
+  schedule_id uuid references schedules(id) on delete set null,
+  status text check (status in ('queued','running','passed','failed','error','cancelled')) default 'queued',
+  started_at timestamptz,
+  finished_at timestamptz,
+  meta jsonb default '{}'
+);
+
+create table if not exists run_tests (
+  id uuid primary key default (gen_random_uuid()),
+  run_id uuid references runs(id) on delete cascade,
+  test_case_id uuid,
+  status text check (status in ('queued','running','passed','failed','flaky','skipped','error')) default 'queued',
+  attempt integer default 0,
+  duration_ms integer,
+  junit_path text,
+  trace_path text,
+  video_path text,
+  screenshot_path text,
+  har_path text,
+  logs text,
+  error_text text,
+  created_at timestamptz default (now())
+);
+
+create table if not exists jobs_queue (
+  id integer primary key autoincrement,
+  kind text check (kind in ('plan','generate','run')) not null,
+  payload jsonb not null,
+  priority integer default 5,
+  project_id uuid references projects(id) on delete cascade,
+  org_id uuid references organizations(id) on delete cascade,
+  parent_id integer references jobs_queue(id) on delete set null,
+  pipeline_id uuid,
+  status text check (status in ('queued','running','done','error','dead','cancelled')) default 'queued',
+  attempts integer default 0,
+  max_attempts integer default 3,
+  last_error text,
+  scheduled_at timestamptz default (now()),
+  locked_by text,
+  locked_at timestamptz,
+  idempotency_key text,
+  created_at timestamptz default (now())
+);
+
+create table if not exists job_history (
+  id integer primary key autoincrement,
+  job_id integer references jobs_queue(id) on delete cascade,
+  event text not null,
+  worker_id text,
+  details jsonb default '{}',
+  created_at timestamptz default (now())
+);
+
+create table if not exists job_events (
+  id integer primary key autoincrement,
+  job_id integer references jobs_queue(id) on delete cascade,
+  type text check (type in ('stage_started','stage_finished','scenario_generated','scenario_failed','test_finished','progress')) not null,
+  stage text,
+  message text,
+  progress integer check (progress between 0 and 100),
+  data jsonb default '{}',
+  created_at timestamptz default (now())
+);
+
+create table if not exists workers (
+  id text primary key,
+  hostname text,
+  pid integer,
+  status text check (status in ('active','draining','stopped')) default 'active',
+  limits jsonb default '{}',
+  in_flight jsonb default '[]',
+  started_at timestamptz default (now()),
+  last_heartbeat_at timestamptz default (now())
+);
+
+create table if not exists github_issues (
+  id uuid primary key default (gen_random_uuid()),
+  run_test_id uuid references run_tests(id) on delete cascade,
+  project_id uuid references projects(id) on delete cascade,
+  run_id uuid references runs(id) on delete cascade,
+  issue_number integer not null,
+  issue_url text not null,
+  title text not null,
+  issue_type text check (issue_type in ('test_failure','flaky_test','multiple_failures','manual')) default 'manual',
+  metadata jsonb default '{}',
+  created_by uuid,
+  created_at timestamptz default (now())
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+create index if not exists idx_test_cases_project on test_cases(project_id, status);
+create index if not exists idx_test_cases_plan on test_cases(plan_id);
+create index if not exists idx_plan_reviews_plan on plan_reviews(plan_id, created_at);
+create index if not exists idx_runs_project on runs(project_id);
+create index if not exists idx_run_tests_run on run_tests(run_id);
+create index if not exists idx_schedules_due on schedules(enabled, next_run_at);
+create index if not exists idx_jobs_status on jobs_queue(status, scheduled_at);
+create index if not exists idx_jobs_locked on jobs_queue(status, locked_at);
+create index if not exists idx_jobs_parent on jobs_queue(parent_id);
+create index if not exists idx_jobs_pipeline on jobs_queue(pipeline_id);
+create index if not exists idx_jobs_idempotency on jobs_queue(idempotency_key, created_at) where idempotency_key is not null;
+create index if not exists idx_job_history_job on job_history(job_id);
+create index if not exists idx_job_events_job on job_events(job_id, id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+-- set_job_scope: fill in the project and organization a job belongs to
+create trigger if not exists jobs_queue_scope
+after insert on jobs_queue
+for each row
+begin
+  update jobs_queue
+  set project_id = coalesce(
+    new.project_id,
+    nullif(json_extract(new.payload, '$.project_id'), ''),
+    (select runs.project_id from runs where runs.id = json_extract(new.payload, '$.run_id'))
+  )
+  where jobs_queue.id = new.id;
+
+  update jobs_queue
+  set org_id = coalesce(
+    jobs_queue.org_id,
+    (select projects.org_id from projects where projects.id = jobs_queue.project_id)
+  )
+  where jobs_queue.id = new.id;
+end;
+
+-- set_job_pipeline: child jobs join their parent's pipeline, and are
+-- cancelled straight away if the parent was cancelled or dead-lettered
+create trigger if not exists jobs_queue_pipeline
+after insert on jobs_queue
+for each row
+begin
+  update jobs_queue
+  set pipeline_id = coalesce(
+    new.pipeline_id,
+    (select parent.pipeline_id from jobs_queue as parent where parent.id = new.parent_id),
+    gen_random_uuid()
+  )
+  where jobs_queue.id = new.id;
+
+  update jobs_queue
+  set
+    status = 'cancelled',
+    last_error = 'Upstream job ' || parent.id || ' was ' || parent.status
+  from jobs_queue as parent
+  where jobs_queue.id = new.id
+    and parent.id = new.parent_id
+    and parent.status in ('cancelled', 'dead');
+end;
+
+-- cascade_job_cancellation: each cancelled child fires this trigger again
+-- (recursive_triggers is on), so the whole chain is covered
+create trigger if not exists jobs_queue_cascade
+after update of status on jobs_queue
+for each row
+when new.status in ('cancelled', 'dead') and old.status is not new.status
+begin
+  insert into job_history (job_id, event, details)
+  select jobs_queue.id, 'cancelled', json_object('upstream_job', new.id, 'upstream_status', new.status)
+  from jobs_queue
+  where jobs_queue.parent_id = new.id
+    and jobs_queue.status in ('queued', 'running');
+
+  update jobs_queue
+  set
+    status = 'cancelled',
+    last_error = 'Upstream job ' || new.id || ' was ' || new.status
+  where jobs_queue.parent_id = new.id
+    and jobs_queue.status in ('queued', 'running');
+end;
+
+create trigger if not exists test_cases_updated_at
+after update on test_cases
+for each row
+when new.updated_at is old.updated_at
+begin
+  update test_cases set updated_at = now() where test_cases.id = new.id;
+end;
+
+create trigger if not exists schedules_updated_at
+after update on schedules
+for each row
+when new.updated_at is old.updated_at
+begin
+  update schedules set updated_at = now() where schedules.id = new.id;
+end;
+
+-- ============================================================================
+-- VIEWS
+-- ============================================================================
+
+create view if not exists live_workers as
+select * from workers
+where status <> 'stopped'
+  and last_heartbeat_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-2 minutes');
+
+create view if not exists run_stats as
+select
+  r.id as run_id,
+  r.project_id,
+  count(rt.id) as total_tests,
+  count(rt.id) filter (where rt.status = 'passed') as passed_tests,
+  count(rt.id) filter (where rt.status = 'failed') as failed_tests,
+  count(rt.id) filter (where rt.status = 'flaky') as flaky_tests,
+  count(rt.id) filter (where rt.status = 'skipped') as skipped_tests,
+  avg(rt.duration_ms) as avg_duration_ms
+from runs r
+left join run_tests rt on rt.run_id = r.id
+group by r.id, r.project_id;
+
+create view if not exists flaky_tests as
+select
+  tc.id as test_case_id,
+  tc.title,
+  tc.suite_id,
+  s.project_id,
+  count(rt.id) as total_runs,
+  count(rt.id) filter (where rt.status = 'passed') as passed_count,
+  count(rt.id) filter (where rt.status = 'failed') as failed_count,
+  count(rt.id) filter (where rt.status = 'flaky') as flaky_count,
+  round(
+    (count(rt.id) filter (where rt.status = 'failed' or rt.status = 'flaky')) * 1.0 /
+    nullif(count(rt.id), 0) * 100,
+    2
+  ) as flake_rate
+from test_cases tc
+join suites s on s.id = tc.suite_id
+left join run_tests rt on rt.test_case_id = tc.id
+where rt.created_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-30 days')
+group by tc.id, tc.title, tc.suite_id, s.project_id
+having count(rt.id) > 5
+  and count(rt.id) filter (where rt.status = 'passed') > 0
+  and count(rt.id) filter (where rt.status = 'failed') > 0;
+`;
@@ -0,0 +1,133 @@
+/**
+ * Local Storage
+ *
+ * Filesystem stand-in for Supabase Storage, used by the local backend.
+ * Each bucket is a directory under the storage root; signed URLs are
+ * file:// URLs, which is all a developer machine needs.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Create a storage API with the supabase-js methods the runner uses
+ *
+ * @param {string} rootDir - Directory holding one subdirectory per bucket
+ * @returns {{from: Function}}
+ */
+export function createLocalStorage(rootDir) {
+  /**
+   * Resolve an object path inside a bucket, refusing paths that escape it
+   */
+  function resolvePath(bucket, objectPath = '') {
+    const bucketDir = path.resolve(rootDir, bucket);
+    const resolved = path.resolve(bucketDir, objectPath);
+
+    if (resolved !== bucketDir && !resolved.startsWith(`${bucketDir}${path.sep}`)) {
+      throw new Error(`Invalid storage path: ${objectPath}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Run a storage operation and shape the result like supabase-js
+   */
+  async function attempt(operation) {
+    try {
+      return { data: await operation(), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message, statusCode: error.statusCode || '500' } };
+    }
+  }
+
+  return {
+    from(bucket) {
+      return {
+        upload(objectPath, body, { upsert = false } = {}) {
+          return attempt(async () => {
+            const filePath = resolvePath(bucket, objectPath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+            try {
+              await fs.writeFile(filePath, body, { flag: upsert ? 'w' : 'wx' });
+            } catch (error) {
+              if (error.code === 'EEXIST') {
+                throw Object.assign(new Error('The resource already exists'), { statusCode: '409' });
+              }
+              throw error;
+            }
+
+            return { path: objectPath, fullPath: `${bucket}/${objectPath}` };
+          });
+        },
+
+        download(objectPath) {
+          return attempt(async () => new Blob([await fs.readFile(resolvePath(bucket, objectPath))]));
+        },
+
+        remove(objectPaths) {
+          return attempt(async () => {
+            const removed = [];
+            for (const objectPath of objectPaths) {
+              try {
+                await fs.unlink(resolvePath(bucket, objectPath));
+                removed.push({ name: objectPath });
+              } catch (error) {
+                if (error.code !== 'ENOENT') {
+                  throw error;
+                }
+              }
+            }
+            return removed;
+          });
+        },
+
+        list(prefix = '', { limit = 100, offset = 0 } = {}) {
+          return attempt(async () => {
+            let entries;
+            try {
+              entries = await fs.readdir(resolvePath(bucket, prefix), { withFileTypes: true });
+            } catch (error) {
+              if (error.code === 'ENOENT') {
+                return [];
+              }
+              throw error;
+            }
+
+            const sorted = entries.sort((a, b) => a.name.localeCompare(b.name)).slice(offset, offset + limit);
+
+            return Promise.all(sorted.map(async (entry) => {
+              // Folders come back without an id or metadata, as in Supabase
+              if (entry.isDirectory()) {
+                return { name: entry.name, id: null, metadata: null };
+              }
+
+              const stat = await fs.stat(resolvePath(bucket, path.posix.join(prefix, entry.name)));
+              return {
+                name: entry.name,
+                id: path.posix.join(bucket, prefix, entry.name),
+                created_at: stat.birthtime.toISOString(),
+                updated_at: stat.mtime.toISOString(),
+                metadata: { size: stat.size },
+              };
+            }));
+          });
+        },
+
+        createSignedUrl(objectPath) {
+          return attempt(async () => {
+            const filePath = resolvePath(bucket, objectPath);
+            await fs.access(filePath);
+            return { signedUrl: pathToFileURL(filePath).href };
+          });
+        },
+
+        getPublicUrl(objectPath) {
+          return { data: { publicUrl: pathToFileURL(resolvePath(bucket, objectPath)).href } };
+        },
+      };
+    },
+  };
+}
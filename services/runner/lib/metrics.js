@@ -0,0 +1,192 @@
+/**
+ * Metrics
+ *
+ * In-process counters and histograms for this runner, rendered in the
+ * Prometheus text exposition format by the /metrics endpoint together
+ * with queue gauges read from the database at scrape time.
+ */
+
+// Job duration buckets in seconds, from quick LLM calls to long browser runs
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+// Metric name -> { type, help, series: Map(labelKey -> { labels, value | buckets }) }
+const registry = new Map();
+
+/**
+ * Get or create a metric in the registry
+ */
+function getMetric(name, type, help) {
+  if (!registry.has(name)) {
+    registry.set(name, { type, help, series: new Map() });
+  }
+  return registry.get(name);
+}
+
+/**
+ * Get or create the series of a metric for a label set
+ */
+function getSeries(metric, labels, init) {
+  const key = JSON.stringify(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, ...init() });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Increment a counter
+ */
+function incrementCounter(name, help, labels, amount = 1) {
+  const metric = getMetric(name, 'counter', help);
+  getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+}
+
+/**
+ * Add an observation to a histogram
+ */
+function observeHistogram(name, help, labels, value) {
+  const metric = getMetric(name, 'histogram', help);
+  const series = getSeries(metric, labels, () => ({
+    buckets: DURATION_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (value <= bound) {
+      series.buckets[i]++;
+    }
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * Record a finished job
+ *
+ * @param {string} kind - Job kind
+ * @param {string} outcome - 'done', 'error' or 'cancelled'
+ * @param {number} durationMs - How long the job ran
+ */
+export function recordJob(kind, outcome, durationMs) {
+  incrementCounter('qaai_jobs_processed_total', 'Jobs processed by this runner', { kind, outcome });
+  observeHistogram('qaai_job_duration_seconds', 'Job processing time in seconds', { kind, outcome }, durationMs / 1000);
+}
+
+/**
+ * Record tokens used by an LLM completion
+ *
+ * @param {string} provider - LLM provider
+ * @param {string} model - Model that served the request
+ * @param {object} usage - { prompt_tokens, completion_tokens }
+ */
+export function recordLLMUsage(provider, model, usage = {}) {
+  const help = 'LLM tokens used by this runner';
+  incrementCounter('qaai_llm_tokens_total', help, { provider, model, type: 'prompt' }, usage.prompt_tokens || 0);
+  incrementCounter('qaai_llm_tokens_total', help, { provider, model, type: 'completion' }, usage.completion_tokens || 0);
+}
+
+/**
+ * Record Playwright test results of a run
+ *
+ * @param {object} stats - { passes, failures, pending }
+ */
+export function recordTestResults(stats) {
+  const help = 'Playwright test results reported by this runner';
+  incrementCounter('qaai_playwright_tests_total', help, { result: 'passed' }, stats.passes || 0);
+  incrementCounter('qaai_playwright_tests_total', help, { result: 'failed' }, stats.failures || 0);
+  incrementCounter('qaai_playwright_tests_total', help, { result: 'skipped' }, stats.pending || 0);
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render one metric with all of its series
+ */
+function renderMetric(name, { type, help, series }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+  for (const entry of series.values()) {
+    const { labels } = entry;
+
+    if (type === 'histogram') {
+      DURATION_BUCKETS.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+    } else {
+      lines.push(`${name}${formatLabels(labels)} ${entry.value}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render all metrics in Prometheus text format
+ *
+ * @param {object} snapshot - Point-in-time values gathered for this scrape
+ * @param {Array|null} snapshot.queue - Rows from getQueueDepth(), or null if the database was unreachable
+ * @param {Map} snapshot.inFlight - The worker pool's in-flight jobs
+ * @param {object} snapshot.limits - Pool limits
+ * @returns {string}
+ */
+export function renderMetrics({ queue, inFlight, limits }) {
+  const gauges = new Map();
+  const now = Date.now();
+
+  const queueJobs = { type: 'gauge', help: 'Jobs in the queue by kind and status', series: new Map() };
+  const oldestQueued = { type: 'gauge', help: 'Age in seconds of the oldest runnable queued job by kind', series: new Map() };
+
+  for (const row of queue || []) {
+    queueJobs.series.set(`${row.kind}:${row.status}`, {
+      labels: { kind: row.kind, status: row.status },
+      value: Number(row.jobs),
+    });
+
+    if (row.status === 'queued' && row.oldest_at) {
+      oldestQueued.series.set(row.kind, {
+        labels: { kind: row.kind },
+        value: Math.max(0, (now - new Date(row.oldest_at).getTime()) / 1000),
+      });
+    }
+  }
+
+  gauges.set('qaai_queue_jobs', queueJobs);
+  gauges.set('qaai_queue_oldest_queued_seconds', oldestQueued);
+  gauges.set('qaai_queue_up', {
+    type: 'gauge',
+    help: 'Whether the queue could be read from the database',
+    series: new Map([['', { labels: {}, value: queue ? 1 : 0 }]]),
+  });
+
+  const inFlightJobs = { type: 'gauge', help: 'Jobs in flight on this runner by kind', series: new Map() };
+  for (const kind of Object.keys(limits.kinds)) {
+    let count = 0;
+    for (const entry of inFlight.values()) {
+      if (entry.job.kind === kind) {
+        count++;
+      }
+    }
+    inFlightJobs.series.set(kind, { labels: { kind }, value: count });
+  }
+  gauges.set('qaai_worker_jobs_in_flight', inFlightJobs);
+
+  const sections = [];
+  for (const [name, metric] of [...gauges, ...registry]) {
+    sections.push(renderMetric(name, metric));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
@@ -0,0 +1,224 @@
+/**
+ * OpenAPI Utilities
+ *
+ * Loads OpenAPI 3.x and Swagger 2.0 documents (JSON or YAML) and flattens
+ * them into the list of operations the planner writes scenarios for.
+ */
+
+import yaml from 'js-yaml';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Query parameters that mark a list endpoint as paginated
+const PAGINATION_PARAMS = /^(page|per_page|perpage|page_size|pagesize|limit|offset|cursor|after|before|page_token|pagetoken|next_token|start)$/i;
+
+// How deep request and response schemas are expanded in prompts
+const MAX_SCHEMA_DEPTH = 3;
+
+/**
+ * Parse an OpenAPI document
+ *
+ * @param {string|object} source - Document text (JSON or YAML) or an already parsed document
+ * @returns {object} Parsed document
+ */
+export function parseOpenAPISpec(source) {
+  let spec = source;
+
+  if (typeof source === 'string') {
+    try {
+      spec = JSON.parse(source);
+    } catch {
+      spec = yaml.load(source);
+    }
+  }
+
+  if (!spec || typeof spec !== 'object' || (!spec.openapi && !spec.swagger)) {
+    throw new Error('Not an OpenAPI document: missing the "openapi" or "swagger" version field');
+  }
+
+  if (!spec.paths || Object.keys(spec.paths).length === 0) {
+    throw new Error('OpenAPI document has no paths');
+  }
+
+  return spec;
+}
+
+/**
+ * Fetch and parse an OpenAPI document
+ *
+ * @param {string} url - Document URL
+ * @returns {Promise<object>} Parsed document
+ */
+export async function fetchOpenAPISpec(url) {
+  console.log(`[OpenAPI] Fetching spec: ${url}`);
+
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'application/json, application/yaml, text/yaml, */*',
+      'User-Agent': 'QAAI-Runner',
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch OpenAPI spec: ${response.status} ${response.statusText}`);
+  }
+
+  return parseOpenAPISpec(await response.text());
+}
+
+/**
+ * Resolve a local $ref (e.g. "#/components/schemas/User")
+ */
+function resolveRef(spec, value) {
+  if (!value?.$ref) {
+    return value;
+  }
+
+  if (!value.$ref.startsWith('#/')) {
+    return { description: `External reference ${value.$ref}` };
+  }
+
+  const resolved = value.$ref
+    .slice(2)
+    .split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => node?.[part], spec);
+
+  return resolved ?? { description: `Unresolved reference ${value.$ref}` };
+}
+
+/**
+ * Reduce a schema to the parts that matter for test planning, expanding
+ * references up to MAX_SCHEMA_DEPTH levels
+ */
+function summarizeSchema(spec, schema, depth = 0, seen = new Set()) {
+  if (!schema) {
+    return undefined;
+  }
+
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    if (seen.has(schema.$ref) || depth >= MAX_SCHEMA_DEPTH) {
+      return { ref: name };
+    }
+    return summarizeSchema(spec, resolveRef(spec, schema), depth, new Set([...seen, schema.$ref]));
+  }
+
+  const summary = {};
+  for (const key of ['type', 'format', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'required', 'nullable']) {
+    if (schema[key] !== undefined) {
+      summary[key] = schema[key];
+    }
+  }
+
+  for (const key of ['allOf', 'oneOf', 'anyOf']) {
+    if (schema[key]) {
+      summary[key] = schema[key].map(part => summarizeSchema(spec, part, depth + 1, seen));
+    }
+  }
+
+  if (schema.items) {
+    summary.items = summarizeSchema(spec, schema.items, depth + 1, seen);
+  }
+
+  if (schema.properties && depth < MAX_SCHEMA_DEPTH) {
+    summary.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, summarizeSchema(spec, property, depth + 1, seen)])
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Build an operationId for operations that do not declare one
+ */
+function fallbackOperationId(method, apiPath) {
+  const slug = apiPath.replace(/[{}]/g, '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `${method}_${slug || 'root'}`;
+}
+
+/**
+ * Flatten a document into one entry per operation
+ *
+ * @param {object} spec - Parsed OpenAPI document
+ * @returns {Array<object>} Operations with operationId, method, path, parameters,
+ *   request body, response codes and whether the operation requires auth or paginates
+ */
+export function listOperations(spec) {
+  const operations = [];
+  const globalSecurity = spec.security || [];
+
+  for (const [apiPath, rawPathItem] of Object.entries(spec.paths)) {
+    const pathItem = resolveRef(spec, rawPathItem);
+    const pathParameters = pathItem.parameters || [];
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const parameter of [...pathParameters, ...(operation.parameters || [])].map(p => resolveRef(spec, p))) {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+      }
+
+      // Swagger 2.0 describes the body as an "in: body" parameter
+      const bodyParameter = [...parameters.values()].find(parameter => parameter.in === 'body');
+      const requestBody = resolveRef(spec, operation.requestBody);
+      const bodyContent = requestBody?.content && Object.entries(requestBody.content)[0];
+
+      const queryAndPath = [...parameters.values()]
+        .filter(parameter => parameter.in !== 'body')
+        .map(parameter => ({
+          name: parameter.name,
+          in: parameter.in,
+          required: Boolean(parameter.required),
+          schema: summarizeSchema(spec, parameter.schema || { type: parameter.type, format: parameter.format, enum: parameter.enum }),
+        }));
+
+      const security = operation.security ?? globalSecurity;
+
+      operations.push({
+        operationId: operation.operationId || fallbackOperationId(method, apiPath),
+        method: method.toUpperCase(),
+        path: apiPath,
+        summary: operation.summary || operation.description?.split('\n')[0] || '',
+        tags: operation.tags || [],
+        parameters: queryAndPath,
+        requestBody: bodyParameter
+          ? { required: Boolean(bodyParameter.required), schema: summarizeSchema(spec, bodyParameter.schema) }
+          : requestBody && {
+            required: Boolean(requestBody.required),
+            contentType: bodyContent?.[0],
+            schema: summarizeSchema(spec, bodyContent?.[1]?.schema),
+          },
+        responses: Object.keys(operation.responses || {}),
+        requiresAuth: security.some(requirement => Object.keys(requirement).length > 0),
+        paginated: method === 'get' && queryAndPath.some(parameter => parameter.in === 'query' && PAGINATION_PARAMS.test(parameter.name)),
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Base URL the document declares for its API, if any
+ *
+ * @param {object} spec - Parsed OpenAPI document
+ * @returns {string|null}
+ */
+export function getApiBaseUrl(spec) {
+  if (spec.servers?.[0]?.url) {
+    return spec.servers[0].url;
+  }
+
+  if (spec.host) {
+    return `${spec.schemes?.[0] || 'https'}://${spec.host}${spec.basePath || ''}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,60 @@
+/**
+ * Plan Schema
+ *
+ * JSON schema for the planner's LLM output. generateJSON checks every
+ * planning response against it and sends the validation errors back to
+ * the model for repair, so the generator can rely on each scenario
+ * having a name, steps and a known priority.
+ */
+
+const SCENARIO_SCHEMA = {
+  type: 'object',
+  required: ['name', 'priority', 'steps', 'expectedOutcome'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string' },
+    priority: { enum: ['high', 'medium', 'low'] },
+    complexity: { enum: ['simple', 'moderate', 'complex'] },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 },
+    },
+    expectedOutcome: { type: 'string', minLength: 1 },
+    // Source-specific fields (PR diffs, issues, OpenAPI, exploration and re-planning)
+    files: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    operationId: { type: 'string' },
+    endpoint: { type: 'string' },
+    category: { enum: ['happy_path', 'validation', 'auth', 'pagination', 'reproduction', 'regression'] },
+    route: { type: 'string' },
+    change: { enum: ['added', 'changed', 'unchanged'] },
+  },
+};
+
+const STRING_LIST = {
+  type: 'array',
+  items: { type: 'string' },
+};
+
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'scenarios'],
+  properties: {
+    summary: { type: 'string' },
+    scenarios: {
+      type: 'array',
+      items: SCENARIO_SCHEMA,
+    },
+    coverage: {
+      type: 'object',
+      properties: {
+        routes: STRING_LIST,
+        features: STRING_LIST,
+        riskAreas: STRING_LIST,
+      },
+    },
+  },
+};
@@ -0,0 +1,215 @@
+/**
+ * Repository Context
+ *
+ * Collects what the planner should know about the code around a PR, read
+ * at the PR's head commit: the full source of the components it touches,
+ * the app's routes and the data-testid attributes already in use. It is
+ * packed into a token budget and sent along with the diff, so plans name
+ * real pages and selectors instead of guessing them.
+ */
+
+import path from 'path';
+import { fetchFileContents, fetchRepoTree } from './github.js';
+
+// Rough characters per token, to budget without a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+// Files read at most per PR, to bound GitHub API calls
+const MAX_FETCHED_FILES = 20;
+
+// Largest file read for context (bytes, from the repository tree)
+const MAX_FILE_SIZE = 100 * 1024;
+
+const SOURCE_FILE = /\.(jsx?|tsx?|mjs|vue|svelte|astro|html)$/;
+const TEST_FILE = /(\.(test|spec|stories)\.|__tests__\/|(^|\/)(e2e|tests?)\/)/;
+
+// Files that define client-side or server routes in code
+const ROUTER_FILE = /(^|\/)(routes|router|routing|app\.routes)(\/index)?\.(jsx?|tsx?|mjs)$/;
+
+// File-based routing: Next.js app and pages routers, SvelteKit, Nuxt
+// (the first group is the route's path; api tells endpoints from pages)
+const ROUTE_FILES = [
+  { pattern: /(?:^|\/)app\/((?:[^/]+\/)*)(page|route)\.(jsx?|tsx?|mdx)$/, api: match => match[2] === 'route' },
+  { pattern: /(?:^|\/)pages\/((?:[^/]+\/)*[^/_][^/]*)\.(jsx?|tsx?|vue)$/, api: match => match[1].startsWith('api/') },
+  { pattern: /(?:^|\/)src\/routes\/((?:[^/]+\/)*)\+(page|server)\.(svelte|js|ts)$/, api: match => match[2] === 'server' },
+];
+
+const TEST_ID = /data-testid\s*=\s*(?:"([^"]+)"|'([^']+)'|\{\s*["'`]([^"'`$]+)["'`]\s*\})/g;
+
+/**
+ * Turn a file path into the route it serves, for file-based routing
+ *
+ * @returns {string|null} Route, e.g. "/plans/[id]" or "/api/plans (API)"
+ */
+function routeOf(filePath) {
+  for (const { pattern, api } of ROUTE_FILES) {
+    const match = filePath.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    const segments = match[1].split('/');
+
+    // Private folders are not routable
+    if (segments.some(segment => segment.startsWith('_'))) {
+      return null;
+    }
+
+    // Route groups and parallel routes are not part of the URL
+    const urlSegments = segments.filter(segment => segment && segment !== 'index' && !/^(\(.*\)|@.*)$/.test(segment));
+
+    return `/${urlSegments.join('/')}${api(match) ? ' (API)' : ''}`;
+  }
+
+  return null;
+}
+
+/**
+ * Routes served by a repository with file-based routing
+ *
+ * @param {string[]} filePaths - Repository file paths
+ * @returns {string[]} Sorted routes
+ */
+export function routesFromPaths(filePaths) {
+  return [...new Set(filePaths.map(routeOf).filter(Boolean))].sort();
+}
+
+/**
+ * data-testid values set in a source file
+ *
+ * @param {string} source - File contents
+ * @returns {string[]} Unique test IDs, in order of appearance
+ */
+export function extractTestIds(source) {
+  return [...new Set([...source.matchAll(TEST_ID)].map(match => match[1] || match[2] || match[3]))];
+}
+
+/**
+ * Add items to a list section while it fits in maxChars
+ */
+function listSection(title, items, maxChars) {
+  const lines = [];
+  let size = title.length;
+
+  for (const item of items) {
+    if (size + item.length + 3 > maxChars) {
+      lines.push(`- (${items.length - lines.length} more left out)`);
+      break;
+    }
+    lines.push(`- ${item}`);
+    size += item.length + 3;
+  }
+
+  return lines.length > 0 ? `${title}\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Collect repository context for planning a PR
+ *
+ * Routes and test IDs come first, then the router files, then the full
+ * source of touched components, most changed first. A file that does not
+ * fit in what is left of the budget is cut short. Files in the same
+ * directories as touched components are only scanned for test IDs.
+ *
+ * @param {object} options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.ref - PR head commit SHA
+ * @param {Array<{path: string, additions: number, deletions: number, deleted: boolean}>} options.changedFiles - Files of the PR diff
+ * @param {number} options.maxTokens - Token budget for the context
+ * @param {string} options.token - GitHub token (optional)
+ * @returns {Promise<object|null>} { text, ref, routes, testIds, files, truncated }, or null if nothing was found
+ */
+export async function buildRepoContext({ owner, repo, ref, changedFiles, maxTokens, token = null }) {
+  const budget = maxTokens * CHARS_PER_TOKEN;
+
+  let tree;
+  try {
+    tree = await fetchRepoTree(owner, repo, ref, token);
+  } catch (error) {
+    console.error('[Context] Failed to list repository files:', error.message);
+    return null;
+  }
+
+  const sizes = new Map(tree.map(file => [file.path, file.size]));
+  const isReadable = filePath => SOURCE_FILE.test(filePath)
+    && !TEST_FILE.test(filePath)
+    && sizes.get(filePath) <= MAX_FILE_SIZE;
+
+  const components = changedFiles
+    .filter(file => !file.deleted && isReadable(file.path))
+    .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions))
+    .map(file => file.path);
+  const routerFiles = tree.map(file => file.path).filter(filePath => ROUTER_FILE.test(filePath) && isReadable(filePath)).slice(0, 3);
+  const directories = new Set(components.map(filePath => path.posix.dirname(filePath)));
+  const siblings = tree
+    .map(file => file.path)
+    .filter(filePath => directories.has(path.posix.dirname(filePath)) && isReadable(filePath));
+
+  const toFetch = [...new Set([...components, ...routerFiles, ...siblings])].slice(0, MAX_FETCHED_FILES);
+  const contents = new Map();
+
+  await Promise.all(toFetch.map(async (filePath) => {
+    try {
+      contents.set(filePath, await fetchFileContents(owner, repo, filePath, ref, token));
+    } catch (error) {
+      console.error(`[Context] Failed to read ${filePath}:`, error.message);
+    }
+  }));
+
+  const routes = routesFromPaths(tree.map(file => file.path));
+  const testIds = toFetch
+    .filter(filePath => contents.has(filePath))
+    .map(filePath => ({ filePath, ids: extractTestIds(contents.get(filePath)) }))
+    .filter(({ ids }) => ids.length > 0);
+
+  // Lists take at most a quarter of the budget each, files get the rest
+  const sections = [
+    listSection('Routes (from file-based routing):', routes, budget / 4),
+    listSection('Existing data-testid attributes, by file:', testIds.map(({ filePath, ids }) => `${filePath}: ${ids.join(', ')}`), budget / 4),
+  ].filter(Boolean);
+
+  let remaining = budget - sections.reduce((sum, section) => sum + section.length, 0);
+  const included = [];
+  const truncated = [];
+
+  for (const filePath of [...routerFiles, ...components.filter(filePath => !routerFiles.includes(filePath))]) {
+    const source = contents.get(filePath);
+    if (source === undefined) {
+      continue;
+    }
+
+    const header = `File ${filePath}:\n\`\`\`\n`;
+    const room = remaining - header.length - 4;
+
+    if (room < 500) {
+      truncated.push(filePath);
+      continue;
+    }
+
+    const text = source.length > room ? `${source.slice(0, room)}\n// ... cut short` : source;
+    if (text !== source) {
+      truncated.push(filePath);
+    }
+
+    sections.push(`${header}${text}\n\`\`\``);
+    included.push(filePath);
+    remaining -= header.length + text.length + 4;
+  }
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const text = sections.join('\n\n');
+  console.log(`[Context] ${routes.length} routes, ${testIds.length} files with test IDs, ${included.length} files (~${Math.ceil(text.length / CHARS_PER_TOKEN)} tokens)`);
+
+  return {
+    text,
+    ref,
+    routes: routes.length,
+    testIds: testIds.reduce((sum, { ids }) => sum + ids.length, 0),
+    files: included,
+    truncated,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Risk Scorer
+ *
+ * Scores planned scenarios from 0 to 100 so plans can be ordered, and cut
+ * to their top-K scenarios, by risk rather than by the LLM's priority alone.
+ *
+ * Factors (maximum points):
+ * - priority (25): the priority the planner gave the scenario
+ * - criticalPath (25): the scenario touches one of projects.critical_paths
+ * - severity (15): the flow is sensitive (payments, auth, deletion, ...)
+ * - change (20): files of the diff the scenario exercises, and their churn
+ * - history (15): failure rate of the existing test for the scenario
+ */
+
+import { getSupabaseClient } from './supabase.js';
+import { titleKey } from './titles.js';
+
+const PRIORITY_POINTS = { high: 25, medium: 15, low: 5 };
+
+// Flows whose breakage hurts most, by the words that name them
+const SEVERITY_LEVELS = [
+  { points: 15, pattern: /\b(pay(ment)?s?|checkout|billing|invoice|refund|auth\w*|log ?in|sign ?in|password|security|permission|admin|delete|remove)\b/i },
+  { points: 8, pattern: /\b(account|profile|settings|sign ?up|register|upload|order|cart|subscription|export|import)\b/i },
+];
+
+// Days of run history counted towards a test's failure rate
+const HISTORY_DAYS = 30;
+
+/**
+ * Text a scenario is matched against for critical paths and severity
+ */
+function scenarioText(scenario) {
+  return [scenario.name, scenario.description, scenario.route, scenario.endpoint, ...(scenario.steps || [])]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Score one scenario
+ *
+ * @param {object} scenario - Planned scenario
+ * @param {object} context - See scoreScenarios
+ * @returns {{score: number, factors: object}}
+ */
+export function scoreScenario(scenario, { criticalPaths = [], changedFiles = [], failureRates = new Map() } = {}) {
+  const text = scenarioText(scenario);
+  const lowerText = text.toLowerCase();
+
+  const matchedPaths = criticalPaths.filter(criticalPath => lowerText.includes(criticalPath.toLowerCase()));
+  const severity = SEVERITY_LEVELS.find(level => level.pattern.test(text))?.points || 0;
+
+  // Churn counts towards the score logarithmically: 1000 changed lines scores the maximum
+  const touched = changedFiles.filter(file => (scenario.files || []).includes(file.path));
+  const churn = touched.reduce((sum, file) => sum + file.additions + file.deletions, 0);
+  const change = Math.min(5, touched.length) + Math.min(15, Math.round((15 * Math.log10(1 + churn)) / 3));
+
+  const failureRate = failureRates.get(scenario.duplicateOf?.testCaseId) ?? failureRates.get(titleKey(scenario.name)) ?? 0;
+
+  const factors = {
+    priority: PRIORITY_POINTS[scenario.priority] ?? PRIORITY_POINTS.medium,
+    criticalPath: matchedPaths.length > 0 ? 25 : 0,
+    severity,
+    change,
+    history: Math.round(failureRate * 15),
+  };
+
+  return {
+    score: Object.values(factors).reduce((sum, points) => sum + points, 0),
+    factors,
+    ...(matchedPaths.length > 0 && { criticalPaths: matchedPaths }),
+  };
+}
+
+/**
+ * Score scenarios and sort them by risk, highest first
+ *
+ * @param {Array<object>} scenarios - Planned scenarios
+ * @param {object} context
+ * @param {string[]} context.criticalPaths - projects.critical_paths
+ * @param {Array<{path: string, additions: number, deletions: number}>} context.changedFiles - Files of the PR diff
+ * @param {Map<string, number>} context.failureRates - Failure rate (0-1) by test case ID and by normalized title
+ * @returns {Array<object>} Scenarios with a risk field, sorted by risk.score
+ */
+export function scoreScenarios(scenarios, context) {
+  return scenarios
+    .map((scenario, index) => ({ scenario: { ...scenario, risk: scoreScenario(scenario, context) }, index }))
+    .sort((a, b) => b.scenario.risk.score - a.scenario.risk.score || a.index - b.index)
+    .map(({ scenario }) => scenario);
+}
+
+/**
+ * Failure rates of a project's active test cases over the last HISTORY_DAYS
+ *
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Map<string, number>>} Failure rate by test case ID and by normalized title
+ */
+export async function fetchFailureRates(projectId) {
+  const supabase = getSupabaseClient();
+  const rates = new Map();
+
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: totals, error } = await supabase.rpc('test_failure_rates', {
+    rate_project_id: projectId,
+    since,
+  });
+
+  if (error) {
+    console.error('[Risk] Failed to fetch test history:', error);
+    return rates;
+  }
+
+  for (const total of totals || []) {
+    const rate = Number(total.failures) / Number(total.runs);
+    rates.set(total.test_case_id, rate);
+    rates.set(titleKey(total.title), rate);
+  }
+
+  return rates;
+}
@@ -0,0 +1,165 @@
+/**
+ * Scheduler
+ *
+ * Turns due cron schedules into queued runs. Every runner replica runs
+ * this loop; fire_schedule only lets one of them fire a given tick.
+ */
+
+import cronParser from 'cron-parser';
+import { getSupabase } from './supabase.js';
+import { JOB_PRIORITIES } from './jobs.js';
+
+/**
+ * Compute the next time a cron expression fires
+ *
+ * @param {string} cron - Cron expression (5 fields, or 6 with seconds)
+ * @param {string} timezone - IANA time zone the expression is evaluated in
+ * @param {Date} after - Find the first tick strictly after this time
+ * @returns {Date} Next tick
+ * @throws {Error} If the expression or time zone is invalid
+ */
+export function getNextRunAt(cron, timezone = 'UTC', after = new Date()) {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: after,
+    tz: timezone,
+  });
+
+  return interval.next().toDate();
+}
+
+/**
+ * Stop firing a schedule whose cron expression cannot be evaluated
+ *
+ * @param {object} schedule - Schedule row
+ * @param {string} message - Error to show on the schedule
+ */
+async function disableSchedule(schedule, message) {
+  const supabase = getSupabase();
+
+  const { error } = await supabase
+    .from('schedules')
+    .update({ enabled: false, last_error: message })
+    .eq('id', schedule.id);
+
+  if (error) {
+    console.error('Error disabling schedule:', error);
+  }
+}
+
+/**
+ * Give schedules created without a next_run_at their first tick
+ *
+ * @returns {Promise<number>} Number of schedules initialized
+ */
+async function initializeSchedules() {
+  const supabase = getSupabase();
+
+  const { data: schedules, error } = await supabase
+    .from('schedules')
+    .select('id, cron, timezone')
+    .eq('enabled', true)
+    .is('next_run_at', null);
+
+  if (error) {
+    console.error('Error fetching new schedules:', error);
+    return 0;
+  }
+
+  let initialized = 0;
+
+  for (const schedule of schedules || []) {
+    let nextRunAt;
+    try {
+      nextRunAt = getNextRunAt(schedule.cron, schedule.timezone);
+    } catch (cronError) {
+      await disableSchedule(schedule, `Invalid schedule: ${cronError.message}`);
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('schedules')
+      .update({ next_run_at: nextRunAt.toISOString() })
+      .eq('id', schedule.id)
+      .is('next_run_at', null);
+
+    if (updateError) {
+      console.error('Error initializing schedule:', updateError);
+    } else {
+      initialized++;
+    }
+  }
+
+  return initialized;
+}
+
+/**
+ * Fire every schedule that is due
+ *
+ * A schedule that was due several times while no scheduler was running
+ * fires once, then moves on to its next tick after now.
+ *
+ * @returns {Promise<number>} Number of runs this replica queued
+ */
+export async function runSchedulerTick() {
+  try {
+    await initializeSchedules();
+
+    const supabase = getSupabase();
+    const now = new Date();
+
+    const { data: schedules, error } = await supabase
+      .from('schedules')
+      .select('id, name, cron, timezone, next_run_at')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching due schedules:', error);
+      return 0;
+    }
+
+    let fired = 0;
+
+    for (const schedule of schedules || []) {
+      let nextRunAt;
+      try {
+        nextRunAt = getNextRunAt(schedule.cron, schedule.timezone, now);
+      } catch (cronError) {
+        await disableSchedule(schedule, `Invalid schedule: ${cronError.message}`);
+        continue;
+      }
+
+      const { data, error: fireError } = await supabase.rpc('fire_schedule', {
+        schedule_id: schedule.id,
+        due_at: schedule.next_run_at,
+        next_at: nextRunAt.toISOString(),
+        job_priority: JOB_PRIORITIES.schedule,
+      });
+
+      if (fireError) {
+        console.error('Error firing schedule:', fireError);
+        continue;
+      }
+
+      // Another replica fired this tick first
+      if (!data || data.length === 0) {
+        continue;
+      }
+
+      // Its suites and tags matched no suite, so it was skipped with last_error set
+      if (!data[0].run_id) {
+        console.warn(`[Scheduler] Schedule "${schedule.name}" skipped: no suite matches its suites or tags (next: ${nextRunAt.toISOString()})`);
+        continue;
+      }
+
+      fired++;
+      console.log(`[Scheduler] Schedule "${schedule.name}" queued run ${data[0].run_id} (next: ${nextRunAt.toISOString()})`);
+    }
+
+    return fired;
+  } catch (error) {
+    console.error('Exception in scheduler tick:', error);
+    return 0;
+  }
+}
@@ -3,14 +3,38 @@
  * 
  * This service uses the service role key to bypass RLS
  * since it operates as a background worker.
+ * 
+ * With RUNNER_BACKEND=local it uses a SQLite database and the filesystem
+ * instead (see local-db.js), so the runner works without Supabase.
  */
 
+import path from 'path';
 import { createClient } from '@supabase/supabase-js';
+import { createLocalClient } from './local-db.js';
 
 let client = null;
 
+/**
+ * Check whether the runner uses the local SQLite backend
+ * @returns {boolean}
+ */
+export function isLocalBackend() {
+  return process.env.RUNNER_BACKEND === 'local';
+}
+
+/**
+ * Directory holding the local database and storage buckets
+ * @returns {string}
+ */
+export function getLocalDataDir() {
+  return path.resolve(process.env.RUNNER_LOCAL_DATA_DIR || '.qaai');
+}
+
 /**
  * Get or create Supabase client with service role
+ * 
+ * Returns the local client when RUNNER_BACKEND=local.
+ * 
  * @returns {import('@supabase/supabase-js').SupabaseClient}
  */
 export function getSupabase() {
@@ -18,6 +42,12 @@ export function getSupabase() {
     return client;
   }
 
+  if (isLocalBackend()) {
+    client = createLocalClient({ dataDir: getLocalDataDir() });
+    console.log(`[Supabase] Using local backend in ${getLocalDataDir()}`);
+    return client;
+  }
+
   if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
     throw new Error('Missing required Supabase environment variables');
   }
@@ -36,6 +66,11 @@ export function getSupabase() {
   return client;
 }
 
+/**
+ * Alias of getSupabase used by the workers and analytics modules
+ */
+export const getSupabaseClient = getSupabase;
+
 /**
  * Test database connection
  * @returns {Promise<boolean>}
@@ -43,7 +78,7 @@ export function getSupabase() {
 export async function testConnection() {
   try {
     const supabase = getSupabase();
-    const { error } = await supabase.from('organizations').select('count').limit(1);
+    const { error } = await supabase.from('organizations').select('id').limit(1);
     
     if (error) {
       console.error('Database connection test failed:', error);
@@ -0,0 +1,212 @@
+/**
+ * Test Code Validation
+ *
+ * Checks generated Playwright test code before it is saved. The code is
+ * parsed into an AST, so a test that does not parse, calls an API that
+ * makes runs slow or partial, asserts nothing or imports something that
+ * is not there is caught before the runner tries it.
+ */
+
+import { existsSync } from 'fs';
+import { builtinModules } from 'module';
+import path from 'path';
+import { parse } from 'acorn';
+
+// Errors reported per file, so a wholly wrong response does not flood the repair prompt
+const MAX_ERRORS = 20;
+
+// Imports every generated test may use (the runner provides them)
+const PROVIDED_MODULES = ['@playwright/test'];
+
+// Extensions tried for relative imports without one
+const IMPORT_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.ts', '.json', '/index.js', '/index.ts'];
+
+// Member calls generated tests must not make, by property name
+const FORBIDDEN_CALLS = {
+  waitForTimeout: object => `${object}.waitForTimeout() is not allowed; wait for an element, a response or a URL instead`,
+  only: object => `${object}.only() is not allowed; it skips every other test in the run`,
+  pause: object => (object === 'page' ? 'page.pause() is not allowed; it stops the run waiting for the inspector' : null),
+};
+
+// test.<modifier>(title, fn) declares a test too
+const TEST_MODIFIERS = ['only', 'skip', 'fixme', 'fail', 'slow'];
+
+/**
+ * Call fn on every node of an AST, depth first
+ */
+function walk(node, fn) {
+  fn(node);
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.filter(child => typeof child?.type === 'string').forEach(child => walk(child, fn));
+    } else if (typeof value?.type === 'string') {
+      walk(value, fn);
+    }
+  }
+}
+
+/**
+ * Whether a node's subtree contains a node matching a predicate
+ */
+function contains(node, predicate) {
+  let found = false;
+  walk(node, child => {
+    found = found || predicate(child);
+  });
+  return found;
+}
+
+function isFunction(node) {
+  return ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'].includes(node?.type);
+}
+
+/**
+ * Whether a call is test(title, fn) or test.<modifier>(title, fn)
+ */
+function isTestCall(node) {
+  const { callee } = node;
+  const named = (callee.type === 'Identifier' && callee.name === 'test')
+    || (callee.type === 'MemberExpression'
+      && callee.object.type === 'Identifier'
+      && callee.object.name === 'test'
+      && TEST_MODIFIERS.includes(callee.property.name));
+
+  return named && node.arguments.some(isFunction);
+}
+
+/**
+ * Whether a call is expect(...), expect.soft(...) or expect.poll(...)
+ */
+function isExpectCall(node) {
+  const { callee } = node;
+  return (callee.type === 'Identifier' && callee.name === 'expect')
+    || (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === 'expect');
+}
+
+/**
+ * Name of the package a bare import specifier points into
+ */
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Whether an import specifier resolves from a test file's directory
+ */
+function resolves(specifier, directory) {
+  if (specifier.startsWith('node:') || builtinModules.includes(specifier) || PROVIDED_MODULES.includes(specifier)) {
+    return true;
+  }
+
+  if (specifier.startsWith('.') || specifier.startsWith('/')) {
+    const target = path.resolve(directory, specifier);
+    return IMPORT_EXTENSIONS.some(extension => existsSync(target + extension));
+  }
+
+  // Look for the package in node_modules, from the test's directory up
+  const name = packageName(specifier);
+  for (let dir = directory; ; dir = path.dirname(dir)) {
+    if (existsSync(path.join(dir, 'node_modules', name, 'package.json'))) {
+      return true;
+    }
+    if (dir === path.dirname(dir)) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Validate generated Playwright test code
+ *
+ * Reports code that does not parse, a missing @playwright/test import,
+ * imports that do not resolve from the test file, forbidden calls
+ * (page.waitForTimeout(), test.only(), page.pause()), files without
+ * tests and tests without assertions. An expect() in a function of the
+ * same file that the test calls counts as an assertion.
+ *
+ * @param {string} code - Test code
+ * @param {object} options
+ * @param {string} options.filePath - Path the file will be saved to, to resolve imports from
+ * @returns {string[]} Errors, with their line numbers; empty if the code is valid
+ */
+export function validateTestCode(code, { filePath }) {
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true, allowHashBang: true });
+  } catch (error) {
+    if (!error.loc) {
+      throw error;
+    }
+    return [`Line ${error.loc.line}, column ${error.loc.column + 1}: Syntax error: ${error.message.replace(/ \(\d+:\d+\)$/, '')}`];
+  }
+
+  const errors = [];
+  const at = node => `Line ${node.loc.start.line}`;
+  const directory = path.dirname(filePath);
+  const imports = [];
+  const tests = [];
+  const asserting = new Set(); // Functions of the file that call expect()
+
+  walk(ast, node => {
+    if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration') {
+      if (node.source) {
+        imports.push({ node, specifier: node.source.value });
+      }
+    } else if (node.type === 'ImportExpression' && node.source.type === 'Literal') {
+      imports.push({ node, specifier: node.source.value });
+    } else if (node.type === 'CallExpression') {
+      const { callee } = node;
+
+      if (callee.type === 'Identifier' && callee.name === 'require' && node.arguments[0]?.type === 'Literal') {
+        imports.push({ node, specifier: node.arguments[0].value });
+      }
+
+      if (callee.type === 'MemberExpression' && !callee.computed && Object.hasOwn(FORBIDDEN_CALLS, callee.property.name)) {
+        const message = FORBIDDEN_CALLS[callee.property.name](code.slice(callee.object.start, callee.object.end));
+        if (message) {
+          errors.push(`${at(node)}: ${message}`);
+        }
+      }
+
+      if (isTestCall(node)) {
+        tests.push(node);
+      }
+    } else if (node.type === 'FunctionDeclaration' && contains(node.body, child => child.type === 'CallExpression' && isExpectCall(child))) {
+      asserting.add(node.id.name);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunction(node.init)
+      && contains(node.init.body, child => child.type === 'CallExpression' && isExpectCall(child))) {
+      asserting.add(node.id.name);
+    }
+  });
+
+  if (!imports.some(({ specifier }) => specifier === '@playwright/test')) {
+    errors.push("Missing import from '@playwright/test'");
+  }
+
+  for (const { node, specifier } of imports) {
+    if (!resolves(specifier, directory)) {
+      errors.push(`${at(node)}: Cannot resolve import '${specifier}'`);
+    }
+  }
+
+  if (tests.length === 0) {
+    errors.push('No test() declared');
+  }
+
+  for (const test of tests) {
+    const body = test.arguments.find(isFunction);
+    const asserts = contains(body, node => node.type === 'CallExpression' && (
+      isExpectCall(node) || (node.callee.type === 'Identifier' && asserting.has(node.callee.name))
+    ));
+
+    if (!asserts) {
+      const [title] = test.arguments;
+      const name = title?.type === 'Literal' ? `"${title.value}"` : title?.type === 'TemplateLiteral' ? `"${code.slice(title.start + 1, title.end - 1)}"` : 'test';
+      errors.push(`${at(test)}: ${name} has no assertions (expect())`);
+    }
+  }
+
+  return errors.slice(0, MAX_ERRORS);
+}
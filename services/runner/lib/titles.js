@@ -0,0 +1,17 @@
+/**
+ * Test Titles
+ *
+ * Scenarios are matched to the test cases generated from them, across
+ * plans, by name. The planner, the generator and the risk scorer must
+ * normalize names the same way, so they all use titleKey.
+ */
+
+/**
+ * Normalize a scenario name or test case title for matching
+ *
+ * @param {string} title - Scenario name or test case title
+ * @returns {string} Lowercase words, separated by single spaces
+ */
+export function titleKey(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
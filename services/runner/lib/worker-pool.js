@@ -0,0 +1,169 @@
+/**
+ * Worker Pool
+ *
+ * Keeps up to RUNNER_CONCURRENCY jobs in flight at once, with a separate
+ * limit per job kind so a long Playwright run cannot block LLM planning
+ * and generation jobs for every other project.
+ */
+
+import { acquireJob } from './jobs.js';
+
+/**
+ * Job kinds handled by the runner service
+ */
+export const JOB_KINDS = ['plan', 'generate', 'run'];
+
+/**
+ * Parse a non-negative integer from an environment variable
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number}
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name] ?? '', 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Read pool limits from environment variables
+ *
+ * RUNNER_CONCURRENCY caps the total number of jobs in flight.
+ * RUNNER_CONCURRENCY_PLAN, RUNNER_CONCURRENCY_GENERATE and
+ * RUNNER_CONCURRENCY_RUN cap each kind; set one to 0 to stop this
+ * replica from taking that kind of job at all.
+ *
+ * @returns {{concurrency: number, kinds: {plan: number, generate: number, run: number}}}
+ */
+export function getPoolLimits() {
+  const concurrency = readLimit('RUNNER_CONCURRENCY', 3);
+
+  return {
+    concurrency,
+    kinds: {
+      plan: readLimit('RUNNER_CONCURRENCY_PLAN', concurrency),
+      generate: readLimit('RUNNER_CONCURRENCY_GENERATE', concurrency),
+      // Browser runs are CPU and memory heavy, so default to one at a time
+      run: readLimit('RUNNER_CONCURRENCY_RUN', 1),
+    },
+  };
+}
+
+/**
+ * Create a worker pool
+ *
+ * @param {object} options
+ * @param {{concurrency: number, kinds: object}} options.limits - Pool limits (see getPoolLimits)
+ * @param {Function} options.handler - Async function called with each acquired job
+ *   and an AbortSignal that fires when the job is cancelled
+ * @returns {object} Pool with fill(), availableKinds(), cancel(), idle() and inFlight
+ */
+export function createWorkerPool({ limits, handler }) {
+  // Job ID -> { job, startedAt, controller, promise }
+  const inFlight = new Map();
+
+  /**
+   * Count in-flight jobs of a kind
+   */
+  function countByKind(kind) {
+    let count = 0;
+    for (const entry of inFlight.values()) {
+      if (entry.job.kind === kind) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Job kinds this pool currently has capacity for
+   *
+   * @returns {string[]}
+   */
+  function availableKinds() {
+    if (inFlight.size >= limits.concurrency) {
+      return [];
+    }
+
+    return JOB_KINDS.filter(kind => countByKind(kind) < (limits.kinds[kind] ?? 0));
+  }
+
+  /**
+   * Start a job without waiting for it to finish
+   */
+  function start(job) {
+    const entry = { job, startedAt: Date.now(), controller: new AbortController() };
+
+    entry.promise = Promise.resolve()
+      .then(() => handler(job, entry.controller.signal))
+      .catch((error) => {
+        // The handler is expected to record its own failures
+        console.error(`[Pool] Unhandled error in job ${job.id}:`, error);
+      })
+      .finally(() => {
+        inFlight.delete(job.id);
+      });
+
+    inFlight.set(job.id, entry);
+  }
+
+  /**
+   * Acquire jobs until the pool is full or the queue has nothing we can take
+   *
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async function fill() {
+    let started = 0;
+
+    while (true) {
+      const kinds = availableKinds();
+      if (kinds.length === 0) {
+        break;
+      }
+
+      const job = await acquireJob(kinds);
+      if (!job) {
+        break;
+      }
+
+      start(job);
+      started++;
+    }
+
+    return started;
+  }
+
+  /**
+   * Signal an in-flight job to stop
+   *
+   * @param {number} jobId - Job ID
+   * @param {string|Error} reason - Why the job is being stopped (the signal's abort reason)
+   * @returns {boolean} True if the job was in flight and not already cancelled
+   */
+  function cancel(jobId, reason) {
+    const entry = inFlight.get(jobId);
+    if (!entry || entry.controller.signal.aborted) {
+      return false;
+    }
+
+    entry.controller.abort(reason instanceof Error ? reason : new Error(reason));
+    return true;
+  }
+
+  /**
+   * Wait for every in-flight job to settle
+   *
+   * @returns {Promise<void>}
+   */
+  async function idle() {
+    await Promise.all(Array.from(inFlight.values(), entry => entry.promise));
+  }
+
+  return {
+    inFlight,
+    availableKinds,
+    fill,
+    cancel,
+    idle,
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Worker Registry
+ * 
+ * Heartbeats that keep this worker's row in the workers table fresh
+ * and renew the locks on the jobs it is currently running. The reply
+ * also tells the worker which of its jobs were cancelled in the meantime.
+ */
+
+import os from 'os';
+import { getSupabase } from './supabase.js';
+import { WORKER_ID } from './jobs.js';
+
+/**
+ * Send a heartbeat for this worker
+ * 
+ * @param {Array<{id: number, kind: string, startedAt: number}>} jobs - Jobs currently in flight
+ * @param {object} options
+ * @param {string} options.status - Worker status ('active', 'draining' or 'stopped')
+ * @param {object} options.limits - Pool limits to publish in the registry
+ * @returns {Promise<Map<number, string> | null>} Status of each job this worker still holds, or null on error
+ */
+export async function sendHeartbeat(jobs, { status = 'active', limits = {} } = {}) {
+  try {
+    const supabase = getSupabase();
+    
+    const { data, error } = await supabase.rpc('worker_heartbeat', {
+      worker_id: WORKER_ID,
+      job_ids: jobs.map(job => job.id),
+      info: {
+        hostname: os.hostname(),
+        pid: process.pid,
+        status,
+        limits,
+        in_flight: jobs.map(job => ({
+          id: job.id,
+          kind: job.kind,
+          started_at: new Date(job.startedAt).toISOString(),
+        })),
+      },
+    });
+
+    if (error) {
+      console.error('Error sending heartbeat:', error);
+      return null;
+    }
+
+    return new Map((data || []).map(row => [row.id, row.status]));
+  } catch (error) {
+    console.error('Exception sending heartbeat:', error);
+    return null;
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * QAAI Local CLI
+ *
+ * Seeds projects and queues work in the local backend (RUNNER_BACKEND=local),
+ * for running plan -> generate -> run without Supabase or the web app.
+ * Start the runner with RUNNER_BACKEND=local to process what this queues.
+ * There is no review step without the web app, so plans queued here are
+ * approved as they are saved.
+ *
+ * Usage:
+ *   node local.js init --name "My App" --base-url http://localhost:3000
+ *   node local.js plan --project <id> --spec spec.md [--no-generate] [--no-run]
+ *   node local.js plan --project <id> --pr https://github.com/owner/repo/pull/1
+ *   node local.js plan --project <id> --issue https://github.com/owner/repo/issues/7
+ *   node local.js plan --project <id> --issue-query "label:bug is:open"
+ *   node local.js plan --project <id> --openapi openapi.yaml
+ *   node local.js plan --project <id> --explore [--max-depth 2] [--max-pages 25]
+ *   node local.js plan --project <id> --feature login.feature --feature checkout.feature
+ *   node local.js plan --project <id> --pr <url> --max-scenarios 10 --max-tests 5
+ *   node local.js run --project <id> [--plan <id>] [--max-tests 5]
+ *   node local.js jobs [--limit 20]
+ */
+
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+import { getSupabase, getLocalDataDir } from './lib/supabase.js';
+import { createJob, JOB_PRIORITIES } from './lib/jobs.js';
+
+// This CLI only ever writes to the local database
+process.env.RUNNER_BACKEND = 'local';
+
+const USAGE = `Usage:
+  node local.js init --name <name> [--base-url <url>] [--repo-url <url>]
+  node local.js plan --project <id> (--spec <file> | --pr <url> | --issue <url> | --issue-query <query> | --openapi <file|url> | --explore | --feature <file>...) [--suite <id>] [--max-scenarios <n>] [--max-tests <n>] [--no-generate] [--no-run]
+  node local.js run --project <id> [--plan <id>] [--max-tests <n>]
+  node local.js jobs [--limit <n>]`;
+
+/**
+ * Create a project, and the local organization on first use
+ */
+async function init({ name, 'base-url': baseUrl, 'repo-url': repoUrl }) {
+  if (!name) {
+    throw new Error('--name is required');
+  }
+
+  const supabase = getSupabase();
+
+  let { data: org } = await supabase
+    .from('organizations')
+    .select('id')
+    .eq('name', 'Local')
+    .maybeSingle();
+
+  if (!org) {
+    const { data, error } = await supabase
+      .from('organizations')
+      .insert({ name: 'Local' })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+    org = data;
+  }
+
+  const { data: project, error } = await supabase
+    .from('projects')
+    .insert({
+      org_id: org.id,
+      name,
+      app_base_url: baseUrl || process.env.APP_BASE_URL_DEFAULT || 'http://localhost:3000',
+      repo_url: repoUrl || null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create project: ${error.message}`);
+  }
+
+  console.log(`Created project ${project.name}: ${project.id}`);
+  console.log(`Base URL: ${project.app_base_url}`);
+}
+
+/**
+ * Queue a plan job from a spec file, a PR, GitHub issues, an OpenAPI
+ * document, a crawl of the app or Gherkin .feature files
+ */
+async function plan({
+  project,
+  spec,
+  pr,
+  issue,
+  'issue-query': issueQuery,
+  openapi,
+  explore,
+  feature,
+  'max-depth': maxDepth,
+  'max-pages': maxPages,
+  'max-scenarios': maxScenarios,
+  'max-tests': maxTests,
+  suite,
+  'no-generate': noGenerate,
+  'no-run': noRun,
+}) {
+  if (!project || (!spec && !pr && !issue && !issueQuery && !openapi && !explore && !feature)) {
+    throw new Error('--project and one of --spec, --pr, --issue, --issue-query, --openapi, --explore or --feature are required');
+  }
+
+  const openapiIsUrl = /^https?:\/\//i.test(openapi || '');
+
+  const job = await createJob('plan', {
+    project_id: project,
+    suite_id: suite || null,
+    pr_url: pr || null,
+    issue_url: issue || null,
+    issue_query: issueQuery || null,
+    spec_md: spec ? await fs.readFile(spec, 'utf-8') : null,
+    openapi_url: openapiIsUrl ? openapi : null,
+    openapi_spec: openapi && !openapiIsUrl ? await fs.readFile(openapi, 'utf-8') : null,
+    explore: Boolean(explore),
+    feature_files: feature
+      ? await Promise.all(feature.map(async file => ({ path: file, content: await fs.readFile(file, 'utf-8') })))
+      : undefined,
+    max_depth: maxDepth ? parseInt(maxDepth, 10) : undefined,
+    max_pages: maxPages ? parseInt(maxPages, 10) : undefined,
+    max_scenarios: maxScenarios ? parseInt(maxScenarios, 10) : undefined,
+    max_tests: maxTests ? parseInt(maxTests, 10) : undefined,
+    auto_approve: true,
+    auto_generate: !noGenerate,
+    auto_run: !noRun,
+  }, { priority: JOB_PRIORITIES.manual });
+
+  if (!job) {
+    throw new Error('Failed to queue plan job');
+  }
+
+  console.log(`Queued plan job ${job.id}`);
+}
+
+/**
+ * Create a run and queue its job
+ */
+async function run({ project, plan: planId, 'max-tests': maxTests }) {
+  if (!project) {
+    throw new Error('--project is required');
+  }
+
+  const supabase = getSupabase();
+
+  const { data: created, error } = await supabase
+    .from('runs')
+    .insert({
+      project_id: project,
+      plan_id: planId || null,
+      trigger: 'manual',
+      status: 'queued',
+      meta: maxTests ? { max_tests: parseInt(maxTests, 10) } : {},
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create run: ${error.message}`);
+  }
+
+  const job = await createJob('run', { run_id: created.id, project_id: project }, {
+    priority: JOB_PRIORITIES.manual,
+  });
+
+  if (!job) {
+    await supabase.from('runs').delete().eq('id', created.id);
+    throw new Error('Failed to queue run job');
+  }
+
+  console.log(`Queued run ${created.id} (job ${job.id})`);
+}
+
+/**
+ * List recent jobs with their latest progress event
+ */
+async function jobs({ limit = '20' }) {
+  const supabase = getSupabase();
+
+  const { data, error } = await supabase
+    .from('jobs_queue')
+    .select('id, kind, status, attempts, parent_id, last_error, created_at')
+    .order('id', { ascending: false })
+    .limit(parseInt(limit, 10));
+
+  if (error) {
+    throw new Error(`Failed to list jobs: ${error.message}`);
+  }
+
+  for (const job of data) {
+    const { data: event } = await supabase
+      .from('job_events')
+      .select('message, progress')
+      .eq('job_id', job.id)
+      .order('id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const progress = event ? ` ${event.progress ?? '-'}% ${event.message || ''}` : '';
+    const error = job.last_error ? ` (${job.last_error.split('\n')[0]})` : '';
+    console.log(`#${job.id} ${job.kind} ${job.status}${progress}${error}`);
+  }
+}
+
+const COMMANDS = { init, plan, run, jobs };
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      'base-url': { type: 'string' },
+      'repo-url': { type: 'string' },
+      project: { type: 'string' },
+      plan: { type: 'string' },
+      suite: { type: 'string' },
+      spec: { type: 'string' },
+      pr: { type: 'string' },
+      issue: { type: 'string' },
+      'issue-query': { type: 'string' },
+      openapi: { type: 'string' },
+      explore: { type: 'boolean' },
+      feature: { type: 'string', multiple: true },
+      'max-depth': { type: 'string' },
+      'max-pages': { type: 'string' },
+      'max-scenarios': { type: 'string' },
+      'max-tests': { type: 'string' },
+      limit: { type: 'string' },
+      'no-generate': { type: 'boolean' },
+      'no-run': { type: 'boolean' },
+    },
+  });
+
+  const command = COMMANDS[positionals[0]];
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(positionals[0] ? 1 : 0);
+  }
+
+  console.log(`Local data: ${getLocalDataDir()}`);
+  await command(values);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+/**
+ * Gherkin Import Tests
+ *
+ * Parses .feature sources and checks the plan scenarios they turn into.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFeature, featureToScenarios } from '../lib/gherkin.js';
+
+/**
+ * Plan scenarios of a .feature source, by name
+ */
+function scenarios(source) {
+  const list = featureToScenarios(parseFeature(source, 'test.feature'), 'test.feature');
+  return Object.fromEntries(list.map(scenario => [scenario.name, scenario]));
+}
+
+test('the most specific priority tag sets a scenario\'s priority', () => {
+  const result = scenarios(`
+@high
+Feature: Checkout
+
+  Scenario: Pay by card
+    Given a cart
+    Then it is paid
+
+  @low
+  Scenario: Apply a gift card
+    Given a cart
+    Then it is paid
+
+  @p3
+  Rule: Vouchers
+
+    Scenario: Redeem a voucher
+      Given a cart
+      Then it is paid
+
+    @critical
+    Scenario Outline: Redeem <kind>
+      Given a <kind>
+      Then it is paid
+
+      Examples:
+        | kind    |
+        | coupon  |
+
+      @medium
+      Examples:
+        | kind    |
+        | code    |
+`);
+
+  assert.equal(result['Pay by card'].priority, 'high');
+  assert.equal(result['Apply a gift card'].priority, 'low');
+  assert.equal(result['Redeem a voucher'].priority, 'low');
+  assert.equal(result['Redeem coupon'].priority, 'high');
+  assert.equal(result['Redeem code'].priority, 'medium');
+  assert.deepEqual(result['Redeem code'].tags, ['@high', '@p3', '@critical', '@medium']);
+});
+
+test('scenarios without priority tags are medium', () => {
+  const result = scenarios(`
+@smoke
+Feature: Login
+
+  Scenario: Log in
+    Given a user
+    Then they are signed in
+`);
+
+  assert.equal(result['Log in'].priority, 'medium');
+  assert.deepEqual(result['Log in'].tags, ['@smoke']);
+});
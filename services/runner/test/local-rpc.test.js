@@ -0,0 +1,171 @@
+/**
+ * Local RPC Tests
+ *
+ * Runs the rpc() functions of the local backend against an in-memory
+ * database, checking them against the behaviour of their SQL versions in
+ * infra/supabase/schema.sql.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalClient } from '../lib/local-db.js';
+
+let dataDir;
+let client;
+let projects;
+
+/**
+ * Call an RPC and fail the test on error
+ */
+async function rpc(name, params) {
+  const { data, error } = await client.rpc(name, params);
+  assert.equal(error, null, error?.message);
+  return data;
+}
+
+function enqueue(kind, payload, options = {}) {
+  return rpc('enqueue_job', { job_kind: kind, job_payload: payload, ...options });
+}
+
+beforeEach(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qaai-test-'));
+  client = createLocalClient({ dataDir, filename: ':memory:' });
+
+  const { data: orgs } = await client.from('organizations').insert([{ name: 'Org A' }, { name: 'Org B' }]).select();
+  const { data } = await client.from('projects')
+    .insert([{ org_id: orgs[0].id, name: 'A' }, { org_id: orgs[1].id, name: 'B' }])
+    .select();
+  projects = data;
+});
+
+afterEach(() => {
+  client.db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('enqueue_job queues a job and returns the existing one for a repeated key', async () => {
+  const [first] = await enqueue('plan', { project_id: projects[0].id }, { key: 'pr:1' });
+  const [again] = await enqueue('plan', { project_id: projects[0].id }, { key: 'pr:1' });
+
+  assert.equal(first.created, true);
+  assert.equal(again.created, false);
+  assert.equal(again.id, first.id);
+
+  const { data: job } = await client.from('jobs_queue').select('*').eq('id', first.id).single();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.project_id, projects[0].id);
+});
+
+test('enqueue_job puts a child job in its parent\'s pipeline', async () => {
+  const [parent] = await enqueue('plan', { project_id: projects[0].id });
+  const [child] = await enqueue('generate', { project_id: projects[0].id }, { job_parent_id: parent.id });
+
+  assert.ok(parent.pipeline_id);
+  assert.equal(child.pipeline_id, parent.pipeline_id);
+});
+
+test('acquire_job takes the highest priority job of the requested kinds and locks it', async () => {
+  await enqueue('plan', { project_id: projects[0].id }, { job_priority: 5 });
+  const [urgent] = await enqueue('plan', { project_id: projects[0].id }, { job_priority: 10 });
+  await enqueue('run', { project_id: projects[0].id }, { job_priority: 20 });
+
+  const [job] = await rpc('acquire_job', { worker_id: 'w1', kinds: ['plan', 'generate'] });
+
+  assert.equal(job.id, urgent.id);
+  assert.equal(job.kind, 'plan');
+
+  const { data: row } = await client.from('jobs_queue').select('*').eq('id', job.id).single();
+  assert.equal(row.status, 'running');
+  assert.equal(row.locked_by, 'w1');
+});
+
+test('acquire_job takes turns between organizations', async () => {
+  await enqueue('plan', { project_id: projects[0].id });
+  await enqueue('plan', { project_id: projects[0].id });
+  await enqueue('plan', { project_id: projects[1].id });
+
+  const order = [];
+  for (let i = 0; i < 3; i++) {
+    const [job] = await rpc('acquire_job', { worker_id: 'w1' });
+    order.push(job.payload.project_id);
+  }
+
+  assert.deepEqual(order, [projects[0].id, projects[1].id, projects[0].id]);
+  assert.deepEqual(await rpc('acquire_job', { worker_id: 'w1' }), []);
+});
+
+test('fail_job retries with exponential backoff, then moves the job to dead', async () => {
+  const [queued] = await enqueue('plan', { project_id: projects[0].id });
+  const delays = [];
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await client.from('jobs_queue').update({ scheduled_at: new Date(0).toISOString() }).eq('id', queued.id);
+    const [job] = await rpc('acquire_job', { worker_id: 'w1' });
+    assert.equal(job.id, queued.id);
+
+    const before = Date.now();
+    const [failed] = await rpc('fail_job', { job_id: job.id, error_text: `boom ${attempt}`, worker_id: 'w1' });
+
+    assert.equal(failed.attempts, attempt);
+    if (attempt < 3) {
+      assert.equal(failed.status, 'queued');
+      delays.push(Math.round((new Date(failed.scheduled_at).getTime() - before) / 1000));
+    } else {
+      assert.equal(failed.status, 'dead');
+    }
+  }
+
+  assert.deepEqual(delays, [30, 60]);
+
+  const { data: job } = await client.from('jobs_queue').select('*').eq('id', queued.id).single();
+  assert.equal(job.last_error, 'boom 3');
+  assert.equal(job.locked_by, null);
+});
+
+test('fail_job moves a job with a permanent error straight to dead', async () => {
+  await enqueue('plan', { project_id: projects[0].id });
+  const [job] = await rpc('acquire_job', { worker_id: 'w1' });
+
+  const [failed] = await rpc('fail_job', { job_id: job.id, error_text: 'bad payload', retryable: false, worker_id: 'w1' });
+
+  assert.equal(failed.status, 'dead');
+  assert.equal(failed.attempts, 1);
+});
+
+test('fail_job leaves a job another worker took over alone', async () => {
+  await enqueue('plan', { project_id: projects[0].id });
+  const [job] = await rpc('acquire_job', { worker_id: 'w1' });
+
+  assert.deepEqual(await rpc('fail_job', { job_id: job.id, error_text: 'late', worker_id: 'w2' }), []);
+
+  const { data: row } = await client.from('jobs_queue').select('*').eq('id', job.id).single();
+  assert.equal(row.status, 'running');
+  assert.equal(row.attempts, 0);
+});
+
+test('test_failure_rates counts the finished results of active test cases since a time', async () => {
+  const { data: [active, archived] } = await client.from('test_cases').insert([
+    { project_id: projects[0].id, title: 'Log in', steps: ['a'] },
+    { project_id: projects[0].id, title: 'Old', steps: ['a'], status: 'archived' },
+  ]).select();
+  const { data: run } = await client.from('runs').insert({ project_id: projects[0].id }).select().single();
+  const since = new Date(Date.now() - 60000).toISOString();
+
+  await client.from('run_tests').insert([
+    { run_id: run.id, test_case_id: active.id, status: 'passed' },
+    { run_id: run.id, test_case_id: active.id, status: 'failed' },
+    { run_id: run.id, test_case_id: active.id, status: 'flaky' },
+    { run_id: run.id, test_case_id: active.id, status: 'skipped' },
+    { run_id: run.id, test_case_id: active.id, status: 'failed', created_at: new Date(0).toISOString() },
+    { run_id: run.id, test_case_id: archived.id, status: 'failed' },
+  ]);
+
+  const rates = await rpc('test_failure_rates', { rate_project_id: projects[0].id, since });
+
+  assert.deepEqual(rates.map(({ test_case_id, title, runs, failures }) => ({ test_case_id, title, runs, failures })), [
+    { test_case_id: active.id, title: 'Log in', runs: 3, failures: 2 },
+  ]);
+});
@@ -0,0 +1,91 @@
+/**
+ * Test Validator Tests
+ *
+ * Checks validateTestCode against generated tests that must pass and ones
+ * that must be rejected.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { validateTestCode } from '../lib/test-validator.js';
+
+const filePath = path.join(os.tmpdir(), 'tests', 'login.spec.js');
+
+/**
+ * Test file around a test body
+ */
+function spec(body) {
+  return `import { test, expect } from '@playwright/test';
+
+test('logs in', async ({ page }) => {
+${body}
+});
+`;
+}
+
+test('accepts a test with ordinary method calls', () => {
+  const code = spec(`  const email = \`user-\${Date.now().toString()}@example.com\`;
+  await page.goto('/login');
+  await page.getByLabel('Email').fill(email.valueOf());
+  const ok = Object.prototype.hasOwnProperty.call({ a: 1 }, 'a');
+  await expect(page.getByText(String(ok).constructor.name)).toBeVisible();`);
+
+  assert.deepEqual(validateTestCode(code, { filePath }), []);
+});
+
+test('accepts an assertion in a helper the test calls', () => {
+  const code = `import { test, expect } from '@playwright/test';
+
+async function expectSignedIn(page) {
+  await expect(page.getByText('Welcome')).toBeVisible();
+}
+
+test('logs in', async ({ page }) => {
+  await page.goto('/login');
+  await expectSignedIn(page);
+});
+`;
+
+  assert.deepEqual(validateTestCode(code, { filePath }), []);
+});
+
+test('rejects forbidden calls with their line numbers', () => {
+  const code = spec(`  await page.waitForTimeout(1000);
+  await page.pause();
+  await expect(page).toHaveURL('/home');`);
+
+  assert.deepEqual(validateTestCode(code, { filePath }), [
+    'Line 4: page.waitForTimeout() is not allowed; wait for an element, a response or a URL instead',
+    'Line 5: page.pause() is not allowed; it stops the run waiting for the inspector',
+  ]);
+});
+
+test('rejects test.only()', () => {
+  const code = `import { test, expect } from '@playwright/test';
+
+test.only('logs in', async ({ page }) => {
+  await expect(page).toHaveURL('/home');
+});
+`;
+
+  assert.deepEqual(validateTestCode(code, { filePath }), [
+    'Line 3: test.only() is not allowed; it skips every other test in the run',
+  ]);
+});
+
+test('rejects tests without assertions, missing imports and syntax errors', () => {
+  assert.deepEqual(validateTestCode(spec("  await page.goto('/login');"), { filePath }), [
+    'Line 3: "logs in" has no assertions (expect())',
+  ]);
+
+  assert.deepEqual(validateTestCode("import { helper } from './missing.js';\n", { filePath }), [
+    "Missing import from '@playwright/test'",
+    "Line 1: Cannot resolve import './missing.js'",
+    'No test() declared',
+  ]);
+
+  const [error] = validateTestCode(spec('  await page.goto(;'), { filePath });
+  assert.match(error, /^Line 4, column \d+: Syntax error: /);
+});
@@ -8,7 +8,25 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { getSupabaseClient } from '../lib/supabase.js';
 import { generateCompletion } from '../lib/llm-client.js';
-import { enqueueJob } from '../lib/jobs.js';
+import { enqueueJob, PermanentJobError } from '../lib/jobs.js';
+import { createJobEvents } from '../lib/events.js';
+import { validateTestCode } from '../lib/test-validator.js';
+import { titleKey } from '../lib/titles.js';
+
+// Playwright workspace generated tests are written to (the runner runs them from there)
+const TESTS_DIR = process.env.RUNNER_TESTS_DIR
+  ? path.resolve(process.env.RUNNER_TESTS_DIR)
+  : path.join(process.cwd(), '..', 'playwright-tests');
+
+// Times invalid test code goes back to the LLM for repair before it is held for review
+const REPAIR_ATTEMPTS = parseInt(process.env.GENERATOR_REPAIR_ATTEMPTS ?? '2', 10);
+
+// Plan priorities mapped to test_cases.priority (1 = highest)
+const PRIORITY_LEVELS = {
+  high: 1,
+  medium: 2,
+  low: 3,
+};
 
 /**
  * System prompt for test code generation
@@ -37,8 +55,14 @@ Return ONLY the test code, no explanations or markdown formatting.`;
 
 /**
  * Generate Playwright test code for a scenario
+ * 
+ * Code that fails validation goes back to the LLM with the errors for up
+ * to REPAIR_ATTEMPTS repairs. The last attempt is returned either way,
+ * with the errors it still has.
+ * 
+ * @returns {Promise<{code: string, errors: string[], repairs: number}>}
  */
-async function generateTestCode(scenario, projectContext) {
+async function generateTestCode(scenario, projectContext, filePath) {
   const userPrompt = `Generate a Playwright test for this scenario:
 
 Test Name: ${scenario.name}
@@ -50,14 +74,15 @@ Test Steps:
 ${scenario.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
 
 Expected Outcome: ${scenario.expectedOutcome}
-
+${scenario.endpoint ? `\nAPI Operation: ${scenario.endpoint} (operationId: ${scenario.operationId})\nCall the API with the request fixture instead of driving the UI.\n` : ''}
+${scenario.issue ? `\nGitHub Issue: #${scenario.issue.number} ${scenario.issue.title} (${scenario.issue.url})\n${scenario.category === 'reproduction' ? 'The test reproduces this bug: it must fail while the bug exists and pass once it is fixed.\n' : ''}` : ''}
 ${projectContext ? `Project Context:\n${projectContext}\n` : ''}
 
 Generate a complete Playwright test using this structure:
 
 import { test, expect } from '@playwright/test';
 
-test('${scenario.name}', async ({ page }) => {
+test('${scenario.name}', ${scenario.issue ? `{ annotation: { type: 'issue', description: '${scenario.issue.url}' } }, ` : ''}async ({ ${scenario.endpoint ? 'request' : 'page'} }) => {
   // Your test code here
 });
 
@@ -70,98 +95,118 @@ Focus on:
 
   console.log(`[Generator] Generating code for: ${scenario.name}`);
   
-  const result = await generateCompletion([
+  const messages = [
     { role: 'system', content: GENERATOR_SYSTEM_PROMPT },
     { role: 'user', content: userPrompt },
-  ], {
-    temperature: 0.3, // Lower temperature for more consistent code
-    maxTokens: 2000,
-  });
-  
-  // Clean up the generated code
-  let code = result.content.trim();
-  
-  // Remove markdown code blocks if present
-  code = code.replace(/```(?:javascript|typescript|js|ts)?\n/g, '');
-  code = code.replace(/```\n?$/g, '');
-  
-  return code;
-}
-
-/**
- * Validate generated test code
- */
-function validateTestCode(code) {
-  // Basic validation checks
-  const checks = [
-    { pattern: /import.*@playwright\/test/, message: 'Missing Playwright import' },
-    { pattern: /test\(/, message: 'Missing test declaration' },
-    { pattern: /async.*\({.*page.*}\)/, message: 'Missing async page parameter' },
-    { pattern: /expect\(/, message: 'Missing assertions' },
   ];
   
-  const errors = [];
-  for (const check of checks) {
-    if (!check.pattern.test(code)) {
-      errors.push(check.message);
+  for (let attempt = 0; ; attempt++) {
+    const result = await generateCompletion(messages, {
+      temperature: 0.3, // Lower temperature for more consistent code
+      maxTokens: 2000,
+    });
+    
+    // Clean up the generated code
+    let code = result.content.trim();
+    
+    // Remove markdown code blocks if present
+    code = code.replace(/```(?:javascript|typescript|js|ts)?\n/g, '');
+    code = code.replace(/```\n?$/g, '');
+    
+    const errors = validateTestCode(code, { filePath });
+    
+    if (errors.length === 0) {
+      if (attempt > 0) {
+        console.log(`[Generator] Test code repaired after ${attempt} attempt(s)`);
+      }
+      return { code, errors, repairs: attempt };
     }
+    
+    console.warn(`[Generator] Invalid test code (attempt ${attempt + 1}): ${errors.join('; ')}`);
+    
+    if (attempt >= REPAIR_ATTEMPTS) {
+      return { code, errors, repairs: attempt };
+    }
+    
+    messages.push(
+      { role: 'assistant', content: result.content },
+      {
+        role: 'user',
+        content: `The test code is invalid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected test file only, with no explanations or markdown formatting.`,
+      }
+    );
   }
-  
-  if (errors.length > 0) {
-    console.warn(`[Generator] Validation warnings: ${errors.join(', ')}`);
-  }
-  
-  return errors.length === 0;
 }
 
 /**
- * Save test code to file system
+ * Paths of a scenario's test file: the spec the runner runs, and the file
+ * code that failed validation is held in for review (Playwright does not
+ * pick it up, as it is not a .spec.js file)
  */
-async function saveTestFile(projectId, testCase, code) {
-  const testsDir = path.join(process.cwd(), '..', 'playwright-tests', 'tests', projectId);
-  
-  // Ensure directory exists
-  await fs.mkdir(testsDir, { recursive: true });
-  
+function testFilePaths(projectId, testCase) {
   // Generate filename from test name
   const filename = testCase.name
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-|-$/g, '');
   
-  const filepath = path.join(testsDir, `${filename}.spec.js`);
+  return {
+    spec: `tests/${projectId}/${filename}.spec.js`,
+    review: `tests/${projectId}/${filename}.needs-review.js`,
+  };
+}
+
+/**
+ * Save test code to file system
+ * 
+ * Code held for review replaces the scenario's spec, so the runner stops
+ * running the old code; valid code replaces a file held for review.
+ */
+async function saveTestFile(projectId, testCase, code, needsReview = false) {
+  const paths = testFilePaths(projectId, testCase);
+  const relativePath = needsReview ? paths.review : paths.spec;
+  const filepath = path.join(TESTS_DIR, relativePath);
+  
+  // Ensure directory exists
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
   
   // Write test file
   await fs.writeFile(filepath, code, 'utf-8');
+  await fs.rm(path.join(TESTS_DIR, needsReview ? paths.spec : paths.review), { force: true });
   
   console.log(`[Generator] Test file saved: ${filepath}`);
   
   return {
     filepath: filepath,
-    filename: `${filename}.spec.js`,
-    relativePath: `tests/${projectId}/${filename}.spec.js`,
+    filename: path.basename(relativePath),
+    relativePath,
   };
 }
 
 /**
  * Save test case to database
  */
-async function saveTestCase(planId, suiteId, scenario, fileInfo) {
+async function saveTestCase(projectId, planId, suiteId, scenario, fileInfo, validationErrors) {
   const supabase = getSupabaseClient();
   
+  // The scenario's description and expected outcome stay in the plan
   const { data: testCase, error } = await supabase
     .from('test_cases')
     .insert({
+      project_id: projectId,
       plan_id: planId,
       suite_id: suiteId,
-      name: scenario.name,
-      description: scenario.description,
+      title: scenario.name,
       file_path: fileInfo.relativePath,
-      priority: scenario.priority,
-      complexity: scenario.complexity,
+      priority: PRIORITY_LEVELS[scenario.priority] ?? PRIORITY_LEVELS.medium,
+      risk_score: scenario.risk?.score ?? null,
       steps: scenario.steps,
-      expected_outcome: scenario.expectedOutcome,
-      status: 'active',
+      source: 'ai',
+      status: validationErrors.length > 0 ? 'needs_review' : 'active',
+      validation_errors: validationErrors.length > 0 ? validationErrors : null,
     })
     .select()
     .single();
@@ -175,6 +220,125 @@ async function saveTestCase(planId, suiteId, scenario, fileInfo) {
   return testCase;
 }
 
+/**
+ * Point a test case at a new plan, with its code and content as they are
+ * (only the risk score is refreshed)
+ */
+async function reuseTestCase(testCase, planId, scenario) {
+  const supabase = getSupabaseClient();
+  
+  const { error } = await supabase
+    .from('test_cases')
+    .update({ plan_id: planId, risk_score: scenario.risk?.score ?? null })
+    .eq('id', testCase.id);
+  
+  if (error) {
+    throw new Error(`Failed to reuse test case: ${error.message}`);
+  }
+  
+  console.log(`[Generator] Test case reused: ${testCase.id}`);
+  
+  return testCase;
+}
+
+/**
+ * Update a test case whose scenario changed, keeping its ID and results history
+ */
+async function updateTestCase(testCaseId, planId, scenario, fileInfo, validationErrors) {
+  const supabase = getSupabaseClient();
+  
+  const { data: testCase, error } = await supabase
+    .from('test_cases')
+    .update({
+      plan_id: planId,
+      title: scenario.name,
+      file_path: fileInfo.relativePath,
+      priority: PRIORITY_LEVELS[scenario.priority] ?? PRIORITY_LEVELS.medium,
+      risk_score: scenario.risk?.score ?? null,
+      steps: scenario.steps,
+      status: validationErrors.length > 0 ? 'needs_review' : 'active',
+      validation_errors: validationErrors.length > 0 ? validationErrors : null,
+    })
+    .eq('id', testCaseId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new Error(`Failed to update test case: ${error.message}`);
+  }
+  
+  console.log(`[Generator] Test case updated: ${testCase.id}`);
+  
+  return testCase;
+}
+
+/**
+ * Active and held test cases of a plan, by normalized title
+ */
+async function fetchPlanTestCases(planId) {
+  const supabase = getSupabaseClient();
+  
+  const { data: testCases, error } = await supabase
+    .from('test_cases')
+    .select('id, title, file_path, status')
+    .eq('plan_id', planId)
+    .in('status', ['active', 'needs_review']);
+  
+  if (error) {
+    throw new Error(`Failed to fetch test cases: ${error.message}`);
+  }
+  
+  return new Map(testCases.map(testCase => [titleKey(testCase.title), testCase]));
+}
+
+/**
+ * Archive test cases whose scenarios were dropped, and remove their files
+ * so the runner stops running them
+ */
+async function archiveTestCases(testCases) {
+  if (testCases.length === 0) {
+    return;
+  }
+  
+  const supabase = getSupabaseClient();
+  
+  const { error } = await supabase
+    .from('test_cases')
+    .update({ status: 'archived' })
+    .in('id', testCases.map(testCase => testCase.id));
+  
+  if (error) {
+    throw new Error(`Failed to archive test cases: ${error.message}`);
+  }
+  
+  for (const testCase of testCases) {
+    if (testCase.file_path) {
+      await fs.rm(path.join(TESTS_DIR, testCase.file_path), { force: true });
+    }
+  }
+  
+  console.log(`[Generator] Archived ${testCases.length} obsolete test cases`);
+}
+
+/**
+ * Check whether a generated test file is still on disk
+ */
+async function testFileExists(relativePath) {
+  try {
+    await fs.access(path.join(TESTS_DIR, relativePath));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a reviewer approved a scenario (plans from before reviews count as approved)
+ */
+function isApproved(scenario) {
+  return (scenario.review?.status ?? 'approved') === 'approved';
+}
+
 /**
  * Update plan status
  */
@@ -201,12 +365,17 @@ async function updatePlanStatus(planId, status) {
  * @param {string} job.payload.plan_id - Plan ID to generate tests from
  * @param {string} job.payload.project_id - Project ID
  * @param {boolean} job.payload.auto_run - Auto-run tests after generation
+ * @param {number} job.payload.max_scenarios - Generate only the top-K scenarios by risk (optional)
+ * @param {number} job.payload.max_tests - Run only the top-K tests by risk (optional)
  */
 export async function runGenerator(job) {
   console.log(`[Generator] Starting generator for job ${job.id}`);
   console.log(`[Generator] Plan ID: ${job.payload.plan_id}`);
   
-  const { plan_id, project_id, auto_run } = job.payload;
+  const { plan_id, project_id, auto_run, max_scenarios, max_tests } = job.payload;
+  
+  const events = createJobEvents(job.id);
+  let generating = false;
   
   try {
     // Fetch plan from database
@@ -221,67 +390,204 @@ export async function runGenerator(job) {
       throw new Error(`Failed to fetch plan: ${planError.message}`);
     }
     
-    console.log(`[Generator] Plan: ${plan.summary}`);
-    console.log(`[Generator] Scenarios: ${plan.scenarios.length}`);
+    if (plan.status === 'draft' || plan.status === 'rejected') {
+      throw new PermanentJobError(`Plan ${plan_id} is ${plan.status}; only approved plans are generated`);
+    }
+    
+    const { summary, scenarios: allScenarios = [], previousPlanId } = plan.plan_json;
+    
+    // Only approved scenarios are generated. Plans are sorted by risk, so
+    // the top-K scenarios come first
+    const planned = allScenarios.filter(isApproved);
+    const scenarios = max_scenarios ? planned.slice(0, max_scenarios) : planned;
+    const skipped = [...planned.slice(scenarios.length), ...allScenarios.filter(scenario => !isApproved(scenario))];
+    
+    console.log(`[Generator] Plan: ${summary}`);
+    console.log(`[Generator] Scenarios: ${scenarios.length}${scenarios.length < planned.length ? ` (top ${max_scenarios} of ${planned.length} by risk)` : ''}, ${allScenarios.length - planned.length} not approved`);
+    
+    // A re-plan of a PR reuses the test cases of the plan it replaces
+    const previousTestCases = previousPlanId ? await fetchPlanTestCases(previousPlanId) : new Map();
+    
+    // A retry of this job keeps the test cases an earlier attempt saved
+    const savedTestCases = await fetchPlanTestCases(plan_id);
     
     // Update plan status
     await updatePlanStatus(plan_id, 'generating');
+    generating = true;
     
     // Fetch project context (optional)
     const { data: project } = await supabase
       .from('projects')
-      .select('name, description, base_url')
+      .select('name, app_base_url')
       .eq('id', project_id)
       .single();
     
     const projectContext = project ? `
 Project: ${project.name}
-Base URL: ${project.base_url}
-${project.description ? `Description: ${project.description}` : ''}
+Base URL: ${project.app_base_url}
 `.trim() : null;
     
     // Generate test code for each scenario
     const generatedTests = [];
+    const linkedTests = [];
+    const total = scenarios.length;
     
-    for (const scenario of plan.scenarios) {
+    events.stage('generate', `Generating ${total} tests`, 0);
+    
+    for (const [index, scenario] of scenarios.entries()) {
+      // Leave the last 5% for creating the run
+      const progress = ((index + 1) / total) * 95;
+      
+      // Scenarios the planner matched to an existing test are covered by it
+      if (scenario.duplicateOf) {
+        linkedTests.push({ scenario: scenario.name, testCaseId: scenario.duplicateOf.testCaseId });
+        console.log(`[Generator] Linked: ${scenario.name} -> ${scenario.duplicateOf.title}`);
+        events.emit('scenario_generated', {
+          stage: 'generate',
+          message: `Linked to existing test: ${scenario.duplicateOf.title}`,
+          progress,
+          data: {
+            scenario: scenario.name,
+            test_case_id: scenario.duplicateOf.testCaseId,
+            duplicate_of: scenario.duplicateOf,
+          },
+        });
+        continue;
+      }
+      
+      const saved = savedTestCases.get(titleKey(scenario.name));
+      const existing = saved || previousTestCases.get(titleKey(scenario.name));
+      if (!saved) {
+        previousTestCases.delete(titleKey(scenario.name));
+      }
+      
       try {
-        // Generate test code
-        const code = await generateTestCode(scenario, projectContext);
-        
-        // Validate code
-        const isValid = validateTestCode(code);
-        if (!isValid) {
-          console.warn(`[Generator] Generated code may have issues for: ${scenario.name}`);
+        // Unchanged scenarios, and those an earlier attempt generated, keep their
+        // test as it is (code held for review is generated again)
+        if (existing?.status === 'active' && (saved || scenario.change === 'unchanged') && existing.file_path && await testFileExists(existing.file_path)) {
+          const testCase = await reuseTestCase(existing, plan_id, scenario);
+          
+          generatedTests.push({
+            scenario: scenario.name,
+            testCaseId: testCase.id,
+            filepath: path.join(TESTS_DIR, testCase.file_path),
+            reused: true,
+          });
+          
+          events.emit('scenario_generated', {
+            stage: 'generate',
+            message: `Reused: ${scenario.name}`,
+            progress,
+            data: {
+              scenario: scenario.name,
+              test_case_id: testCase.id,
+              file_path: testCase.file_path,
+              reused: true,
+            },
+          });
+          continue;
         }
         
+        // Generate test code, repairing what fails validation
+        const specPath = path.join(TESTS_DIR, testFilePaths(project_id, scenario).spec);
+        const { code, errors, repairs } = await generateTestCode(scenario, projectContext, specPath);
+        const needsReview = errors.length > 0;
+        
         // Save to file system
-        const fileInfo = await saveTestFile(project_id, scenario, code);
+        const fileInfo = await saveTestFile(project_id, scenario, code, needsReview);
         
-        // Save to database
-        const testCase = await saveTestCase(plan_id, plan.suite_id, scenario, fileInfo);
+        // Save to database (a changed scenario keeps its test case)
+        const testCase = existing
+          ? await updateTestCase(existing.id, plan_id, scenario, fileInfo, errors)
+          : await saveTestCase(project_id, plan_id, scenario.suiteId || plan.suite_id, scenario, fileInfo, errors);
         
         generatedTests.push({
           scenario: scenario.name,
           testCaseId: testCase.id,
           filepath: fileInfo.filepath,
+          needsReview,
         });
         
-        console.log(`[Generator] ✓ Generated: ${scenario.name}`);
+        if (needsReview) {
+          console.warn(`[Generator] ! Held for review: ${scenario.name}`);
+        } else {
+          console.log(`[Generator] ✓ Generated: ${scenario.name}`);
+        }
+        events.emit('scenario_generated', {
+          stage: 'generate',
+          message: `${needsReview ? 'Held for review' : 'Generated'}: ${scenario.name}`,
+          progress,
+          data: {
+            scenario: scenario.name,
+            test_case_id: testCase.id,
+            file_path: fileInfo.relativePath,
+            valid: !needsReview,
+            repairs,
+            ...(needsReview && { validation_errors: errors }),
+          },
+        });
         
       } catch (error) {
         console.error(`[Generator] ✗ Failed to generate ${scenario.name}:`, error);
+        
+        // Keep the previous test in the plan rather than dropping it
+        if (existing) {
+          await reuseTestCase(existing, plan_id, scenario).catch(console.error);
+        }
+        events.emit('scenario_failed', {
+          stage: 'generate',
+          message: `Failed to generate: ${scenario.name}`,
+          progress,
+          data: { scenario: scenario.name, error: error.message },
+        });
         // Continue with other scenarios
       }
     }
     
+    // Scenarios beyond the top-K, or not approved, keep the tests they already have
+    for (const scenario of skipped) {
+      const existing = previousTestCases.get(titleKey(scenario.name));
+      if (existing) {
+        previousTestCases.delete(titleKey(scenario.name));
+        await reuseTestCase(existing, plan_id, scenario).catch(console.error);
+      }
+    }
+    
+    // Whatever the re-plan did not match is obsolete
+    await archiveTestCases([...previousTestCases.values()]);
+    
+    const reused = generatedTests.filter(test => test.reused).length;
+    const needsReview = generatedTests.filter(test => test.needsReview).length;
+    const outcome = [
+      `Generated ${generatedTests.length - reused}/${total} tests`,
+      needsReview && `${needsReview} held for review`,
+      reused && `reused ${reused}`,
+      linkedTests.length && `linked ${linkedTests.length} to existing tests`,
+    ].filter(Boolean).join(', ');
+    
+    events.finishStage('generate', outcome, 95, {
+      generated: generatedTests.length - reused,
+      reused,
+      needs_review: needsReview,
+      linked: linkedTests.length,
+      archived: previousTestCases.size,
+      total,
+    });
+    
     // Update plan status
     await updatePlanStatus(plan_id, 'generated');
     
     console.log(`[Generator] Job ${job.id} completed successfully`);
-    console.log(`[Generator] Generated ${generatedTests.length}/${plan.scenarios.length} tests`);
+    console.log(`[Generator] ${outcome}`);
+    
+    // Tests the run covers: this plan's, and those its duplicate scenarios were linked to
+    const testCaseIds = [...new Set([
+      ...generatedTests.filter(test => !test.needsReview).map(test => test.testCaseId),
+      ...linkedTests.map(test => test.testCaseId),
+    ])];
     
     // Optionally enqueue run job
-    if (auto_run && generatedTests.length > 0) {
+    if (auto_run && testCaseIds.length > 0) {
       console.log(`[Generator] Auto-run enabled, creating run...`);
       
       // Create run record
@@ -289,10 +595,11 @@ ${project.description ? `Description: ${project.description}` : ''}
         .from('runs')
         .insert({
           project_id: project_id,
-          suite_id: plan.suite_id,
+          suite_ids: plan.suite_id ? [plan.suite_id] : [],
           plan_id: plan_id,
-          status: 'pending',
-          trigger: 'auto',
+          status: 'queued',
+          trigger: 'api',
+          meta: { test_case_ids: testCaseIds, ...(max_tests && { max_tests }) },
         })
         .select()
         .single();
@@ -302,22 +609,36 @@ ${project.description ? `Description: ${project.description}` : ''}
       }
       
       // Enqueue run job
-      await enqueueJob('run', {
+      const runJob = await enqueueJob('run', {
         run_id: run.id,
         project_id: project_id,
+      }, {
+        priority: job.priority,
+        parentId: job.id,
+        // A generate job re-run after a crash must not queue a second run
+        idempotencyKey: `job:${job.id}:run`,
       });
       
-      console.log(`[Generator] Run created: ${run.id}`);
+      if (!runJob.created) {
+        await supabase.from('runs').delete().eq('id', run.id);
+        console.log(`[Generator] Run already queued: ${runJob.payload.run_id}`);
+      } else {
+        console.log(`[Generator] Run created: ${run.id}`);
+      }
     }
     
+    events.progress(100, 'Done', 'generate');
+    
   } catch (error) {
     console.error(`[Generator] Error in generator worker:`, error);
     
-    // Update plan status to error
-    if (plan_id) {
+    // Update plan status to error (a plan still under review stays as it is)
+    if (generating) {
       await updatePlanStatus(plan_id, 'error').catch(console.error);
     }
     
     throw error;
+  } finally {
+    await events.flush();
   }
 }
\ No newline at end of file
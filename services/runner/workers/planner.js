@@ -1,13 +1,33 @@
 /**
  * Planner Worker
  * 
- * Analyzes PR diffs or specifications and generates test plans using AI.
+ * Analyzes PR diffs, GitHub issues, specifications or OpenAPI documents,
+ * or crawls the running application, and generates test plans using AI.
  */
 
 import { getSupabaseClient } from '../lib/supabase.js';
 import { generateJSON } from '../lib/llm-client.js';
-import { fetchPRDiff, fetchPRMetadata } from '../lib/github.js';
-import { enqueueJob } from '../lib/jobs.js';
+import {
+  fetchPRDiff,
+  fetchPRMetadata,
+  fetchIssue,
+  fetchIssueComments,
+  fetchIssuesByQuery,
+  fetchFileContents,
+  parseRepoUrl,
+  parsePRUrl,
+  parseIssueUrl,
+} from '../lib/github.js';
+import { enqueueJob, PermanentJobError } from '../lib/jobs.js';
+import { createJobEvents } from '../lib/events.js';
+import { createSkipMatcher, splitDiffByFile, chunkFileDiffs, DEFAULT_CHUNK_CHARS } from '../lib/diff-chunker.js';
+import { fetchOpenAPISpec, parseOpenAPISpec, listOperations, getApiBaseUrl } from '../lib/openapi.js';
+import { crawlApplication } from '../lib/crawler.js';
+import { buildRepoContext } from '../lib/repo-context.js';
+import { parseFeature, featureToScenarios } from '../lib/gherkin.js';
+import { PLAN_SCHEMA } from '../lib/plan-schema.js';
+import { scoreScenarios, fetchFailureRates } from '../lib/risk-scorer.js';
+import { titleKey } from '../lib/titles.js';
 
 /**
  * System prompt for test planning
@@ -57,47 +77,308 @@ Return your response as a JSON object with this structure:
 }`;
 
 /**
- * Generate test plan from PR diff
+ * Diff budget per planning prompt; larger PRs are planned in chunks
  */
-async function planFromPRDiff(prUrl, projectId, githubToken) {
-  console.log(`[Planner] Analyzing PR: ${prUrl}`);
+const PLANNER_CHUNK_CHARS = parseInt(process.env.PLANNER_CHUNK_CHARS, 10) || DEFAULT_CHUNK_CHARS;
+
+/**
+ * Token budget for repository context (source, routes and test IDs) sent
+ * with a PR; 0 plans from the diff alone
+ */
+const PLANNER_CONTEXT_TOKENS = parseInt(process.env.PLANNER_CONTEXT_TOKENS ?? '6000', 10) || 0;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Issues an issue query plans at most, most recently updated first
+ */
+const MAX_PLANNED_ISSUES = 10;
+
+// Labels that mark an issue as a bug report
+const BUG_LABEL = /\b(bug|defect|regression|crash)\b/i;
+
+// Heading of the reproduction steps in a bug report
+const REPRO_HEADING = /^(?:#{1,6}\s*|\*\*)?\s*(?:steps to reproduce|reproduction steps|repro(?:duction)? steps|(?:how )?to reproduce)\b/i;
+
+/**
+ * Trigram similarity at which a scenario counts as a duplicate of an existing test case
+ */
+const DUPLICATE_THRESHOLD = parseFloat(process.env.PLANNER_DUPLICATE_THRESHOLD) || 0.7;
+
+/**
+ * Normalize a scenario name for duplicate detection; API scenarios only
+ * duplicate each other within the same operation
+ */
+function scenarioKey(scenario) {
+  const name = titleKey(scenario.name);
+  return scenario.operationId ? `${scenario.operationId} ${name}` : name;
+}
+
+/**
+ * Summary schema of the reduce step that merges partial plan summaries
+ */
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+  },
+};
+
+/**
+ * Reduce the summaries of partial plans to one summary of the whole plan
+ * 
+ * One short LLM call over the partial summaries. If it fails, the plan
+ * still gets the distinct summaries, joined.
+ */
+async function summarizePartials(partials) {
+  const summaries = [...new Set(partials.map(partial => partial.summary?.trim()).filter(Boolean))];
   
-  // Fetch PR metadata and diff
-  const [metadata, diff] = await Promise.all([
-    fetchPRMetadata(prUrl, githubToken),
-    fetchPRDiff(prUrl, githubToken),
-  ]);
+  if (summaries.length <= 1) {
+    return summaries[0] || '';
+  }
   
-  console.log(`[Planner] PR: "${metadata.title}" by ${metadata.author}`);
-  console.log(`[Planner] Changes: +${metadata.additions} -${metadata.deletions} across ${metadata.changedFiles} files`);
+  try {
+    const { summary } = await generateJSON(
+      'You are an expert QA engineer. You merge the summaries of partial test plans into one summary of the whole plan. Respond with JSON only.',
+      `These summaries each describe part of one test plan:
+
+${summaries.map((summary, i) => `${i + 1}. ${summary}`).join('\n')}
+
+Write one summary of the whole plan in 2-4 sentences: what changed and what the tests cover. Do not list the parts one by one, and do not repeat points.
+
+Respond with JSON: {"summary": "..."}`,
+      {
+        temperature: 0.3,
+        maxTokens: 500,
+        schema: SUMMARY_SCHEMA,
+      }
+    );
+    return summary.trim();
+  } catch (error) {
+    console.error('[Planner] Failed to merge plan summaries:', error.message);
+    return summaries.join('\n\n');
+  }
+}
+
+/**
+ * Merge partial plans from diff chunks into one plan
+ * 
+ * Scenarios with the same normalized name are planned once, keeping the
+ * highest priority any chunk gave them. Coverage lists are unioned, and
+ * the chunk summaries are reduced to one summary.
+ */
+async function mergePartialPlans(partials) {
+  const scenarios = new Map();
+  const coverage = { routes: new Set(), features: new Set(), riskAreas: new Set() };
+  
+  for (const partial of partials) {
+    for (const scenario of partial.scenarios || []) {
+      const key = scenarioKey(scenario);
+      const existing = scenarios.get(key);
+      
+      if (!existing) {
+        scenarios.set(key, scenario);
+        continue;
+      }
+      
+      if ((PRIORITY_RANK[scenario.priority] ?? 1) < (PRIORITY_RANK[existing.priority] ?? 1)) {
+        scenarios.set(key, { ...scenarios.get(key), priority: scenario.priority });
+      }
+      
+      // Any chunk seeing a reason to change a previous scenario wins
+      if (scenario.change === 'changed') {
+        scenarios.set(key, { ...scenarios.get(key), change: 'changed' });
+      }
+    }
+    
+    for (const field of Object.keys(coverage)) {
+      for (const item of partial.coverage?.[field] || []) {
+        coverage[field].add(item);
+      }
+    }
+  }
+  
+  return {
+    summary: await summarizePartials(partials),
+    scenarios: [...scenarios.values()],
+    coverage: Object.fromEntries(Object.entries(coverage).map(([field, items]) => [field, [...items]])),
+  };
+}
+
+/**
+ * Split items into batches whose JSON fits in one planning prompt
+ */
+function batchBySize(items, maxChars = PLANNER_CHUNK_CHARS) {
+  const batches = [];
+  let size = Infinity;
+  
+  for (const item of items) {
+    const length = JSON.stringify(item).length;
+    if (size + length > maxChars) {
+      batches.push([]);
+      size = 0;
+    }
+    batches[batches.length - 1].push(item);
+    size += length;
+  }
   
-  // Build user prompt with PR context
-  const userPrompt = `Analyze this Pull Request and create a test plan.
+  return batches;
+}
+
+/**
+ * Build the planning prompt for a PR, or for one chunk of its diff
+ * 
+ * When the PR was planned before, the previous scenarios are listed so
+ * the model keeps their names and marks what changed.
+ */
+function buildPRPrompt(metadata, diff, { chunk = null, previousScenarios = [], repoContext = null } = {}) {
+  const previous = previousScenarios.length > 0
+    ? `
+This PR was planned before its latest push. Previous scenarios:
+${previousScenarios.map(scenario => `- ${scenario.name}: ${scenario.expectedOutcome || scenario.description || ''}`).join('\n')}
+
+Keep the exact name of every previous scenario that still applies, and leave out the ones that no longer apply.
+Add "change" to every scenario: "unchanged" if a previous scenario still applies as it is, "changed" if its steps or expected outcome must change, "added" for a new scenario.
+`
+    : '';
+  
+  const scope = chunk
+    ? `
+This PR is too large to review at once. You are planning part ${chunk.index} of ${chunk.total}, covering: ${chunk.modules.join(', ')}.
+Only plan scenarios for the changes in this part; the other parts are planned separately.
+All files changed in the PR: ${chunk.allFiles.join(', ')}
+`
+    : '';
+  
+  const context = repoContext
+    ? `
+Repository Context (at the PR head, ${repoContext.ref.slice(0, 7)}):
+${repoContext.text}
+
+Use these routes and data-testid values in the scenario steps wherever they apply, instead of guessing page paths or selectors.
+`
+    : '';
+  
+  return `Analyze this Pull Request and create a test plan.
 
 PR Title: ${metadata.title}
 PR Description:
 ${metadata.body || 'No description provided'}
-
+${scope}${previous}
 Code Changes (unified diff):
 \`\`\`diff
-${diff}
+${diff || '(all changed files are lockfiles, generated code or snapshots)'}
 \`\`\`
-
+${context}
 Create a comprehensive test plan that covers:
 1. New features or changes introduced
 2. Potential regression areas
 3. Edge cases based on the code changes
 4. Integration points affected
 
+Add "files" to every scenario: the changed files (paths as in the diff) whose code the scenario exercises.
+
 Focus on E2E testing scenarios that can be automated with Playwright.`;
+}
 
-  // Generate plan using LLM
-  console.log(`[Planner] Generating test plan with AI...`);
-  const plan = await generateJSON(PLANNER_SYSTEM_PROMPT, userPrompt, {
-    temperature: 0.7,
-    maxTokens: 4000,
+/**
+ * Generate test plan from PR diff
+ * 
+ * Lockfiles, generated code and snapshots are left out of the prompt. When
+ * the remaining diff exceeds PLANNER_CHUNK_CHARS it is split by module,
+ * each chunk is planned on its own and the partial plans are merged.
+ */
+async function planFromPRDiff(prUrl, projectId, githubToken, events, skipPatterns = [], previousScenarios = []) {
+  console.log(`[Planner] Analyzing PR: ${prUrl}`);
+  events.stage('context', `Fetching PR ${prUrl}`, 5);
+  
+  // Fetch PR metadata and diff
+  const [metadata, diff] = await Promise.all([
+    fetchPRMetadata(prUrl, githubToken),
+    fetchPRDiff(prUrl, githubToken),
+  ]);
+  
+  console.log(`[Planner] PR: "${metadata.title}" by ${metadata.author}`);
+  console.log(`[Planner] Changes: +${metadata.additions} -${metadata.deletions} across ${metadata.changedFiles} files`);
+  
+  const isSkipped = createSkipMatcher(skipPatterns);
+  const files = splitDiffByFile(diff);
+  const planned = files.filter(file => !isSkipped(file.path));
+  const skippedFiles = files.filter(file => isSkipped(file.path)).map(file => file.path);
+  
+  if (skippedFiles.length > 0) {
+    console.log(`[Planner] Skipping ${skippedFiles.length} files: ${skippedFiles.join(', ')}`);
+  }
+  
+  const chunks = chunkFileDiffs(planned, PLANNER_CHUNK_CHARS);
+  
+  // Source around the change, read at the PR head; planning goes ahead without it if GitHub fails
+  let repoContext = null;
+  if (PLANNER_CONTEXT_TOKENS > 0) {
+    const { owner, repo } = parsePRUrl(prUrl);
+    events.progress(10, 'Reading repository context', 'context');
+    repoContext = await buildRepoContext({
+      owner,
+      repo,
+      ref: metadata.headSha,
+      changedFiles: planned.map(file => ({ ...file, deleted: /^deleted file mode/m.test(file.diff) })),
+      maxTokens: PLANNER_CONTEXT_TOKENS,
+      token: githubToken,
+    });
+  }
+  
+  events.finishStage('context', `"${metadata.title}": ${metadata.changedFiles} files changed`, 20, {
+    planned_files: planned.length,
+    skipped_files: skippedFiles.length,
+    chunks: chunks.length,
+    context_files: repoContext?.files.length || 0,
   });
   
+  // Generate plan using LLM
+  let plan;
+  if (chunks.length <= 1) {
+    console.log(`[Planner] Generating test plan with AI...`);
+    events.stage('llm', 'Generating test plan', 25);
+    plan = await generateJSON(PLANNER_SYSTEM_PROMPT, buildPRPrompt(metadata, chunks[0]?.diff, { previousScenarios, repoContext }), {
+      temperature: 0.7,
+      maxTokens: 4000,
+      schema: PLAN_SCHEMA,
+    });
+  } else {
+    console.log(`[Planner] Diff split into ${chunks.length} chunks, planning each...`);
+    events.stage('llm', `Planning ${chunks.length} chunks of the diff`, 25);
+    
+    // One chunk at a time: the LLM provider is the bottleneck, not the runner
+    const partials = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const partial = await generateJSON(PLANNER_SYSTEM_PROMPT, buildPRPrompt(metadata, chunk.diff, {
+        chunk: {
+          index: i + 1,
+          total: chunks.length,
+          modules: chunk.modules,
+          allFiles: planned.map(file => file.path),
+        },
+        previousScenarios,
+        repoContext,
+      }), {
+        temperature: 0.7,
+        maxTokens: 4000,
+        schema: PLAN_SCHEMA,
+      });
+      partials.push(partial);
+      events.progress(
+        25 + Math.round(((i + 1) / chunks.length) * 50),
+        `Planned chunk ${i + 1} of ${chunks.length} (${chunk.modules.join(', ')})`,
+        'llm'
+      );
+    }
+    
+    plan = await mergePartialPlans(partials);
+    console.log(`[Planner] Merged ${partials.reduce((sum, partial) => sum + (partial.scenarios?.length || 0), 0)} scenarios into ${plan.scenarios.length}`);
+  }
+  events.finishStage('llm', `Planned ${plan.scenarios?.length || 0} scenarios`, 80);
+  
   return {
     ...plan,
     source: 'pr',
@@ -108,14 +389,260 @@ Focus on E2E testing scenarios that can be automated with Playwright.`;
       files: metadata.changedFiles,
       additions: metadata.additions,
       deletions: metadata.deletions,
+      skippedFiles,
+      chunks: chunks.length,
+    },
+    // Per-file churn, for risk scoring
+    changedFiles: planned.map(({ path, additions, deletions }) => ({ path, additions, deletions })),
+    ...(repoContext && {
+      repoContext: {
+        ref: repoContext.ref,
+        files: repoContext.files,
+        truncated: repoContext.truncated,
+        routes: repoContext.routes,
+        testIds: repoContext.testIds,
+      },
+    }),
+  };
+}
+
+/**
+ * Build the planning prompt for a batch of OpenAPI operations
+ */
+function buildOpenAPIPrompt(spec, operations, batch) {
+  return `Analyze these operations from the "${spec.info?.title || 'API'}" OpenAPI document${batch.total > 1 ? ` (part ${batch.index} of ${batch.total})` : ''} and create a test plan.
+
+Operations (JSON):
+\`\`\`json
+${JSON.stringify(operations, null, 2)}
+\`\`\`
+
+For every operation, plan these scenarios:
+1. happy_path: a valid request succeeds with the documented response
+2. validation: missing required fields, wrong types and out-of-range values are rejected (only if the operation takes parameters or a body)
+3. auth: requests without or with invalid credentials are rejected (only if requiresAuth is true)
+4. pagination: pages do not overlap, limits are honoured and the last page is handled (only if paginated is true)
+
+Each scenario in the response must also include:
+- "operationId": the operationId it covers, copied exactly from the list above
+- "endpoint": the method and path, e.g. "GET /users/{id}"
+- "category": one of happy_path, validation, auth, pagination
+
+The tests will call the API with Playwright's request fixture.`;
+}
+
+/**
+ * Generate test plan from an OpenAPI document
+ * 
+ * Operations are planned in batches that fit PLANNER_CHUNK_CHARS, and
+ * every scenario is tied to the operationId it covers.
+ */
+async function planFromOpenAPI(openapiUrl, openapiSpec, events) {
+  events.stage('context', openapiUrl ? `Fetching OpenAPI document ${openapiUrl}` : 'Reading OpenAPI document', 5);
+  
+  let spec;
+  if (openapiUrl) {
+    spec = await fetchOpenAPISpec(openapiUrl);
+  } else {
+    // An uploaded document that does not parse will not parse on retry either
+    try {
+      spec = parseOpenAPISpec(openapiSpec);
+    } catch (error) {
+      throw new PermanentJobError(`Invalid OpenAPI document: ${error.message}`);
+    }
+  }
+  const operations = listOperations(spec);
+  const operationIds = new Set(operations.map(operation => operation.operationId));
+  
+  console.log(`[Planner] OpenAPI: "${spec.info?.title}" ${spec.info?.version || ''} with ${operations.length} operations`);
+  
+  const batches = batchBySize(operations);
+  
+  events.finishStage('context', `"${spec.info?.title || 'API'}": ${operations.length} operations`, 20, {
+    operations: operations.length,
+    chunks: batches.length,
+  });
+  
+  console.log(`[Planner] Generating test plan with AI...`);
+  events.stage('llm', `Planning ${operations.length} operations`, 25);
+  
+  const partials = [];
+  for (const [i, batch] of batches.entries()) {
+    const partial = await generateJSON(PLANNER_SYSTEM_PROMPT, buildOpenAPIPrompt(spec, batch, {
+      index: i + 1,
+      total: batches.length,
+    }), {
+      temperature: 0.7,
+      maxTokens: 4000,
+      schema: PLAN_SCHEMA,
+    });
+    
+    // Keep only scenarios tied to an operation in this document
+    partial.scenarios = (partial.scenarios || []).flatMap((scenario) => {
+      if (operationIds.has(scenario.operationId)) {
+        return [scenario];
+      }
+      if (batch.length === 1) {
+        return [{ ...scenario, operationId: batch[0].operationId }];
+      }
+      console.warn(`[Planner] Dropping scenario "${scenario.name}" with unknown operationId: ${scenario.operationId}`);
+      return [];
+    });
+    
+    partials.push(partial);
+    events.progress(25 + Math.round(((i + 1) / batches.length) * 50), `Planned batch ${i + 1} of ${batches.length}`, 'llm');
+  }
+  
+  const plan = await mergePartialPlans(partials);
+  
+  // Record which operations the plan covers
+  const operationCoverage = operations.map(operation => ({
+    operationId: operation.operationId,
+    method: operation.method,
+    path: operation.path,
+    scenarios: plan.scenarios.filter(scenario => scenario.operationId === operation.operationId).length,
+  }));
+  const uncovered = operationCoverage.filter(operation => operation.scenarios === 0);
+  
+  if (uncovered.length > 0) {
+    console.warn(`[Planner] No scenarios for: ${uncovered.map(operation => operation.operationId).join(', ')}`);
+  }
+  events.finishStage('llm', `Planned ${plan.scenarios.length} scenarios for ${operations.length - uncovered.length} operations`, 80);
+  
+  return {
+    ...plan,
+    coverage: {
+      ...plan.coverage,
+      operations: operationCoverage,
     },
+    source: 'openapi',
+    openapiUrl: openapiUrl || null,
+    apiTitle: spec.info?.title || null,
+    apiVersion: spec.info?.version || null,
+    apiBaseUrl: getApiBaseUrl(spec),
   };
 }
 
+/**
+ * Build the planning prompt for a batch of crawled pages
+ */
+function buildExplorationPrompt(baseUrl, pages, batch) {
+  return `Plan E2E tests for the application running at ${baseUrl}, based on this site map from crawling it${batch.total > 1 ? ` (part ${batch.index} of ${batch.total})` : ''}.
+
+Pages (JSON: path, title, headings, forms with their fields, and interactive elements outside forms):
+\`\`\`json
+${JSON.stringify(pages, null, 2)}
+\`\`\`
+
+Create a comprehensive test plan that covers:
+1. Navigation between the pages and the content each page must show
+2. Every form: successful submission, required fields and invalid input
+3. Interactive elements: buttons, menus, filters and dialogs
+4. User journeys that span several pages
+
+Each scenario in the response must also include "route": the path the test starts at, copied from the site map.
+Prefer the data-testid, label and text values from the site map when describing steps.`;
+}
+
+/**
+ * Generate test plan by crawling the application at its base URL
+ */
+async function planFromExploration(project, { maxDepth, maxPages }, events) {
+  const baseUrl = project.app_base_url;
+  
+  if (!baseUrl) {
+    throw new PermanentJobError('Project has no app_base_url to explore');
+  }
+  
+  console.log(`[Planner] Exploring ${baseUrl} (depth ${maxDepth}, up to ${maxPages} pages)`);
+  events.stage('crawl', `Crawling ${baseUrl}`, 5);
+  
+  const { pages, routes } = await crawlApplication(baseUrl, {
+    maxDepth,
+    maxPages,
+    onPage: (page, visited) => {
+      events.progress(5 + Math.round((visited / maxPages) * 25), `Crawled ${page.path}`, 'crawl');
+    },
+  });
+  
+  if (pages.length === 0) {
+    throw new Error(`Could not load any page from ${baseUrl}`);
+  }
+  
+  await saveDiscoveredRoutes(project, routes);
+  events.finishStage('crawl', `Crawled ${pages.length} pages, found ${routes.length} routes`, 30, {
+    pages: pages.length,
+    routes: routes.length,
+  });
+  
+  console.log(`[Planner] Generating test plan with AI...`);
+  events.stage('llm', `Planning ${pages.length} pages`, 35);
+  
+  const batches = batchBySize(pages);
+  const partials = [];
+  for (const [i, batch] of batches.entries()) {
+    partials.push(await generateJSON(PLANNER_SYSTEM_PROMPT, buildExplorationPrompt(baseUrl, batch, {
+      index: i + 1,
+      total: batches.length,
+    }), {
+      temperature: 0.7,
+      maxTokens: 4000,
+      schema: PLAN_SCHEMA,
+    }));
+    events.progress(35 + Math.round(((i + 1) / batches.length) * 40), `Planned batch ${i + 1} of ${batches.length}`, 'llm');
+  }
+  
+  const plan = await mergePartialPlans(partials);
+  events.finishStage('llm', `Planned ${plan.scenarios.length} scenarios`, 80);
+  
+  return {
+    ...plan,
+    coverage: {
+      ...plan.coverage,
+      routes: [...new Set([...(plan.coverage.routes || []), ...pages.map(page => page.path)])],
+    },
+    source: 'exploration',
+    baseUrl,
+    crawl: {
+      maxDepth,
+      maxPages,
+      pages: pages.length,
+      routes: routes.length,
+    },
+  };
+}
+
+/**
+ * Merge crawled routes into projects.routes, keeping routes that were
+ * already defined (and their categories)
+ */
+async function saveDiscoveredRoutes(project, routes) {
+  const supabase = getSupabaseClient();
+  const existing = project.routes || [];
+  const known = new Set(existing.map(route => `${route.method}:${route.path}`));
+  const added = routes.filter(route => !known.has(`${route.method}:${route.path}`));
+  
+  if (added.length === 0) {
+    return;
+  }
+  
+  const { error } = await supabase
+    .from('projects')
+    .update({ routes: [...existing, ...added] })
+    .eq('id', project.id);
+  
+  if (error) {
+    console.error(`[Planner] Failed to save discovered routes:`, error);
+    return;
+  }
+  
+  console.log(`[Planner] Added ${added.length} discovered routes to the project`);
+}
+
 /**
  * Generate test plan from specification
  */
-async function planFromSpec(specMarkdown, projectId) {
+async function planFromSpec(specMarkdown, projectId, events) {
   console.log(`[Planner] Analyzing specification (${specMarkdown.length} chars)`);
   
   // Build user prompt with spec
@@ -135,10 +662,13 @@ Focus on E2E testing scenarios that can be automated with Playwright.`;
 
   // Generate plan using LLM
   console.log(`[Planner] Generating test plan with AI...`);
+  events.stage('llm', 'Generating test plan', 10);
   const plan = await generateJSON(PLANNER_SYSTEM_PROMPT, userPrompt, {
     temperature: 0.7,
     maxTokens: 4000,
+    schema: PLAN_SCHEMA,
   });
+  events.finishStage('llm', `Planned ${plan.scenarios?.length || 0} scenarios`, 80);
   
   return {
     ...plan,
@@ -146,10 +676,514 @@ Focus on E2E testing scenarios that can be automated with Playwright.`;
   };
 }
 
+/**
+ * Reproduction steps listed in an issue body or comment
+ * 
+ * Takes the numbered or bulleted items under a "Steps to reproduce" (or
+ * similar) heading, up to the next heading.
+ */
+function extractReproSteps(text) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim());
+  const start = lines.findIndex(line => REPRO_HEADING.test(line));
+  const steps = [];
+  
+  if (start === -1) {
+    return steps;
+  }
+  
+  for (const line of lines.slice(start + 1)) {
+    const item = line.match(/^(?:\d+[.)]|[-*+])\s+(.+)$/);
+    
+    if (item) {
+      steps.push(item[1].trim());
+    } else if (steps.length > 0 && /^(#|\*\*|expected|actual)/i.test(line)) {
+      break;
+    }
+  }
+  
+  return steps;
+}
+
+/**
+ * Whether an issue reports a bug, by its type, labels or reproduction steps
+ */
+function isBugIssue(issue) {
+  return issue.type === 'Bug'
+    || issue.labels.some(label => BUG_LABEL.test(label))
+    || issue.reproSteps.length > 0;
+}
+
+/**
+ * Build the planning prompt for a GitHub issue
+ * 
+ * Comments are included oldest first while they fit PLANNER_CHUNK_CHARS.
+ */
+function buildIssuePrompt(issue) {
+  const body = (issue.body || 'No description provided').slice(0, PLANNER_CHUNK_CHARS);
+  let budget = PLANNER_CHUNK_CHARS - body.length;
+  
+  const comments = [];
+  for (const comment of issue.commentList) {
+    const text = `@${comment.author}: ${comment.body}`;
+    if (text.length > budget) {
+      comments.push(`(${issue.commentList.length - comments.length} more comments left out)`);
+      break;
+    }
+    comments.push(text);
+    budget -= text.length;
+  }
+  
+  const reproSteps = issue.reproSteps.length > 0
+    ? `\nReproduction steps from the report:\n${issue.reproSteps.map((step, i) => `${i + 1}. ${step}`).join('\n')}\n`
+    : '';
+  
+  const instructions = issue.bug
+    ? `This issue reports a bug. The first scenario must reproduce it exactly as reported:
+- name it "Reproduce #${issue.number}: <what goes wrong>"
+- set "category" to "reproduction" and "priority" to "high"
+- follow the reproduction steps, and expect the correct behaviour, so the test fails while the bug exists
+
+Then add scenarios with "category": "regression" for related paths the fix could break.`
+    : `Plan scenarios that verify the behaviour the issue asks for, and related paths it could break. Set "category" to "regression" on every scenario.`;
+  
+  return `Create regression tests for this GitHub issue.
+
+Issue #${issue.number}: ${issue.title}
+URL: ${issue.url}
+State: ${issue.state}
+Labels: ${issue.labels.join(', ') || 'none'}
+
+Issue Description:
+${body}
+${reproSteps}
+Comments (oldest first):
+${comments.join('\n\n') || 'No comments'}
+
+${instructions}
+
+Focus on E2E testing scenarios that can be automated with Playwright.`;
+}
+
+/**
+ * Scenario that reproduces a bug, for when the model did not plan one
+ */
+function reproductionScenario(issue) {
+  const steps = issue.reproSteps.length > 0
+    ? issue.reproSteps
+    : [`Follow the report in ${issue.url}`, `Check that "${issue.title}" no longer happens`];
+  
+  return {
+    name: `Reproduce #${issue.number}: ${issue.title}`,
+    description: `Reproduces the bug reported in ${issue.url}`,
+    priority: 'high',
+    complexity: steps.length <= 4 ? 'simple' : 'moderate',
+    steps,
+    expectedOutcome: `The bug reported in #${issue.number} does not occur`,
+    category: 'reproduction',
+  };
+}
+
+/**
+ * Generate test plan from a GitHub issue, or from the issues matching a query
+ * 
+ * Each issue is planned on its own, from its body and comments, and every
+ * scenario links back to its issue. Bug reports always get a scenario that
+ * reproduces the bug.
+ * 
+ * @param {object} project - Project (repo_url, for issue queries)
+ * @param {object} options
+ * @param {string} options.issueUrl - GitHub issue URL
+ * @param {string} options.issueQuery - Search qualifiers for the project's repository (e.g. "label:bug is:open")
+ * @param {string} githubToken - GitHub token (optional, for private repos)
+ * @param {object} events - Job event emitter
+ */
+async function planFromIssues(project, { issueUrl = null, issueQuery = null }, githubToken, events) {
+  events.stage('context', issueUrl ? `Fetching issue ${issueUrl}` : `Searching issues: ${issueQuery}`, 5);
+  
+  let issues;
+  let owner;
+  let repo;
+  
+  if (issueUrl) {
+    ({ owner, repo } = parseIssueUrl(issueUrl));
+    issues = [await fetchIssue(issueUrl, githubToken)];
+  } else {
+    if (!project.repo_url) {
+      throw new PermanentJobError('The project has no repository URL to search issues in');
+    }
+    
+    ({ owner, repo } = parseRepoUrl(project.repo_url));
+    issues = await fetchIssuesByQuery(owner, repo, issueQuery, githubToken);
+    
+    if (issues.length === 0) {
+      throw new PermanentJobError(`No issues in ${owner}/${repo} match "${issueQuery}"`);
+    }
+    
+    if (issues.length > MAX_PLANNED_ISSUES) {
+      console.log(`[Planner] ${issues.length} issues match, planning the ${MAX_PLANNED_ISSUES} most recently updated`);
+      issues = issues.slice(0, MAX_PLANNED_ISSUES);
+    }
+  }
+  
+  for (const issue of issues) {
+    issue.commentList = issue.comments > 0 ? await fetchIssueComments(owner, repo, issue.number, githubToken) : [];
+    issue.reproSteps = [issue.body, ...issue.commentList.map(comment => comment.body)]
+      .map(extractReproSteps)
+      .find(steps => steps.length > 0) || [];
+    issue.bug = isBugIssue(issue);
+  }
+  
+  const bugs = issues.filter(issue => issue.bug).length;
+  console.log(`[Planner] Issues: ${issues.map(issue => `#${issue.number}`).join(', ')} (${bugs} bugs)`);
+  events.finishStage('context', `${issues.length} issues to plan, ${bugs} of them bugs`, 20, {
+    issues: issues.length,
+    bugs,
+  });
+  
+  console.log(`[Planner] Generating test plan with AI...`);
+  events.stage('llm', `Planning ${issues.length} issues`, 25);
+  
+  // One issue per prompt, so every scenario is tied to the issue it came from
+  const partials = [];
+  for (const [i, issue] of issues.entries()) {
+    const partial = await generateJSON(PLANNER_SYSTEM_PROMPT, buildIssuePrompt(issue), {
+      temperature: 0.7,
+      maxTokens: 4000,
+      schema: PLAN_SCHEMA,
+    });
+    
+    let scenarios = (partial.scenarios || []).map(scenario => ({
+      ...scenario,
+      category: scenario.category === 'reproduction' && issue.bug ? 'reproduction' : 'regression',
+    }));
+    
+    if (issue.bug) {
+      const reproduction = scenarios.find(scenario => scenario.category === 'reproduction') || reproductionScenario(issue);
+      scenarios = [
+        { ...reproduction, priority: 'high' },
+        ...scenarios.filter(scenario => scenario !== reproduction),
+      ];
+    }
+    
+    const link = { number: issue.number, url: issue.url, title: issue.title };
+    partials.push({ ...partial, scenarios: scenarios.map(scenario => ({ ...scenario, issue: link })) });
+    events.progress(25 + Math.round(((i + 1) / issues.length) * 50), `Planned #${issue.number}`, 'llm');
+  }
+  
+  const plan = await mergePartialPlans(partials);
+  events.finishStage('llm', `Planned ${plan.scenarios.length} scenarios for ${issues.length} issues`, 80);
+  
+  return {
+    ...plan,
+    source: 'issue',
+    issueUrl,
+    issueQuery,
+    issues: issues.map(issue => ({
+      number: issue.number,
+      url: issue.url,
+      title: issue.title,
+      state: issue.state,
+      labels: issue.labels,
+      bug: issue.bug,
+      scenarios: plan.scenarios.filter(scenario => scenario.issue.number === issue.number).length,
+    })),
+  };
+}
+
+/**
+ * Put Gherkin scenarios in suites
+ * 
+ * A "@suite:<name>" tag picks the suite of that name, which is created if
+ * the project has none. Otherwise the first suite sharing a tag with the
+ * scenario (by suite tags or name) is used; scenarios without one stay in
+ * the plan's suite.
+ */
+async function assignSuites(projectId, scenarios) {
+  const supabase = getSupabaseClient();
+  const normalize = tag => tag.replace(/^@/, '').toLowerCase();
+  
+  const { data: suites, error } = await supabase
+    .from('suites')
+    .select('id, name, tags')
+    .eq('project_id', projectId);
+  
+  if (error) {
+    throw new Error(`Failed to fetch suites: ${error.message}`);
+  }
+  
+  const findSuite = name => suites.find(suite => suite.name.toLowerCase() === name.toLowerCase());
+  const assigned = [];
+  
+  for (const scenario of scenarios) {
+    let suite = null;
+    
+    if (scenario.suite) {
+      suite = findSuite(scenario.suite);
+      
+      if (!suite) {
+        const { data: created, error: createError } = await supabase
+          .from('suites')
+          .insert({ project_id: projectId, name: scenario.suite, tags: [] })
+          .select('id, name, tags')
+          .single();
+        
+        if (createError) {
+          throw new Error(`Failed to create suite ${scenario.suite}: ${createError.message}`);
+        }
+        
+        console.log(`[Planner] Created suite: ${created.name}`);
+        suites.push(created);
+        suite = created;
+      }
+    } else {
+      const tags = new Set(scenario.tags.map(normalize));
+      suite = suites.find(candidate => tags.has(candidate.name.toLowerCase())
+        || (candidate.tags || []).some(tag => tags.has(normalize(tag))));
+    }
+    
+    assigned.push(suite ? { ...scenario, suite: suite.name, suiteId: suite.id } : scenario);
+  }
+  
+  return assigned;
+}
+
+/**
+ * Import a test plan from Gherkin .feature files
+ * 
+ * Files are uploaded (featureFiles) or read from the project's repository
+ * (featurePaths, at ref or the default branch). Scenarios are taken as
+ * written, so no LLM is involved.
+ * 
+ * @param {object} project - Project (id, repo_url)
+ * @param {object} options
+ * @param {Array<{path: string, content: string}>} options.featureFiles - Uploaded files
+ * @param {string[]} options.featurePaths - Paths of .feature files in the repository
+ * @param {string} options.ref - Git ref to read featurePaths at (default: default branch)
+ * @param {object} events - Job event emitter
+ */
+async function planFromGherkin(project, { featureFiles = [], featurePaths = [], ref = null }, events) {
+  const files = [...featureFiles];
+  
+  if (featurePaths.length > 0) {
+    if (!project.repo_url) {
+      throw new PermanentJobError('The project has no repository URL to read feature files from');
+    }
+    
+    const { owner, repo } = parseRepoUrl(project.repo_url);
+    events.stage('fetch', `Fetching ${featurePaths.length} feature files`, 5);
+    
+    for (const featurePath of featurePaths) {
+      const content = await fetchFileContents(owner, repo, featurePath, ref, process.env.GITHUB_TOKEN);
+      files.push({ path: featurePath, content });
+    }
+    
+    events.finishStage('fetch', `Fetched ${featurePaths.length} feature files`, 30);
+  }
+  
+  console.log(`[Planner] Importing ${files.length} feature files`);
+  events.stage('parse', 'Parsing feature files', 30);
+  
+  const features = [];
+  let scenarios = [];
+  
+  for (const file of files) {
+    let feature;
+    try {
+      feature = parseFeature(file.content, file.path);
+    } catch (error) {
+      throw new PermanentJobError(`Invalid feature file: ${error.message}`);
+    }
+    
+    features.push(feature.name);
+    scenarios.push(...featureToScenarios(feature, file.path));
+  }
+  
+  if (scenarios.length === 0) {
+    throw new PermanentJobError('The feature files have no scenarios with steps');
+  }
+  
+  scenarios = await assignSuites(project.id, scenarios);
+  events.finishStage('parse', `Imported ${scenarios.length} scenarios`, 80);
+  
+  return {
+    summary: `Imported ${scenarios.length} scenarios from ${features.join(', ')}`,
+    scenarios,
+    coverage: {
+      routes: [],
+      features,
+      riskAreas: [],
+    },
+    source: 'gherkin',
+    featureFiles: files.map(file => file.path),
+  };
+}
+
+/**
+ * Latest plan for the same PR, to re-plan incrementally against
+ * 
+ * Only generated plans own test cases, so drafts and rejected plans of the
+ * PR are passed over.
+ */
+async function findPreviousPlan(projectId, prUrl) {
+  const supabase = getSupabaseClient();
+  
+  const { data: plans, error } = await supabase
+    .from('plans')
+    .select('id, plan_json')
+    .eq('project_id', projectId)
+    .eq('pr_url', prUrl)
+    .eq('status', 'generated')
+    .order('created_at', { ascending: false })
+    .limit(1);
+  
+  if (error) {
+    console.error(`[Planner] Failed to look up the previous plan:`, error);
+    return null;
+  }
+  
+  return plans?.[0] || null;
+}
+
+/**
+ * Classify the scenarios of a re-plan against the previous plan
+ * 
+ * Scenarios are matched by normalized name. A matched scenario the model
+ * did not mark as changed keeps its previous content, so its test case is
+ * reused as is; previous scenarios without a match are obsolete.
+ */
+function classifyScenarios(planData, previousPlan) {
+  const previous = new Map(
+    (previousPlan.plan_json?.scenarios || []).map(scenario => [scenarioKey(scenario), scenario])
+  );
+  const matched = new Set();
+  
+  const scenarios = planData.scenarios.map((scenario) => {
+    const key = scenarioKey(scenario);
+    const before = previous.get(key);
+    
+    if (!before) {
+      return { ...scenario, change: 'added' };
+    }
+    
+    matched.add(key);
+    return scenario.change === 'changed'
+      ? { ...scenario, name: before.name, change: 'changed' }
+      : { ...before, change: 'unchanged' };
+  });
+  
+  const obsolete = [...previous.entries()]
+    .filter(([key]) => !matched.has(key))
+    .map(([, scenario]) => scenario.name);
+  
+  const names = change => scenarios.filter(scenario => scenario.change === change).map(scenario => scenario.name);
+  
+  return {
+    ...planData,
+    scenarios,
+    previousPlanId: previousPlan.id,
+    delta: {
+      added: names('added'),
+      changed: names('changed'),
+      unchanged: names('unchanged'),
+      obsolete,
+    },
+  };
+}
+
+/**
+ * Flag scenarios that duplicate one of the project's active test cases
+ * 
+ * Names are compared with pg_trgm similarity (match_test_cases). A flagged
+ * scenario links to the existing test case in duplicateOf, and the
+ * generator skips it. Scenarios a re-plan carried over from the previous
+ * plan are the PR's own tests and are not checked.
+ */
+async function flagDuplicateScenarios(projectId, planData) {
+  const candidates = planData.scenarios.filter(scenario => !['unchanged', 'changed'].includes(scenario.change));
+  
+  if (candidates.length === 0) {
+    return planData;
+  }
+  
+  const supabase = getSupabaseClient();
+  const { data: matches, error } = await supabase.rpc('match_test_cases', {
+    match_project_id: projectId,
+    titles: candidates.map(scenario => scenario.name),
+    threshold: DUPLICATE_THRESHOLD,
+    exclude_plan_id: planData.previousPlanId || null,
+  });
+  
+  // Deduplication is advisory; plan everything rather than fail the job
+  if (error) {
+    console.error(`[Planner] Failed to match scenarios against existing tests:`, error);
+    return planData;
+  }
+  
+  const duplicates = new Map(matches.map(match => [candidates[match.title_index - 1], match]));
+  
+  for (const [scenario, match] of duplicates) {
+    console.log(`[Planner] "${scenario.name}" duplicates test case "${match.test_case_title}" (${match.score.toFixed(2)})`);
+  }
+  
+  return {
+    ...planData,
+    scenarios: planData.scenarios.map((scenario) => {
+      const match = duplicates.get(scenario);
+      return match
+        ? {
+          ...scenario,
+          duplicateOf: {
+            testCaseId: match.test_case_id,
+            title: match.test_case_title,
+            similarity: Math.round(match.score * 100) / 100,
+          },
+        }
+        : scenario;
+    }),
+  };
+}
+
+/**
+ * Mark scenarios for review
+ * 
+ * New and changed scenarios wait for a reviewer; unchanged scenarios of a
+ * re-plan keep the review they had. With autoApprove, the runner approves
+ * every scenario itself.
+ */
+function prepareReview(planData, autoApprove) {
+  const reviewedAt = new Date().toISOString();
+  
+  return {
+    ...planData,
+    scenarios: planData.scenarios.map((scenario) => {
+      if (autoApprove) {
+        return { ...scenario, review: { status: 'approved', reviewedBy: null, reviewedAt, comment: 'Auto-approved' } };
+      }
+      return scenario.review && scenario.change === 'unchanged'
+        ? scenario
+        : { ...scenario, review: { status: 'pending' } };
+    }),
+  };
+}
+
+/**
+ * Plan status from its scenarios' reviews (mirrors review_plan_scenarios)
+ */
+function reviewStatus(scenarios) {
+  const statuses = scenarios.map(scenario => scenario.review?.status || 'pending');
+  
+  if (statuses.includes('pending')) {
+    return 'draft';
+  }
+  return statuses.includes('approved') ? 'approved' : 'rejected';
+}
+
 /**
  * Save plan to database
+ * 
+ * @param {string} autoApproval - Why the plan was approved without review, if it was
  */
-async function savePlan(projectId, suiteId, planData) {
+async function savePlan(projectId, suiteId, specMarkdown, planData, autoApproval = null) {
   const supabase = getSupabaseClient();
   
   console.log(`[Planner] Saving plan to database...`);
@@ -158,16 +1192,11 @@ async function savePlan(projectId, suiteId, planData) {
     .from('plans')
     .insert({
       project_id: projectId,
-      suite_id: suiteId,
-      summary: planData.summary,
-      scenarios: planData.scenarios,
-      coverage: planData.coverage,
-      source: planData.source,
-      pr_url: planData.prUrl,
-      pr_title: planData.prTitle,
-      pr_author: planData.prAuthor,
-      pr_changes: planData.prChanges,
-      status: 'completed',
+      suite_id: suiteId || null,
+      pr_url: planData.prUrl || null,
+      spec_md: specMarkdown || null,
+      plan_json: planData,
+      status: reviewStatus(planData.scenarios),
     })
     .select()
     .single();
@@ -176,7 +1205,23 @@ async function savePlan(projectId, suiteId, planData) {
     throw new Error(`Failed to save plan: ${error.message}`);
   }
   
-  console.log(`[Planner] Plan saved with ID: ${plan.id}`);
+  // An automatic approval is a review decision too, made by the runner
+  if (autoApproval) {
+    const { error: reviewError } = await supabase
+      .from('plan_reviews')
+      .insert({
+        plan_id: plan.id,
+        decision: 'approved',
+        comment: autoApproval,
+        reviewed_by: null,
+      });
+    
+    if (reviewError) {
+      console.error(`[Planner] Failed to record the automatic approval:`, reviewError);
+    }
+  }
+  
+  console.log(`[Planner] Plan saved with ID: ${plan.id} (${plan.status})`);
   console.log(`[Planner] Scenarios: ${planData.scenarios.length}`);
   
   return plan;
@@ -192,26 +1237,43 @@ async function savePlan(projectId, suiteId, planData) {
  * @param {string} job.payload.project_id - Project ID
  * @param {string} job.payload.suite_id - Suite ID (optional)
  * @param {string} job.payload.pr_url - PR URL (optional)
+ * @param {string} job.payload.issue_url - GitHub issue URL (optional)
+ * @param {string} job.payload.issue_query - Issue search qualifiers for the project's repository (optional)
  * @param {string} job.payload.spec_md - Spec markdown (optional)
- * @param {boolean} job.payload.auto_generate - Auto-generate tests after planning
+ * @param {string} job.payload.openapi_url - OpenAPI document URL (optional)
+ * @param {string|object} job.payload.openapi_spec - Uploaded OpenAPI document (optional)
+ * @param {boolean} job.payload.explore - Crawl the project's app_base_url (optional)
+ * @param {number} job.payload.max_depth - Link depth to crawl (default: 2)
+ * @param {number} job.payload.max_pages - Pages to crawl at most (default: 25)
+ * @param {Array<{path: string, content: string}>} job.payload.feature_files - Uploaded Gherkin files (optional)
+ * @param {string[]} job.payload.feature_paths - Gherkin files to read from the repository (optional)
+ * @param {string} job.payload.feature_ref - Git ref to read feature_paths at (optional)
+ * @param {boolean} job.payload.auto_approve - Approve the plan without review (optional)
+ * @param {boolean} job.payload.auto_generate - Auto-generate tests once the plan is approved
+ * @param {boolean} job.payload.auto_run - Run the generated tests (default: true)
+ * @param {number} job.payload.max_scenarios - Generate only the top-K scenarios by risk (optional)
+ * @param {number} job.payload.max_tests - Run only the top-K tests by risk (optional)
  */
 export async function runPlanner(job) {
   console.log(`[Planner] Starting planner for job ${job.id}`);
   console.log(`[Planner] Project ID: ${job.payload.project_id}`);
   
-  const { project_id, suite_id, pr_url, spec_md, auto_generate } = job.payload;
+  const { project_id, suite_id, pr_url, issue_url, issue_query, spec_md, openapi_url, openapi_spec, explore, feature_files, feature_paths, auto_generate } = job.payload;
+  const hasFeatures = feature_files?.length > 0 || feature_paths?.length > 0;
   
   // Validate input
-  if (!pr_url && !spec_md) {
-    throw new Error('Either pr_url or spec_md must be provided');
+  if (!pr_url && !issue_url && !issue_query && !spec_md && !openapi_url && !openapi_spec && !explore && !hasFeatures) {
+    throw new PermanentJobError('One of pr_url, issue_url, issue_query, spec_md, openapi_url, openapi_spec, explore, feature_files or feature_paths must be provided');
   }
   
+  const events = createJobEvents(job.id);
+  
   try {
-    // Fetch project details for GitHub token
+    // Make sure the project still exists, and load its planning settings
     const supabase = getSupabaseClient();
     const { data: project, error: projectError } = await supabase
       .from('projects')
-      .select('github_token')
+      .select('id, repo_url, app_base_url, routes, critical_paths, test_config')
       .eq('id', project_id)
       .single();
     
@@ -222,20 +1284,93 @@ export async function runPlanner(job) {
     // Generate plan based on source
     let planData;
     if (pr_url) {
-      planData = await planFromPRDiff(pr_url, project_id, project.github_token);
+      // A PR planned before is re-planned incrementally against its latest plan
+      const previousPlan = await findPreviousPlan(project_id, pr_url);
+      planData = await planFromPRDiff(
+        pr_url,
+        project_id,
+        process.env.GITHUB_TOKEN,
+        events,
+        project.test_config?.plan_skip_patterns,
+        previousPlan?.plan_json?.scenarios
+      );
+      
+      if (previousPlan) {
+        planData = classifyScenarios(planData, previousPlan);
+        const { added, changed, unchanged, obsolete } = planData.delta;
+        console.log(`[Planner] Re-plan of ${previousPlan.id}: ${added.length} added, ${changed.length} changed, ${unchanged.length} unchanged, ${obsolete.length} obsolete`);
+      }
+    } else if (issue_url || issue_query) {
+      planData = await planFromIssues(project, {
+        issueUrl: issue_url,
+        issueQuery: issue_query,
+      }, process.env.GITHUB_TOKEN, events);
+    } else if (openapi_url || openapi_spec) {
+      planData = await planFromOpenAPI(openapi_url, openapi_spec, events);
+    } else if (explore) {
+      planData = await planFromExploration(project, {
+        maxDepth: job.payload.max_depth ?? 2,
+        maxPages: job.payload.max_pages ?? 25,
+      }, events);
+    } else if (hasFeatures) {
+      planData = await planFromGherkin(project, {
+        featureFiles: feature_files,
+        featurePaths: feature_paths,
+        ref: job.payload.feature_ref,
+      }, events);
     } else {
-      planData = await planFromSpec(spec_md, project_id);
+      planData = await planFromSpec(spec_md, project_id, events);
     }
     
+    planData = await flagDuplicateScenarios(project_id, planData);
+    const duplicates = planData.scenarios.filter(scenario => scenario.duplicateOf).length;
+    
+    // Order scenarios by risk, so top-K generation and runs take the riskiest
+    planData = {
+      ...planData,
+      scenarios: scoreScenarios(planData.scenarios, {
+        criticalPaths: project.critical_paths || [],
+        changedFiles: planData.changedFiles || [],
+        failureRates: await fetchFailureRates(project_id),
+      }),
+    };
+    
+    // Plans wait for review unless the job or the project approves them up front
+    const autoApproval = job.payload.auto_approve
+      ? 'Auto-approved when queued'
+      : project.test_config?.auto_approve_plans ? 'Auto-approved by project settings' : null;
+    planData = prepareReview(planData, Boolean(autoApproval));
+    
     // Save plan to database
-    const plan = await savePlan(project_id, suite_id, planData);
+    events.stage('save', 'Saving plan', 85);
+    const plan = await savePlan(project_id, suite_id, spec_md, planData, autoApproval);
+    events.finishStage('save', `Plan saved with ${planData.scenarios.length} scenarios${plan.status === 'draft' ? ', awaiting review' : ''}`, 100, {
+      plan_id: plan.id,
+      status: plan.status,
+      scenarios: planData.scenarios.length,
+      duplicates,
+      ...(planData.delta && {
+        previous_plan_id: planData.previousPlanId,
+        delta: Object.fromEntries(Object.entries(planData.delta).map(([change, names]) => [change, names.length])),
+      }),
+    });
     
-    // Optionally enqueue generation job
-    if (auto_generate) {
+    // Optionally enqueue generation job; a plan under review is generated from its page
+    if (auto_generate && plan.status !== 'approved') {
+      console.log(`[Planner] Plan ${plan.id} is ${plan.status}, not generating tests until it is approved`);
+    } else if (auto_generate) {
       console.log(`[Planner] Auto-generate enabled, enqueueing generator job...`);
       await enqueueJob('generate', {
         plan_id: plan.id,
         project_id: project_id,
+        auto_run: job.payload.auto_run ?? true,
+        max_scenarios: job.payload.max_scenarios,
+        max_tests: job.payload.max_tests,
+      }, {
+        priority: job.priority,
+        parentId: job.id,
+        // A plan job re-run after a crash must not queue generation twice
+        idempotencyKey: `job:${job.id}:generate`,
       });
     }
     
@@ -246,5 +1381,7 @@ export async function runPlanner(job) {
   } catch (error) {
     console.error(`[Planner] Error in planner worker:`, error);
     throw error;
+  } finally {
+    await events.flush();
   }
 }
\ No newline at end of file
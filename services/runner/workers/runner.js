@@ -6,19 +6,36 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
 import { getSupabaseClient } from '../lib/supabase.js';
 import { parseJUnitXML, extractError } from '../lib/junit-parser.js';
 import { uploadTestArtifacts, uploadJUnitXML, findArtifacts } from '../lib/artifacts.js';
 import { parsePRUrl } from '../lib/github.js';
 import { reportTestResults, createPendingCheck } from '../lib/github-checks.js';
 import { autoCreateIssues } from '../lib/github-issues.js';
+import { JobReleasedError, PermanentJobError } from '../lib/jobs.js';
+import { recordTestResults } from '../lib/metrics.js';
+import { createJobEvents } from '../lib/events.js';
 
-const execAsync = promisify(exec);
+// Playwright workspace the generator writes tests to
+const TESTS_DIR = process.env.RUNNER_TESTS_DIR
+  ? path.resolve(process.env.RUNNER_TESTS_DIR)
+  : path.join(process.cwd(), '..', 'playwright-tests');
+
+// How long Playwright gets to write its reports after a cancellation before it is killed
+const KILL_GRACE_PERIOD = 10000;
+
+// Lines printed by Playwright's list reporter
+const RUNNING_TESTS_LINE = /Running (\d+) tests? using/;
+const TEST_RESULT_LINE = /^\s*(✓|✘|-|ok|x)\s+\d+\s+(.+?)(?:\s+\((\d+(?:\.\d+)?)(ms|s|m)\))?\s*$/;
+const RESULT_STATUSES = { '✓': 'passed', ok: 'passed', '✘': 'failed', x: 'failed', '-': 'skipped' };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000 };
 
 /**
  * Update run status
+ * 
+ * A summary (test stats or an error) is stored in the run's meta,
+ * next to what is already there such as a schedule's environment.
  */
 async function updateRunStatus(runId, status, summary = null) {
   const supabase = getSupabaseClient();
@@ -26,13 +43,19 @@ async function updateRunStatus(runId, status, summary = null) {
   const updates = { status };
   
   if (summary) {
-    updates.summary = summary;
+    const { data: run } = await supabase
+      .from('runs')
+      .select('meta')
+      .eq('id', runId)
+      .single();
+    
+    updates.meta = { ...run?.meta, summary };
   }
   
   if (status === 'running') {
     updates.started_at = new Date().toISOString();
-  } else if (status === 'completed' || status === 'failed') {
-    updates.completed_at = new Date().toISOString();
+  } else if (['passed', 'failed', 'error', 'cancelled'].includes(status)) {
+    updates.finished_at = new Date().toISOString();
   }
   
   const { error } = await supabase
@@ -47,13 +70,17 @@ async function updateRunStatus(runId, status, summary = null) {
 
 /**
  * Fetch test cases for a run
+ * 
+ * A run that lists its test cases in meta.test_case_ids (auto-runs after
+ * generation, which include tests of other plans that scenarios were
+ * linked to) runs those; otherwise the plan's, the suites' or the project's.
  */
 async function fetchTestCases(runId) {
   const supabase = getSupabaseClient();
   
   const { data: run, error: runError } = await supabase
     .from('runs')
-    .select('project_id, suite_id, plan_id')
+    .select('project_id, suite_ids, plan_id, meta')
     .eq('id', runId)
     .single();
   
@@ -67,10 +94,12 @@ async function fetchTestCases(runId) {
     .select('*')
     .eq('status', 'active');
   
-  if (run.plan_id) {
+  if (run.meta?.test_case_ids?.length > 0) {
+    query = query.in('id', run.meta.test_case_ids);
+  } else if (run.plan_id) {
     query = query.eq('plan_id', run.plan_id);
-  } else if (run.suite_id) {
-    query = query.eq('suite_id', run.suite_id);
+  } else if (run.suite_ids?.length > 0) {
+    query = query.in('suite_id', run.suite_ids);
   } else {
     // Fetch all active tests for project
     query = query.eq('project_id', run.project_id);
@@ -85,11 +114,20 @@ async function fetchTestCases(runId) {
   return { run, testCases };
 }
 
+/**
+ * Take the top-K test cases by risk score, then by priority
+ */
+function selectTopTests(testCases, maxTests) {
+  return [...testCases]
+    .sort((a, b) => (b.risk_score ?? -1) - (a.risk_score ?? -1) || (a.priority ?? 2) - (b.priority ?? 2))
+    .slice(0, maxTests);
+}
+
 /**
  * Prepare test environment
  */
 async function prepareTestEnvironment(projectId, testCases) {
-  const testsDir = path.join(process.cwd(), '..', 'playwright-tests', 'tests', projectId);
+  const testsDir = path.join(TESTS_DIR, 'tests', projectId);
   
   // Ensure directory exists
   await fs.mkdir(testsDir, { recursive: true });
@@ -100,7 +138,7 @@ async function prepareTestEnvironment(projectId, testCases) {
   // Verify test files exist
   const missingFiles = [];
   for (const testCase of testCases) {
-    const testPath = path.join(process.cwd(), '..', 'playwright-tests', testCase.file_path);
+    const testPath = path.join(TESTS_DIR, testCase.file_path);
     try {
       await fs.access(testPath);
     } catch {
@@ -115,12 +153,95 @@ async function prepareTestEnvironment(projectId, testCases) {
   return testsDir;
 }
 
+/**
+ * Run a command in its own process group
+ * 
+ * The arguments are passed as they are, without a shell. When the signal
+ * aborts, the whole group gets SIGTERM so npx and the Playwright test
+ * workers under it stop together, then SIGKILL if they are still running
+ * after KILL_GRACE_PERIOD.
+ * 
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {object} options
+ * @param {string} options.cwd - Working directory
+ * @param {object} options.env - Environment variables
+ * @param {AbortSignal} options.signal - Stops the command when aborted
+ * @param {Function} options.onLine - Called with each complete line of stdout
+ * @returns {Promise<{code: number | null, stdout: string, stderr: string}>}
+ */
+function runCommand(command, args, { cwd, env, signal, onLine }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, env, detached: true });
+    
+    let stdout = '';
+    let stderr = '';
+    let partialLine = '';
+    let killTimer = null;
+    
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      
+      if (onLine) {
+        const lines = (partialLine + chunk).split('\n');
+        partialLine = lines.pop();
+        lines.forEach(line => onLine(line));
+      }
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    
+    const killGroup = (killSignal) => {
+      try {
+        process.kill(-child.pid, killSignal);
+      } catch {
+        // Already exited
+      }
+    };
+    
+    const onAbort = () => {
+      console.log(`[Runner] Stopping Playwright (pid ${child.pid})...`);
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_PERIOD);
+    };
+    
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
+      clearTimeout(killTimer);
+      reject(error);
+    });
+    
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      clearTimeout(killTimer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
 /**
  * Execute Playwright tests
+ * 
+ * Results go to a per-run directory so concurrent runs on the same
+ * worker do not overwrite each other's JUnit XML and artifacts.
+ * 
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Kills Playwright when the job is cancelled
+ * @param {object} options.environment - Run environment ({ name, base_url, variables }), e.g. from a schedule
+ * @param {object} options.events - Job event emitter; gets a test_finished event per test
+ * @param {string[]} options.files - Test files to run (default: every test of the project)
+ * @returns {Promise<{resultsDir: string, junitPath: string, cancelled: boolean}>}
  */
-async function executeTests(projectId) {
-  const workDir = path.join(process.cwd(), '..', 'playwright-tests');
-  const resultsDir = path.join(workDir, 'test-results');
+async function executeTests(projectId, runId, { signal, environment = {}, events, files = null } = {}) {
+  const workDir = TESTS_DIR;
+  const resultsDir = path.join(workDir, 'test-results', runId);
   const junitPath = path.join(resultsDir, 'results.xml');
   
   console.log(`[Runner] Executing Playwright tests...`);
@@ -129,54 +250,90 @@ async function executeTests(projectId) {
   // Ensure results directory exists
   await fs.mkdir(resultsDir, { recursive: true });
   
-  // Build Playwright command
-  const testPattern = `tests/${projectId}/**/*.spec.js`;
-  const command = [
-    'npx playwright test',
-    testPattern,
-    '--reporter=junit',
+  // Build Playwright arguments
+  // Playwright matches positional arguments against file paths as regular expressions
+  const args = [
+    'playwright',
+    'test',
+    ...(files || [`tests/${projectId}/`]),
+    '--reporter=junit,list',
     `--output=${resultsDir}`,
     '--trace=on',
-    '--video=on',
-    '--screenshot=on',
-  ].join(' ');
+  ];
   
-  console.log(`[Runner] Command: ${command}`);
+  console.log(`[Runner] Command: npx ${args.join(' ')}`);
   
-  try {
-    const { stdout, stderr } = await execAsync(command, {
-      cwd: workDir,
-      env: {
-        ...process.env,
-        PLAYWRIGHT_JUNIT_OUTPUT_NAME: junitPath,
-      },
-      maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-    });
-    
-    if (stdout) {
-      console.log(`[Runner] STDOUT:\n${stdout}`);
+  // Turn list reporter output into progress events
+  let totalTests = 0;
+  let finishedTests = 0;
+  
+  const onLine = (line) => {
+    const running = line.match(RUNNING_TESTS_LINE);
+    if (running) {
+      totalTests = parseInt(running[1], 10);
+      return;
     }
     
-    if (stderr) {
-      console.log(`[Runner] STDERR:\n${stderr}`);
+    const result = line.match(TEST_RESULT_LINE);
+    if (!result || !events) {
+      return;
     }
     
-  } catch (error) {
+    finishedTests++;
+    const [, symbol, title, duration, unit] = result;
+    const status = RESULT_STATUSES[symbol];
+    
+    events.emit('test_finished', {
+      stage: 'execute',
+      message: `${status}: ${title}`,
+      // Test execution spans 10-85% of the job
+      progress: totalTests > 0 ? 10 + (Math.min(finishedTests, totalTests) / totalTests) * 75 : undefined,
+      data: {
+        title,
+        status,
+        duration_ms: duration ? Math.round(parseFloat(duration) * DURATION_UNITS[unit]) : null,
+        finished: finishedTests,
+        total: totalTests,
+      },
+    });
+  };
+  
+  const { code, stdout, stderr } = await runCommand('npx', args, {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      ...environment.variables,
+      ...(environment.base_url && { BASE_URL: environment.base_url }),
+      ...(environment.name && { QAAI_ENVIRONMENT: environment.name }),
+      // Playwright has no CLI flags for these; playwright.config.js reads them
+      VIDEO: process.env.VIDEO || 'on',
+      SCREENSHOT: process.env.SCREENSHOT || 'on',
+      PLAYWRIGHT_JUNIT_OUTPUT_NAME: junitPath,
+    },
+    signal,
+    onLine,
+  });
+  
+  const cancelled = Boolean(signal?.aborted);
+  
+  if (cancelled) {
+    console.log(`[Runner] Tests stopped after cancellation`);
+  } else if (code !== 0) {
     // Playwright returns non-zero exit code if tests fail
     // This is expected, so we log but don't throw
     console.log(`[Runner] Tests completed with failures`);
-    console.log(`[Runner] Exit code: ${error.code}`);
-    
-    if (error.stdout) {
-      console.log(`[Runner] STDOUT:\n${error.stdout}`);
-    }
-    
-    if (error.stderr) {
-      console.log(`[Runner] STDERR:\n${error.stderr}`);
-    }
+    console.log(`[Runner] Exit code: ${code}`);
+  }
+  
+  if (stdout) {
+    console.log(`[Runner] STDOUT:\n${stdout}`);
+  }
+  
+  if (stderr) {
+    console.log(`[Runner] STDERR:\n${stderr}`);
   }
   
-  return { resultsDir, junitPath };
+  return { resultsDir, junitPath, cancelled };
 }
 
 /**
@@ -200,7 +357,8 @@ async function processResults(runId, junitPath, resultsDir) {
     stats: {
       tests: results.summary.total,
       passes: results.summary.passed,
-      failures: results.summary.failed,
+      // Tests that errored (e.g. the browser did not start) did not pass either
+      failures: results.summary.failed + results.summary.errors,
       pending: results.summary.skipped,
       duration: results.summary.duration,
     },
@@ -214,12 +372,26 @@ async function processResults(runId, junitPath, resultsDir) {
         message: test.error?.message || 'Test failed',
         stack: test.error?.stack || '',
       } : null,
+      // Kept for run_tests
+      status: test.status,
+      error: extractError(test),
+      logs: [test.stdout, test.stderr].filter(Boolean).join('\n') || null,
     })),
   };
   
   return transformedResults;
 }
 
+/**
+ * Find the test case a Playwright result belongs to
+ */
+function findTestCase(testCases, result) {
+  return testCases.find(tc =>
+    result.fullTitle.includes(tc.title) ||
+    (tc.file_path && result.file?.includes(path.basename(tc.file_path)))
+  );
+}
+
 /**
  * Save test results to database
  */
@@ -232,28 +404,21 @@ async function saveTestResults(runId, testCases, results) {
   
   for (const result of results.tests) {
     // Find matching test case
-    const testCase = testCases.find(tc => 
-      result.name.includes(tc.name) || 
-      result.file.includes(tc.file_path)
-    );
+    const testCase = findTestCase(testCases, result);
     
     if (!testCase) {
-      console.warn(`[Runner] No matching test case for: ${result.name}`);
+      console.warn(`[Runner] No matching test case for: ${result.fullTitle}`);
       continue;
     }
     
-    // Extract error information
-    const error = extractError(result);
-    
     runTests.push({
       run_id: runId,
       test_case_id: testCase.id,
       status: result.status,
-      duration: result.duration,
-      error_message: error?.message,
-      error_stack: error?.stack,
-      stdout: result.stdout,
-      stderr: result.stderr,
+      // JUnit reports seconds
+      duration_ms: Math.round(result.duration * 1000),
+      error_text: result.error ? [result.error.message, result.error.stack].filter(Boolean).join('\n\n') : null,
+      logs: result.logs,
     });
   }
   
@@ -274,23 +439,29 @@ async function saveTestResults(runId, testCases, results) {
 /**
  * Upload artifacts for each test
  */
-async function uploadAllArtifacts(runId, results, resultsDir) {
+async function uploadAllArtifacts(runId, testCases, results, resultsDir) {
   console.log(`[Runner] Uploading artifacts...`);
   
   const supabase = getSupabaseClient();
   let uploadedCount = 0;
   
   for (const result of results.tests) {
+    const testCase = findTestCase(testCases, result);
+    
+    if (!testCase) {
+      continue;
+    }
+    
     try {
       // Find artifacts for this test
-      const artifacts = await findArtifacts(resultsDir, result.name);
+      const artifacts = await findArtifacts(resultsDir, result.fullTitle);
       
       if (Object.keys(artifacts).length === 0) {
         continue;
       }
       
       // Upload artifacts
-      const uploaded = await uploadTestArtifacts(runId, result.name, artifacts);
+      const uploaded = await uploadTestArtifacts(runId, result.fullTitle, artifacts);
       
       // Update run_tests with artifact paths
       const { error } = await supabase
@@ -302,7 +473,7 @@ async function uploadAllArtifacts(runId, results, resultsDir) {
           har_path: uploaded.har,
         })
         .eq('run_id', runId)
-        .like('test_case_id', `%${result.name}%`); // Approximate match
+        .eq('test_case_id', testCase.id);
       
       if (error) {
         console.error(`[Runner] Failed to update artifact paths:`, error);
@@ -311,7 +482,7 @@ async function uploadAllArtifacts(runId, results, resultsDir) {
       }
       
     } catch (error) {
-      console.error(`[Runner] Failed to upload artifacts for ${result.name}:`, error);
+      console.error(`[Runner] Failed to upload artifacts for ${result.fullTitle}:`, error);
     }
   }
   
@@ -362,7 +533,7 @@ async function reportToGitHub(run, results) {
     console.log(`[Runner] Check run created: ${checkRun.url}`);
 
     // Auto-create issues for failures if enabled
-    if (results.stats.failures > 0 && run.auto_create_issues !== false) {
+    if (!results.cancelled && results.stats.failures > 0 && run.auto_create_issues !== false) {
       console.log(`[Runner] Auto-creating issues for failures...`);
       const issues = await autoCreateIssues({
         owner,
@@ -415,6 +586,36 @@ async function createGitHubPendingCheck(run) {
   }
 }
 
+/**
+ * Save whatever a cancelled run produced and mark it cancelled
+ * 
+ * Playwright writes its JUnit report for the tests that finished before
+ * it was stopped; if it was killed before that, there is nothing to save.
+ */
+async function finishCancelledRun(runId, run, testCases, junitPath, resultsDir) {
+  let stats = { cancelled: true };
+  
+  try {
+    await fs.access(junitPath);
+    
+    const results = await processResults(runId, junitPath, resultsDir);
+    results.cancelled = true;
+    stats = { ...results.stats, cancelled: true };
+    recordTestResults(results.stats);
+    
+    await saveTestResults(runId, testCases, results);
+    await uploadAllArtifacts(runId, testCases, results, resultsDir);
+    await reportToGitHub(run, results);
+    
+    console.log(`[Runner] Saved partial results: ${results.stats.passes}/${results.stats.tests} passed before cancellation`);
+  } catch (error) {
+    console.warn(`[Runner] No partial results saved for cancelled run ${runId}:`, error.message);
+  }
+  
+  await updateRunStatus(runId, 'cancelled', stats);
+  console.log(`[Runner] Run ${runId} cancelled`);
+}
+
 /**
  * Run the runner worker
  *
@@ -424,13 +625,16 @@ async function createGitHubPendingCheck(run) {
  * @param {object} job.payload - Job payload
  * @param {string} job.payload.run_id - Run ID to execute tests for
  * @param {string} job.payload.project_id - Project ID
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Fires when the job is cancelled
  */
-export async function runRunner(job) {
+export async function runRunner(job, { signal } = {}) {
   console.log(`[Runner] Starting runner for job ${job.id}`);
   console.log(`[Runner] Run ID: ${job.payload.run_id}`);
   
   const { run_id, project_id } = job.payload;
   
+  const events = createJobEvents(job.id);
   let resultsDir = null;
   
   try {
@@ -438,37 +642,78 @@ export async function runRunner(job) {
     await updateRunStatus(run_id, 'running');
     
     // Fetch test cases and run details
-    const { run, testCases } = await fetchTestCases(run_id);
+    const { run, testCases: allTestCases } = await fetchTestCases(run_id);
+    
+    if (allTestCases.length === 0) {
+      throw new PermanentJobError('No test cases found for this run');
+    }
     
-    if (testCases.length === 0) {
-      throw new Error('No test cases found for this run');
+    // A run limited to max_tests runs only the riskiest tests
+    const maxTests = run.meta?.max_tests;
+    const testCases = maxTests ? selectTopTests(allTestCases, maxTests) : allTestCases;
+    
+    if (testCases.length < allTestCases.length) {
+      console.log(`[Runner] Running the top ${testCases.length} of ${allTestCases.length} tests by risk`);
+    }
+
+    // A top-K run passes its tests' files; without any, Playwright would run everything
+    const files = testCases.length < allTestCases.length
+      ? testCases.map(testCase => testCase.file_path).filter(Boolean)
+      : null;
+    
+    if (files && files.length === 0) {
+      throw new PermanentJobError(`None of the top ${testCases.length} tests by risk has a test file`);
     }
 
     // Create pending check on GitHub
     await createGitHubPendingCheck(run);
     
     // Prepare test environment
+    events.stage('prepare', `Preparing ${testCases.length} test cases`, 5);
     await prepareTestEnvironment(project_id, testCases);
     
     // Execute tests
-    const { resultsDir: resDir, junitPath } = await executeTests(project_id);
+    events.stage('execute', 'Running Playwright tests', 10);
+    const { resultsDir: resDir, junitPath, cancelled } = await executeTests(project_id, run_id, {
+      signal,
+      environment: run.meta?.environment,
+      events,
+      files,
+    });
     resultsDir = resDir;
+    events.finishStage('execute', cancelled ? 'Tests stopped after cancellation' : 'Tests finished', 85);
+    
+    // A run released on shutdown is left to the worker that takes it over
+    if (cancelled && signal.reason instanceof JobReleasedError) {
+      console.log(`[Runner] Run ${run_id} stopped; it goes back to the queue`);
+      await cleanup(resultsDir);
+      return;
+    }
+    
+    if (cancelled) {
+      await finishCancelledRun(run_id, run, testCases, junitPath, resultsDir);
+      await cleanup(resultsDir);
+      return;
+    }
     
     // Process results
+    events.stage('results', 'Saving results and artifacts', 88);
     const results = await processResults(run_id, junitPath, resultsDir);
+    recordTestResults(results.stats);
     
     // Save results to database
     await saveTestResults(run_id, testCases, results);
     
     // Upload artifacts
-    await uploadAllArtifacts(run_id, results, resultsDir);
+    await uploadAllArtifacts(run_id, testCases, results, resultsDir);
 
     // Report to GitHub
     await reportToGitHub(run, results);
     
     // Update run status with summary
-    const status = results.stats.failures > 0 ? 'failed' : 'completed';
+    const status = results.stats.failures > 0 ? 'failed' : 'passed';
     await updateRunStatus(run_id, status, results.stats);
+    events.finishStage('results', `${results.stats.passes}/${results.stats.tests} passed`, 100, results.stats);
     
     console.log(`[Runner] Job ${job.id} completed successfully`);
     console.log(`[Runner] Results: ${results.stats.passes}/${results.stats.tests} passed`);
@@ -479,10 +724,13 @@ export async function runRunner(job) {
   } catch (error) {
     console.error(`[Runner] Error in runner worker:`, error);
     
-    // Update run status to failed
-    await updateRunStatus(run_id, 'failed', {
-      error: error.message,
-    }).catch(console.error);
+    // Update run status to error, or cancelled if the job was cancelled meanwhile
+    // (a run released on shutdown keeps its status for the next worker)
+    if (!(signal?.reason instanceof JobReleasedError)) {
+      await updateRunStatus(run_id, signal?.aborted ? 'cancelled' : 'error', {
+        error: error.message,
+      }).catch(console.error);
+    }
     
     // Clean up on error
     if (resultsDir) {
@@ -490,5 +738,7 @@ export async function runRunner(job) {
     }
     
     throw error;
+  } finally {
+    await events.flush();
   }
 }
\ No newline at end of file